@@ -0,0 +1,54 @@
+import { spawn } from "child_process";
+import { existsSync } from "fs";
+import { constants } from "os";
+import { syncDependencies } from "./guardian";
+import { getRegisteredProjects } from "./projects";
+
+/** Tells `git bisect run` to skip the commit, which can't be tested */
+export const BISECT_SKIP = 125;
+
+function runCommand(command: string[], cwd: string): Promise<number> {
+  return new Promise((resolve) => {
+    const [cmd, ...args] = command;
+    const child = spawn(cmd, args, { cwd, stdio: "inherit" });
+
+    child.on("close", (code, signal) => {
+      // Like a shell: 128 + signal number for a command killed by a signal
+      resolve(code ?? 128 + (signal ? constants.signals[signal] : 0));
+    });
+
+    child.on("error", () => {
+      // Command not found, as a shell would report it
+      resolve(127);
+    });
+  });
+}
+
+/**
+ * One `git bisect run` step: install the dependencies of the commit under
+ * test in every registered project (or just `cwd`), then run `command` and
+ * return its exit code. A failed install returns 125 so bisect skips the
+ * commit instead of blaming it.
+ */
+export async function bisectExec(
+  command: string[],
+  cwd: string = process.cwd()
+): Promise<number> {
+  if (command.length === 0) {
+    throw new Error(
+      "No command given. Usage: lockfile-guardian bisect-exec -- <command>"
+    );
+  }
+
+  const registered = getRegisteredProjects(cwd);
+  const projects = registered.length > 0 ? registered : [cwd];
+
+  // A project may not exist yet at older commits
+  for (const project of projects.filter((project) => existsSync(project))) {
+    if (!(await syncDependencies(project))) {
+      return BISECT_SKIP;
+    }
+  }
+
+  return runCommand(command, cwd);
+}
@@ -0,0 +1,73 @@
+import { existsSync, rmSync } from "fs";
+import { join } from "path";
+import { copyTree } from "./cache";
+import { getAllProjectStates, getProjectName } from "./state";
+import { LockfileInfo } from "./types";
+import { isYarnPnP } from "./utils";
+import { findGitRoot, getMainWorktreeRoot } from "./git";
+
+/**
+ * Whether the project has anything installed: node_modules, or the `.pnp.cjs`
+ * loader for Yarn Plug'n'Play.
+ */
+export function hasInstall(cwd: string = process.cwd()): boolean {
+  if (isYarnPnP(cwd)) {
+    return (
+      existsSync(join(cwd, ".pnp.cjs")) || existsSync(join(cwd, ".pnp.js"))
+    );
+  }
+  return existsSync(join(cwd, "node_modules"));
+}
+
+/**
+ * The same project in the main worktree, if its last install matches the
+ * lockfile here. Returns null outside linked worktrees.
+ */
+function findSeedProject(
+  lockfileInfo: LockfileInfo,
+  cwd: string = process.cwd()
+): string | null {
+  const mainRoot = getMainWorktreeRoot(cwd);
+
+  if (!mainRoot || mainRoot === findGitRoot(cwd) || isYarnPnP(cwd)) {
+    return null;
+  }
+
+  const name = getProjectName(cwd);
+  const mainProject = join(mainRoot, name);
+  const mainState = getAllProjectStates(cwd, true)[name];
+
+  if (
+    mainState?.hash !== lockfileInfo.hash ||
+    !existsSync(join(mainProject, "node_modules"))
+  ) {
+    return null;
+  }
+
+  return mainProject;
+}
+
+/**
+ * Fill an empty project with a hardlinked copy of the main worktree's
+ * node_modules, when that was installed from the same lockfile. Returns the
+ * project it was copied from, or null if there was nothing to copy.
+ */
+export function seedFromMainWorktree(
+  lockfileInfo: LockfileInfo,
+  cwd: string = process.cwd()
+): string | null {
+  const source = findSeedProject(lockfileInfo, cwd);
+
+  if (!source || existsSync(join(cwd, "node_modules"))) {
+    return null;
+  }
+
+  try {
+    copyTree(join(source, "node_modules"), join(cwd, "node_modules"), true);
+  } catch {
+    rmSync(join(cwd, "node_modules"), { recursive: true, force: true });
+    return null;
+  }
+
+  return source;
+}
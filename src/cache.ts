@@ -0,0 +1,244 @@
+import {
+  copyFileSync,
+  existsSync,
+  linkSync,
+  lstatSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  readlinkSync,
+  renameSync,
+  rmdirSync,
+  rmSync,
+  symlinkSync,
+  writeFileSync,
+} from "fs";
+import { dirname, join } from "path";
+import { CacheEntry } from "./types";
+import { getProjectKey, getStateDir } from "./state";
+
+const DEFAULT_MAX_SIZE = 5 * 1024 ** 3;
+const SIZE_UNITS: Record<string, number> = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 ** 2,
+  gb: 1024 ** 3,
+};
+
+export function getCacheDir(cwd: string = process.cwd()): string {
+  return join(getStateDir(cwd), "cache", getProjectKey(cwd));
+}
+
+/**
+ * Parse a size limit: a number of bytes or a string like "500MB" or "5GB".
+ */
+export function parseSize(size: string | number | undefined): number {
+  if (typeof size === "number") {
+    return size;
+  }
+  const match = String(size ?? "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  return match
+    ? Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || "b"])
+    : DEFAULT_MAX_SIZE;
+}
+
+export function formatSize(bytes: number): string {
+  const [unit, factor] = Object.entries(SIZE_UNITS)
+    .reverse()
+    .find(([, factor]) => bytes >= factor) || ["b", 1];
+  return `${Math.round((bytes / factor) * 10) / 10}${unit.toUpperCase()}`;
+}
+
+function getTreeSize(path: string): number {
+  const stats = lstatSync(path);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+  return readdirSync(path).reduce(
+    (total, entry) => total + getTreeSize(join(path, entry)),
+    0
+  );
+}
+
+/**
+ * Copy a tree, recreating symlinks as-is (pnpm's layout relies on them).
+ * With `hardlink`, files are hardlinked instead where they can be, so the
+ * copy costs directory entries rather than disk space but shares its files.
+ */
+export function copyTree(
+  source: string,
+  target: string,
+  hardlink: boolean = false
+): void {
+  const stats = lstatSync(source);
+
+  if (stats.isSymbolicLink()) {
+    symlinkSync(readlinkSync(source), target);
+  } else if (stats.isDirectory()) {
+    mkdirSync(target, { recursive: true });
+    for (const entry of readdirSync(source)) {
+      copyTree(join(source, entry), join(target, entry), hardlink);
+    }
+  } else if (hardlink) {
+    try {
+      linkSync(source, target);
+    } catch {
+      // Hardlinks can't cross devices
+      copyFileSync(source, target);
+    }
+  } else {
+    copyFileSync(source, target);
+  }
+}
+
+function readEntry(dir: string, hash: string): CacheEntry | null {
+  try {
+    const entry = JSON.parse(
+      readFileSync(join(dir, hash, "meta.json"), "utf8")
+    );
+    return existsSync(join(dir, hash, "node_modules")) ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeEntry(dir: string, entry: CacheEntry): void {
+  writeFileSync(
+    join(dir, entry.hash, "meta.json"),
+    JSON.stringify(entry) + "\n",
+    "utf8"
+  );
+}
+
+/**
+ * Cached installs, most recently used first.
+ */
+export function listCacheEntries(cwd: string = process.cwd()): CacheEntry[] {
+  const dir = getCacheDir(cwd);
+
+  if (!existsSync(dir)) {
+    return [];
+  }
+
+  return readdirSync(dir)
+    .map((hash) => readEntry(dir, hash))
+    .filter((entry): entry is CacheEntry => entry !== null)
+    .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+}
+
+export function getCacheEntry(
+  hash: string,
+  cwd: string = process.cwd()
+): CacheEntry | null {
+  return readEntry(getCacheDir(cwd), hash);
+}
+
+/**
+ * Snapshot the project's node_modules under the lockfile hash. "copy" keeps
+ * node_modules in place and caches a copy of it, never hardlinks, since
+ * changes to the live files would reach the cache through them; "move"
+ * moves it into the cache. Returns false if nothing could be cached.
+ */
+export function saveToCache(
+  hash: string,
+  mode: "copy" | "move",
+  cwd: string = process.cwd()
+): boolean {
+  const nodeModules = join(cwd, "node_modules");
+  const dir = getCacheDir(cwd);
+  const entryDir = join(dir, hash);
+  const target = join(entryDir, "node_modules");
+
+  if (!existsSync(nodeModules)) {
+    return false;
+  }
+
+  try {
+    rmSync(entryDir, { recursive: true, force: true });
+    mkdirSync(entryDir, { recursive: true });
+    if (mode === "move") {
+      renameSync(nodeModules, target);
+    } else {
+      copyTree(nodeModules, target);
+    }
+  } catch {
+    rmSync(entryDir, { recursive: true, force: true });
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  writeEntry(dir, {
+    hash,
+    size: getTreeSize(target),
+    abi: process.versions.modules,
+    createdAt: now,
+    lastUsed: now,
+  });
+  return true;
+}
+
+/**
+ * Move a cached node_modules back into the project. The project must not
+ * have a node_modules directory of its own.
+ */
+export function restoreFromCache(
+  hash: string,
+  cwd: string = process.cwd()
+): boolean {
+  const entryDir = join(getCacheDir(cwd), hash);
+  const nodeModules = join(cwd, "node_modules");
+
+  if (!readEntry(getCacheDir(cwd), hash) || existsSync(nodeModules)) {
+    return false;
+  }
+
+  try {
+    renameSync(join(entryDir, "node_modules"), nodeModules);
+  } catch {
+    return false;
+  }
+
+  rmSync(entryDir, { recursive: true, force: true });
+  return true;
+}
+
+/**
+ * Evict least recently used entries until the cache fits in `maxSize`
+ * bytes. Returns the evicted entries.
+ */
+export function pruneCache(
+  maxSize: number,
+  cwd: string = process.cwd()
+): CacheEntry[] {
+  const entries = listCacheEntries(cwd);
+  const evicted: CacheEntry[] = [];
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  while (total > maxSize && entries.length > 0) {
+    const entry = entries.pop() as CacheEntry;
+    rmSync(join(getCacheDir(cwd), entry.hash), {
+      recursive: true,
+      force: true,
+    });
+    evicted.push(entry);
+    total -= entry.size;
+  }
+
+  return evicted;
+}
+
+export function clearCache(cwd: string = process.cwd()): number {
+  const count = listCacheEntries(cwd).length;
+  const dir = getCacheDir(cwd);
+  rmSync(dir, { recursive: true, force: true });
+  try {
+    // Remove the cache directory once no project has entries left
+    rmdirSync(dirname(dir));
+  } catch {
+    // Other projects still have cached installs
+  }
+  return count;
+}
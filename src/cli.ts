@@ -1,34 +1,77 @@
 #!/usr/bin/env node
 
 import { readFileSync, existsSync } from "fs";
-import { join } from "path";
+import { join, relative } from "path";
 import {
   installGitHooks,
   uninstallGitHooks,
   areHooksInstalled,
+  getHookNames,
+  getOutdatedHooks,
+  isPreCommitHookInstalled,
 } from "./git-hooks";
-import { checkLockfile, clearStoredHash } from "./guardian";
+import {
+  checkLockfile,
+  checkRegisteredProjects,
+  clearStoredHash,
+  formatLockfileConflict,
+  getStoredNodeRuntime,
+  verifyDependencies,
+} from "./guardian";
+import { bisectExec } from "./bisect";
+import {
+  clearCache,
+  formatSize,
+  listCacheEntries,
+  parseSize,
+  pruneCache,
+} from "./cache";
+import { hashInstallInputs } from "./install-inputs";
+import { detectManifestDrift, formatManifestDrift } from "./manifest-drift";
+import { getNodeRuntime, needsRebuild } from "./node-runtime";
+import {
+  getRegisteredProjects,
+  registerProject,
+  unregisterProject,
+} from "./projects";
+import { getProjectName } from "./state";
+import { checkStagedChanges, formatStagedProblems } from "./pre-commit";
 import {
   installPostInstallHook,
   uninstallPostInstallHook,
   isPostInstallHookInstalled,
   runPostInstallHook,
 } from "./post-install";
+import { applyFixes, diagnose, formatFindings } from "./doctor";
+import { findGitRoot, isBareRepository, isGitRepository } from "./git";
+import {
+  describeHookManager,
+  detectHookManager,
+  getHookManagerSyncCommand,
+  getPreCommitFrameworkArgs,
+} from "./hook-managers";
+import { describeHuskyLayout, detectHusky, getActiveHooksDir } from "./husky";
 import {
   findLockfile,
   loadConfig,
-  isGitRepository,
   log,
   logError,
-  PACKAGE_MANAGERS,
-  isHuskyProject,
-  getActiveHooksDir,
+  getSupportedLockfiles,
+  resolveLockfile,
 } from "./utils";
 
 interface CliArgs {
   command?: string;
+  subcommand?: string;
   isHook?: boolean;
+  /** Hook name and git's arguments, passed after --hook */
+  hookArgs?: string[];
+  /** Everything after "--", e.g. the command for bisect-exec */
+  commandArgs?: string[];
   help?: boolean;
+  verify?: boolean;
+  deep?: boolean;
+  fix?: boolean;
 }
 
 function parseArgs(args: string[]): CliArgs {
@@ -37,12 +80,26 @@ function parseArgs(args: string[]): CliArgs {
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
 
-    if (arg === "--hook") {
+    if (arg === "--") {
+      result.commandArgs = args.slice(i + 1);
+      break;
+    } else if (arg === "--hook") {
       result.isHook = true;
+      result.hookArgs = [];
+    } else if (result.hookArgs && !arg.startsWith("--")) {
+      result.hookArgs.push(arg);
+    } else if (arg === "--verify") {
+      result.verify = true;
+    } else if (arg === "--deep") {
+      result.deep = true;
+    } else if (arg === "--fix") {
+      result.fix = true;
     } else if (arg === "--help" || arg === "-h") {
       result.help = true;
     } else if (!result.command && !arg.startsWith("--")) {
       result.command = arg;
+    } else if (!result.subcommand && !arg.startsWith("--")) {
+      result.subcommand = arg;
     }
   }
 
@@ -79,11 +136,20 @@ COMMANDS:
   install       Setup lockfile monitoring (one-time setup)
   uninstall     Remove all hooks and cleanup
   check         Manually check for lock file changes
+                  --verify  Also compare node_modules with the lock file
+                  --deep    Also read node_modules/*/package.json
+  verify        Compare node_modules with the lock file (--deep to scan)
+  cache         List cached node_modules (cache list|prune|clear)
+  doctor        Find out why Guardian doesn't warn (--fix to repair)
+  pre-commit    Check staged dependency changes (run by the pre-commit hook)
+  bisect-exec   Install the commit's dependencies, then run a command
+                  (git bisect run npx lockfile-guardian bisect-exec -- <cmd>)
   help          Show this help message
 
 EXAMPLES:
   npx lockfile-guardian install      # Setup lockfile monitoring
   npx lockfile-guardian check        # Check dependencies manually
+  npx lockfile-guardian verify       # Check what is actually installed
   npx lockfile-guardian uninstall    # Remove all hooks
 
 CONFIGURATION:
@@ -91,15 +157,26 @@ Add optional configuration to your package.json:
 
 {
   "lockfileGuardian": {
-    "autoInstall": true,       // Automatically run install commands
-    "silent": false,           // Suppress non-warning output
-    "checkNodeModules": true   // Warn if node_modules isn't gitignored
+    "autoInstall": true,          // Automatically run install commands
+    "silent": false,              // Suppress non-warning output
+    "checkNodeModules": true,     // Warn if node_modules isn't gitignored
+    "lockfile": "pnpm-lock.yaml", // Lockfile to watch if several exist
+    "hashMode": "fingerprint",    // Or "raw" to compare lockfile bytes
+    "packageManagers": [          // Extra lockfiles and install commands
+      { "name": "deno", "lockFile": "deno.lock", "installCommand": "deno install" }
+    ],
+    "verifyInstall": false,       // Check node_modules on every run, or "deep"
+    "cache": false,               // Restore node_modules per lockfile on checkout
+    "cacheMaxSize": "5GB",        // Evict least recently used snapshots beyond this
+    "seedWorktrees": false,       // Hardlink node_modules into new worktrees
+    "preCommit": false            // Block commits without lockfile updates
   }
 }
 
 SUPPORTED PACKAGE MANAGERS:
   • pnpm     - pnpm-lock.yaml → pnpm install
-  • yarn     - yarn.lock → yarn install
+  • yarn     - yarn.lock → yarn install (Classic and Berry, incl. PnP)
+  • bun      - bun.lock / bun.lockb → bun install
   • npm      - package-lock.json → npm install
 
 For more information, visit: https://github.com/your-username/lockfile-guardian
@@ -114,18 +191,27 @@ function showStatus(): void {
 
   // Check if we're in a git repository
   if (!isGitRepository(cwd)) {
-    console.log("❌ Not a git repository");
+    console.log(
+      isBareRepository(cwd)
+        ? "❌ Bare repository - run Lockfile Guardian in a checkout or worktree"
+        : "❌ Not a git repository"
+    );
     return;
   }
 
   console.log("✅ Git repository detected");
 
   // Check Husky compatibility
-  const isHusky = isHuskyProject(cwd);
+  const husky = detectHusky(cwd);
+  const isHusky = husky !== null;
+  const manager = detectHookManager(cwd);
   const hooksDir = getActiveHooksDir(cwd);
 
-  if (isHusky) {
-    console.log("🐶 Husky detected - using .husky/ directory");
+  if (husky) {
+    console.log(describeHuskyLayout(husky, cwd));
+    console.log(`   Hooks directory: ${hooksDir}`);
+  } else if (manager) {
+    console.log(describeHookManager(manager, cwd));
     console.log(`   Hooks directory: ${hooksDir}`);
   } else {
     console.log("🔧 Using standard git hooks");
@@ -133,12 +219,11 @@ function showStatus(): void {
   }
 
   // Check for lockfile
-  const lockfileInfo = findLockfile(cwd);
+  const resolution = resolveLockfile(cwd);
+  const lockfileInfo = resolution.lockfile;
   if (!lockfileInfo) {
     console.log("❌ No supported lockfile found");
-    console.log(
-      `   Supported: ${PACKAGE_MANAGERS.map((pm) => pm.lockFile).join(", ")}`
-    );
+    console.log(`   Supported: ${getSupportedLockfiles(cwd).join(", ")}`);
     return;
   }
 
@@ -146,23 +231,75 @@ function showStatus(): void {
     `✅ Lockfile found: ${lockfileInfo.packageManager.lockFile} (${lockfileInfo.packageManager.name})`
   );
 
+  const inputs = Object.keys(
+    hashInstallInputs(lockfileInfo.packageManager, cwd)
+  );
+  if (inputs.length > 0) {
+    console.log(`   Also watching: ${inputs.join(", ")}`);
+  }
+
+  const conflict = formatLockfileConflict(resolution);
+  if (conflict) {
+    console.log(conflict);
+  }
+
+  const drift = detectManifestDrift(lockfileInfo, cwd);
+  if (drift && drift.length > 0) {
+    console.log(formatManifestDrift(drift, lockfileInfo));
+  } else if (drift) {
+    console.log("✅ package.json matches the lockfile");
+  }
+
+  const runtime = getStoredNodeRuntime(cwd);
+  if (runtime && needsRebuild(runtime, getNodeRuntime(cwd))) {
+    console.log(
+      `⚠️  Dependencies were installed with Node.js ${runtime.version}, now running ${process.version}`
+    );
+  }
+
   // Check if hooks are installed
   const gitHooksInstalled = areHooksInstalled(cwd);
   const postInstallHookInstalled = isPostInstallHookInstalled(cwd);
 
+  const outdatedHooks = getOutdatedHooks(cwd);
+
   if (gitHooksInstalled) {
     console.log("✅ Git hooks installed");
+    const projects = getRegisteredProjects(cwd);
+    if (projects.length > 1) {
+      console.log(
+        `   Checking ${projects.length} projects: ${projects
+          .map((project) => getProjectName(project))
+          .join(", ")}`
+      );
+    }
   } else {
     console.log("❌ Git hooks not installed");
   }
 
+  if (outdatedHooks.length > 0) {
+    console.log(
+      `⚠️  ${outdatedHooks.join(
+        ", "
+      )} hook written by an older version - run "npx lockfile-guardian install" to upgrade`
+    );
+  }
+
   if (postInstallHookInstalled) {
     console.log("✅ Post-install hook installed");
   } else {
     console.log("❌ Post-install hook not installed");
   }
 
-  if (!gitHooksInstalled || !postInstallHookInstalled) {
+  const preCommitMissing =
+    loadConfig(cwd).preCommit && !isPreCommitHookInstalled(cwd);
+  if (preCommitMissing) {
+    console.log("❌ Pre-commit guard not installed");
+  } else if (isPreCommitHookInstalled(cwd)) {
+    console.log("✅ Pre-commit guard installed");
+  }
+
+  if (!gitHooksInstalled || !postInstallHookInstalled || preCommitMissing) {
     console.log('   Run "npx lockfile-guardian install" to set up');
   }
 
@@ -172,6 +309,14 @@ function showStatus(): void {
   console.log(`  autoInstall: ${config.autoInstall || false}`);
   console.log(`  silent: ${config.silent || false}`);
   console.log(`  checkNodeModules: ${config.checkNodeModules !== false}`);
+  console.log(`  hashMode: ${config.hashMode || "fingerprint"}`);
+  if (config.lockfile) {
+    console.log(`  lockfile: ${config.lockfile}`);
+  }
+  console.log(`  verifyInstall: ${config.verifyInstall || false}`);
+  console.log(`  cache: ${config.cache || false}`);
+  console.log(`  seedWorktrees: ${config.seedWorktrees || false}`);
+  console.log(`  preCommit: ${config.preCommit || false}`);
 
   if (isHusky) {
     console.log("\n🔗 Husky Compatibility:");
@@ -188,7 +333,9 @@ async function handleInstall(): Promise<void> {
 
   if (!isGitRepository(cwd)) {
     logError(
-      "Error: Not a git repository. Please run this command in a git repository."
+      isBareRepository(cwd)
+        ? "Error: Bare repositories have no working tree. Please run this command in a checkout or a worktree."
+        : "Error: Not a git repository. Please run this command in a git repository."
     );
     process.exit(1);
   }
@@ -196,28 +343,51 @@ async function handleInstall(): Promise<void> {
   const lockfileInfo = findLockfile(cwd);
   if (!lockfileInfo) {
     logError("Error: No supported lockfile found.");
-    logError(
-      `Supported lockfiles: ${PACKAGE_MANAGERS.map((pm) => pm.lockFile).join(
-        ", "
-      )}`
-    );
+    logError(`Supported lockfiles: ${getSupportedLockfiles(cwd).join(", ")}`);
     process.exit(1);
   }
 
-  const isHusky = isHuskyProject(cwd);
+  const husky = detectHusky(cwd);
+  const manager = detectHookManager(cwd);
+  const gitRoot = findGitRoot(cwd) || cwd;
 
   try {
     // Install both git hooks and post-install hooks for optimal experience
     installGitHooks(cwd);
     installPostInstallHook(cwd);
+    registerProject(cwd);
 
-    if (isHusky) {
+    const hooksDir = relative(gitRoot, getActiveHooksDir(cwd));
+    if (husky?.version === 4) {
       log("🔒 Lockfile Guardian installed successfully! (Husky compatible)");
-      log("🐶 Git hooks installed to .husky/ directory");
+      log(
+        `🐶 Git hooks added to the Husky config in ${relative(
+          gitRoot,
+          husky.path
+        )}`
+      );
       log("🔗 Compatible with lint-staged, prettier, and other Husky tools");
+    } else if (husky) {
+      log("🔒 Lockfile Guardian installed successfully! (Husky compatible)");
+      log(`🐶 Git hooks installed to ${hooksDir}/ directory`);
+      log("🔗 Compatible with lint-staged, prettier, and other Husky tools");
+    } else if (manager) {
+      log("🔒 Lockfile Guardian installed successfully!");
+      log(
+        `🪝 Git hooks added to the ${manager.name} config in ${relative(
+          gitRoot,
+          manager.configPath
+        )}`
+      );
+      log(
+        `🪝 Run "${getHookManagerSyncCommand(
+          manager,
+          getHookNames(cwd)
+        )}" to update the git hooks`
+      );
     } else {
       log("🔒 Lockfile Guardian installed successfully!");
-      log("🔧 Git hooks installed to .git/hooks/ directory");
+      log(`🔧 Git hooks installed to ${hooksDir}/ directory`);
     }
 
     log("🔒 Post-install hook added to package.json");
@@ -226,6 +396,9 @@ async function handleInstall(): Promise<void> {
       "🔒 Git hooks will warn about lockfile changes when switching branches"
     );
     log("🔒 Post-install hook will update hash when you install packages");
+    if (isPreCommitHookInstalled(cwd)) {
+      log("🔒 Pre-commit guard will block inconsistent dependency commits");
+    }
 
     // Initialize with current hash
     await checkLockfile(false, cwd);
@@ -243,11 +416,24 @@ async function handleUninstall(): Promise<void> {
   const cwd = process.cwd();
 
   try {
-    uninstallGitHooks(cwd);
+    // Other projects in the repository still rely on the git hooks
+    const remaining = isGitRepository(cwd) ? unregisterProject(cwd) : 0;
+    if (remaining === 0) {
+      uninstallGitHooks(cwd);
+    }
     uninstallPostInstallHook(cwd);
     clearStoredHash(cwd);
     log("🔒 Lockfile Guardian uninstalled successfully");
-    log("🔒 All git hooks, post-install hooks, and data have been removed");
+    if (remaining === 0) {
+      log("🔒 All git hooks, post-install hooks, and data have been removed");
+    } else {
+      log("🔒 Post-install hook and data have been removed");
+      log(
+        `🔒 Git hooks kept for ${remaining} other project${
+          remaining === 1 ? "" : "s"
+        }`
+      );
+    }
   } catch (error) {
     logError(
       `Error uninstalling: ${
@@ -258,11 +444,30 @@ async function handleUninstall(): Promise<void> {
   }
 }
 
-async function handleCheck(isHook: boolean = false): Promise<void> {
+async function handleCheck(
+  isHook: boolean = false,
+  verify?: boolean | "deep",
+  hookArgs: string[] = []
+): Promise<void> {
   const cwd = process.cwd();
 
   try {
-    await checkLockfile(isHook, cwd);
+    // The git hooks check every registered project in the repository
+    if (isHook) {
+      const [name, ...args] = hookArgs;
+      await checkRegisteredProjects(
+        cwd,
+        verify,
+        name
+          ? {
+              name,
+              args: args.length > 0 ? args : getPreCommitFrameworkArgs(name),
+            }
+          : undefined
+      );
+    } else {
+      await checkLockfile(isHook, cwd, verify);
+    }
   } catch (error) {
     logError(
       `Error checking lockfile: ${
@@ -273,6 +478,76 @@ async function handleCheck(isHook: boolean = false): Promise<void> {
   }
 }
 
+async function handleVerify(deep: boolean = false): Promise<void> {
+  const cwd = process.cwd();
+
+  try {
+    if (!verifyDependencies(deep, cwd)) {
+      process.exit(1);
+    }
+  } catch (error) {
+    logError(
+      `Error verifying dependencies: ${
+        error instanceof Error ? error.message : "Unknown error"
+      }`
+    );
+    process.exit(1);
+  }
+}
+
+function handleCache(subcommand: string = "list"): void {
+  const cwd = process.cwd();
+
+  if (!isGitRepository(cwd)) {
+    logError("Error: Not a git repository.");
+    process.exit(1);
+  }
+
+  const config = loadConfig(cwd);
+  const lockfileInfo = findLockfile(cwd);
+
+  switch (subcommand) {
+    case "list": {
+      const entries = listCacheEntries(cwd);
+      if (entries.length === 0) {
+        log("🔒 The node_modules cache is empty");
+        break;
+      }
+      const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+      log(
+        `🔒 ${entries.length} cached node_modules (${formatSize(
+          total
+        )} of ${formatSize(parseSize(config.cacheMaxSize))}):`
+      );
+      for (const entry of entries) {
+        const current = entry.hash === lockfileInfo?.hash ? " (current)" : "";
+        log(
+          `  ${entry.hash.slice(0, 12)}  ${formatSize(entry.size).padStart(
+            7
+          )}  last used ${entry.lastUsed}${current}`
+        );
+      }
+      break;
+    }
+
+    case "prune": {
+      const evicted = pruneCache(parseSize(config.cacheMaxSize), cwd);
+      log(`🔒 Removed ${evicted.length} cached node_modules`);
+      break;
+    }
+
+    case "clear":
+      log(`🔒 Removed ${clearCache(cwd)} cached node_modules`);
+      break;
+
+    default:
+      logError(
+        `Unknown cache command: ${subcommand}. Use list, prune or clear`
+      );
+      process.exit(1);
+  }
+}
+
 async function handlePostInstall(): Promise<void> {
   const cwd = process.cwd();
 
@@ -288,6 +563,79 @@ async function handlePostInstall(): Promise<void> {
   }
 }
 
+function handlePreCommit(): void {
+  const cwd = process.cwd();
+
+  try {
+    const problems = checkStagedChanges(cwd);
+    if (problems.length > 0) {
+      logError(formatStagedProblems(problems));
+      process.exit(1);
+    }
+  } catch (error) {
+    // A broken check shouldn't stop anyone from committing
+    logError(
+      `Error checking staged changes: ${
+        error instanceof Error ? error.message : "Unknown error"
+      }`
+    );
+  }
+}
+
+function handleDoctor(fix: boolean = false): void {
+  const cwd = process.cwd();
+
+  if (!isGitRepository(cwd)) {
+    logError(
+      isBareRepository(cwd)
+        ? "Error: Bare repositories have no working tree. Please run this command in a checkout or a worktree."
+        : "Error: Not a git repository. Please run this command in a git repository."
+    );
+    process.exit(1);
+  }
+
+  try {
+    let findings = diagnose(cwd);
+
+    if (fix && findings.some((finding) => finding.repair)) {
+      const { fixed, errors } = applyFixes(findings);
+      for (const error of errors) {
+        logError(`Error fixing: ${error}`);
+      }
+      log(`🔧 Fixed ${fixed} problem${fixed === 1 ? "" : "s"}`);
+      findings = diagnose(cwd);
+    }
+
+    console.log(formatFindings(findings));
+    if (findings.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    logError(
+      `Error running doctor: ${
+        error instanceof Error ? error.message : "Unknown error"
+      }`
+    );
+    process.exit(1);
+  }
+}
+
+async function handleBisectExec(command: string[] = []): Promise<void> {
+  const cwd = process.cwd();
+
+  try {
+    process.exit(await bisectExec(command, cwd));
+  } catch (error) {
+    logError(
+      `Error running bisect step: ${
+        error instanceof Error ? error.message : "Unknown error"
+      }`
+    );
+    // Anything above 127 stops the bisection
+    process.exit(128);
+  }
+}
+
 async function main(): Promise<void> {
   const args = parseArgs(process.argv.slice(2));
 
@@ -306,7 +654,31 @@ async function main(): Promise<void> {
       break;
 
     case "check":
-      await handleCheck(args.isHook);
+      await handleCheck(
+        args.isHook,
+        args.deep ? "deep" : args.verify || undefined,
+        args.hookArgs
+      );
+      break;
+
+    case "verify":
+      await handleVerify(args.deep);
+      break;
+
+    case "cache":
+      handleCache(args.subcommand);
+      break;
+
+    case "doctor":
+      handleDoctor(args.fix);
+      break;
+
+    case "pre-commit":
+      handlePreCommit();
+      break;
+
+    case "bisect-exec":
+      await handleBisectExec(args.commandArgs);
       break;
 
     case "post-install":
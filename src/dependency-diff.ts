@@ -0,0 +1,113 @@
+import {
+  DependencyChange,
+  DependencyDiff,
+  DependencySnapshot,
+  ParsedLockfile,
+} from "./types";
+
+const MAX_LISTED_CHANGES = 10;
+
+export function createDependencySnapshot(
+  parsed: ParsedLockfile
+): DependencySnapshot {
+  const versions: Record<string, Set<string>> = {};
+
+  for (const pkg of parsed.packages) {
+    (versions[pkg.name] ||= new Set()).add(pkg.version);
+  }
+
+  const packages: Record<string, string[]> = {};
+  for (const name of Object.keys(versions).sort()) {
+    packages[name] = Array.from(versions[name]).sort();
+  }
+
+  return { direct: { ...parsed.direct }, packages };
+}
+
+function diffVersions(
+  before: Record<string, string>,
+  after: Record<string, string>
+): DependencyChange[] {
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes: DependencyChange[] = [];
+
+  for (const name of Array.from(names).sort()) {
+    if (before[name] !== after[name]) {
+      changes.push({ name, from: before[name], to: after[name] });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two snapshots. Packages that are a direct dependency on either
+ * side are reported under `direct`; everything else is transitive.
+ */
+export function diffDependencySnapshots(
+  before: DependencySnapshot,
+  after: DependencySnapshot
+): DependencyDiff {
+  const directNames = new Set([
+    ...Object.keys(before.direct),
+    ...Object.keys(after.direct),
+  ]);
+
+  const transitiveVersions = (snapshot: DependencySnapshot) => {
+    const versions: Record<string, string> = {};
+    for (const [name, list] of Object.entries(snapshot.packages)) {
+      if (!directNames.has(name)) {
+        versions[name] = list.join(", ");
+      }
+    }
+    return versions;
+  };
+
+  return {
+    direct: diffVersions(before.direct, after.direct),
+    transitive: diffVersions(
+      transitiveVersions(before),
+      transitiveVersions(after)
+    ),
+  };
+}
+
+function formatChange(change: DependencyChange): string {
+  if (change.from === undefined) {
+    return `  + ${change.name} ${change.to}`;
+  }
+  if (change.to === undefined) {
+    return `  − ${change.name} ${change.from}`;
+  }
+  return `  ~ ${change.name} ${change.from} → ${change.to}`;
+}
+
+function formatSection(title: string, changes: DependencyChange[]): string[] {
+  if (changes.length === 0) {
+    return [];
+  }
+
+  const lines = [`${title}:`];
+  lines.push(...changes.slice(0, MAX_LISTED_CHANGES).map(formatChange));
+  if (changes.length > MAX_LISTED_CHANGES) {
+    lines.push(`  … and ${changes.length - MAX_LISTED_CHANGES} more`);
+  }
+  return lines;
+}
+
+/**
+ * Render a diff for the out-of-date warning, e.g.
+ *
+ *   Direct dependencies:
+ *     + zod 3.23.8
+ *     ~ lodash 4.17.20 → 4.17.21
+ *     − moment 2.30.1
+ */
+export function formatDependencyDiff(diff: DependencyDiff): string[] {
+  const direct = formatSection("Direct dependencies", diff.direct);
+  const transitive = formatSection("Transitive dependencies", diff.transitive);
+
+  return direct.length > 0 && transitive.length > 0
+    ? [...direct, "", ...transitive]
+    : [...direct, ...transitive];
+}
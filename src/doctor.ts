@@ -0,0 +1,284 @@
+import { existsSync } from "fs";
+import { delimiter, join, relative } from "path";
+import { DoctorFinding, HookStatus } from "./types";
+import { getGitHooksPath, getGitRepository, getMainWorktreeRoot } from "./git";
+import {
+  findStrayHookDirs,
+  getHookNames,
+  inspectGitHooks,
+  installGitHooks,
+} from "./git-hooks";
+import { detectHookManager, getHookManagerSyncCommand } from "./hook-managers";
+import { getHookRunner } from "./hook-runner";
+import {
+  installPostInstallHook,
+  isPostInstallHookInstalled,
+} from "./post-install";
+import { getRegisteredProjects, registerProject } from "./projects";
+import { inspectStateFiles, resetBrokenState } from "./state";
+import { getSupportedLockfiles, resolveLockfile } from "./utils";
+
+const INSTALL_COMMAND = "npx lockfile-guardian install";
+
+/** How to add Guardian as a devDependency with each package manager */
+const ADD_COMMANDS: Record<string, string> = {
+  pnpm: "pnpm add -D lockfile-guardian",
+  yarn: "yarn add -D lockfile-guardian",
+  "yarn-berry": "yarn add -D lockfile-guardian",
+  bun: "bun add -d lockfile-guardian",
+};
+
+/** Whether a command can be found on the PATH, like `command -v` */
+function isOnPath(command: string): boolean {
+  const extensions =
+    process.platform === "win32"
+      ? (process.env.PATHEXT || ".EXE;.CMD").split(";")
+      : [""];
+  return (process.env.PATH || "")
+    .split(delimiter)
+    .some(
+      (dir) =>
+        dir !== "" &&
+        extensions.some((extension) =>
+          existsSync(join(dir, command + extension))
+        )
+    );
+}
+
+/** What `install` sets up, for the fixes that start from scratch */
+function install(cwd: string): void {
+  installGitHooks(cwd);
+  installPostInstallHook(cwd);
+  registerProject(cwd);
+}
+
+function diagnoseHook(
+  hook: HookStatus,
+  cwd: string,
+  fromRoot: (path: string) => string
+): DoctorFinding | null {
+  const repair = () => installGitHooks(cwd);
+  const path = fromRoot(hook.path);
+
+  switch (hook.state) {
+    case "ok":
+      return null;
+    case "missing":
+      return {
+        problem: `The ${hook.name} hook is missing from ${path}`,
+        fix: INSTALL_COMMAND,
+        repair,
+      };
+    case "overwritten":
+      return {
+        problem: `The ${hook.name} hook in ${path} no longer runs Lockfile Guardian; another tool may have replaced it`,
+        fix: `${INSTALL_COMMAND} (keeps the other commands in it)`,
+        repair,
+      };
+    case "not-executable":
+      return {
+        problem: `The ${hook.name} hook in ${path} isn't executable, so git skips it`,
+        fix: `chmod +x ${path}`,
+        repair,
+      };
+    case "outdated":
+      return {
+        problem: `The ${hook.name} hook in ${path} was written by an older version`,
+        fix: INSTALL_COMMAND,
+        repair,
+      };
+    case "not-generated": {
+      const manager = detectHookManager(cwd);
+      return {
+        problem: `The ${hook.name} hook is registered in ${path}, but ${
+          manager ? manager.name : "Husky"
+        } hasn't written it to ${fromRoot(getGitHooksPath(cwd))}`,
+        fix: manager
+          ? getHookManagerSyncCommand(manager, getHookNames(cwd))
+          : "Reinstall husky to regenerate its hooks",
+      };
+    }
+  }
+}
+
+/**
+ * Everything that keeps Guardian from warning in this repository: hooks
+ * that are missing, not executable, replaced by another tool or written
+ * where git doesn't look, a postinstall script that lost its command,
+ * several lockfiles, unusable state and a missing package manager.
+ */
+export function diagnose(cwd: string = process.cwd()): DoctorFinding[] {
+  const { root } = getGitRepository(cwd);
+  const fromRoot = (path: string) => relative(root, path) || ".";
+  const findings: DoctorFinding[] = [];
+
+  // Reading broken state sets it aside, so nothing below may read it then
+  const brokenState = inspectStateFiles(cwd);
+  for (const { path, reason } of brokenState) {
+    findings.push({
+      problem: `The state file ${fromRoot(path)} ${reason}`,
+      fix: "Set it aside and start over; lockfile hashes are recorded again at the next check",
+      repair: () => {
+        resetBrokenState(cwd);
+        registerProject(cwd);
+      },
+    });
+  }
+
+  const registered = brokenState.length > 0 ? [] : getRegisteredProjects(cwd);
+  const hooks = inspectGitHooks(cwd);
+  const hooksFound = hooks.some(
+    (hook) => hook.state !== "missing" && hook.state !== "overwritten"
+  );
+  const strayDirs = findStrayHookDirs(cwd);
+
+  if (
+    registered.length === 0 &&
+    brokenState.length === 0 &&
+    !hooksFound &&
+    strayDirs.length === 0
+  ) {
+    return [
+      {
+        problem: "Lockfile Guardian isn't installed in this repository",
+        fix: INSTALL_COMMAND,
+        repair: () => install(cwd),
+      },
+    ];
+  }
+
+  if (!hooksFound && strayDirs.length > 0) {
+    findings.push({
+      problem: `Lockfile Guardian's hooks are in ${strayDirs
+        .map(fromRoot)
+        .join(", ")}, but git runs hooks from ${fromRoot(
+        getGitHooksPath(cwd)
+      )} (core.hooksPath)`,
+      fix: `${INSTALL_COMMAND} to add them where git looks, or point core.hooksPath back`,
+      repair: () => installGitHooks(cwd),
+    });
+  } else {
+    for (const hook of hooks) {
+      const finding = diagnoseHook(hook, cwd, fromRoot);
+      if (finding) {
+        findings.push(finding);
+      }
+    }
+  }
+
+  const projects = registered.length > 0 ? registered : [cwd];
+  for (const project of projects) {
+    const where = project === root ? "" : ` in ${fromRoot(project)}`;
+
+    if (
+      (registered.includes(project) || brokenState.length > 0) &&
+      !isPostInstallHookInstalled(project)
+    ) {
+      findings.push({
+        problem: `The postinstall script${where} no longer runs Lockfile Guardian, so installs aren't recorded`,
+        fix: `${INSTALL_COMMAND}${where}`,
+        repair: () => installPostInstallHook(project),
+      });
+    }
+
+    const { lockfile, candidates } = resolveLockfile(project);
+    if (!lockfile) {
+      findings.push({
+        problem: `No supported lockfile${where}`,
+        fix: `Run the install to create one (${getSupportedLockfiles(
+          project
+        ).join(", ")})`,
+      });
+      continue;
+    }
+
+    const pm = lockfile.packageManager;
+    const others = candidates.filter((candidate) => candidate.name !== pm.name);
+    if (others.length > 0) {
+      findings.push({
+        problem: `Several lockfiles${where}: ${[pm, ...others]
+          .map((candidate) => candidate.lockFile)
+          .join(", ")}; only ${pm.lockFile} is watched`,
+        fix: 'Delete the lockfiles of package managers you don\'t use, or set "lockfile" in the lockfileGuardian config',
+      });
+    }
+
+    const binary = pm.installCommand.split(" ")[0];
+    if (!isOnPath(binary)) {
+      findings.push({
+        problem: `${binary} isn't on the PATH, so "${pm.installCommand}"${where} can't run`,
+        fix:
+          binary === "pnpm" || binary === "yarn"
+            ? `Run "corepack enable" or install ${binary}`
+            : `Install ${binary}`,
+      });
+    }
+  }
+
+  // Since the hooks don't use npx, they skip the check without the package.
+  // A linked worktree can borrow the main worktree's until it installs
+  const runner = getHookRunner(cwd);
+  const mainRoot = getMainWorktreeRoot(cwd);
+  const installed = (bin: string) =>
+    existsSync(bin) ||
+    (runner.fallback !== undefined &&
+      mainRoot !== null &&
+      existsSync(join(mainRoot, relative(root, bin))));
+  if (runner.bin && !installed(runner.bin)) {
+    const pm = resolveLockfile(cwd).lockfile?.packageManager.name || "npm";
+    findings.push({
+      problem: `The hooks run ${fromRoot(
+        runner.bin
+      )}, which isn't installed, so they skip the check`,
+      fix: ADD_COMMANDS[pm] || "npm install -D lockfile-guardian",
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Apply the fixes that don't take a person, in order. Returns how many ran
+ * and the errors of the ones that failed.
+ */
+export function applyFixes(findings: DoctorFinding[]): {
+  fixed: number;
+  errors: string[];
+} {
+  const errors: string[] = [];
+  let fixed = 0;
+
+  for (const finding of findings) {
+    if (!finding.repair) {
+      continue;
+    }
+    try {
+      finding.repair();
+      fixed++;
+    } catch (error) {
+      errors.push(
+        `${finding.problem}: ${
+          error instanceof Error ? error.message : "Unknown error"
+        }`
+      );
+    }
+  }
+
+  return { fixed, errors };
+}
+
+export function formatFindings(findings: DoctorFinding[]): string {
+  if (findings.length === 0) {
+    return "✅ No problems found";
+  }
+
+  return [
+    `🩺 Found ${findings.length} problem${findings.length === 1 ? "" : "s"}:`,
+    ...findings.map(
+      (finding) =>
+        `❌ ${finding.problem}\n   Fix: ${finding.fix}${
+          finding.repair ? " (doctor --fix does this)" : ""
+        }`
+    ),
+  ].join("\n");
+}
@@ -3,15 +3,53 @@ import {
   existsSync,
   mkdirSync,
   readFileSync,
+  statSync,
   unlinkSync,
   writeFileSync,
 } from "fs";
-import { join } from "path";
-import { GitHookType } from "./types";
-import { getActiveHooksDir, isGitRepository, isHuskyProject } from "./utils";
+import { basename, join, resolve } from "path";
+import { GitHookType, HookManager, HookRunner, HookStatus } from "./types";
+import {
+  getGitCommonDir,
+  getGitHooksPath,
+  getGitRepository,
+  isGitRepository,
+} from "./git";
+import {
+  addManagerHook,
+  detectHookManager,
+  readManagerHook,
+  removeManagerHook,
+} from "./hook-managers";
+import {
+  getHookRunner,
+  getRunnerScript,
+  removeRunnerScript,
+} from "./hook-runner";
+import { detectHusky, getActiveHooksDir } from "./husky";
+import { loadConfig } from "./utils";
 
 const HOOK_SHEBANG = "#!/bin/sh";
-const HOOK_COMMAND = "npx lockfile-guardian check --hook";
+/** Part of every hook command Guardian writes, whichever runner starts it */
+const HOOK_COMMAND = "lockfile-guardian check --hook";
+const PRE_COMMIT_COMMAND = "lockfile-guardian pre-commit";
+
+/**
+ * Guardian's lines in a hook script sit between these markers. The version
+ * goes up when the block changes, and `install` replaces older blocks.
+ */
+const HOOK_FORMAT_VERSION = 2;
+const HOOK_BLOCK_START = `# >>> lockfile-guardian (hook format ${HOOK_FORMAT_VERSION}) >>>`;
+const HOOK_BLOCK_START_PATTERN =
+  /^# >>> lockfile-guardian \(hook format (\d+)\) >>>$/;
+const HOOK_BLOCK_END = "# <<< lockfile-guardian <<<";
+
+/** Written by the versions before the markers */
+const LEGACY_HOOK_COMMENT = "# Lockfile Guardian";
+const LEGACY_HOOK_COMMANDS = [
+  "npx lockfile-guardian check --hook",
+  "npx lockfile-guardian pre-commit",
+];
 
 const GIT_HOOKS: GitHookType[] = [
   { name: "post-checkout", path: "post-checkout" },
@@ -19,33 +57,293 @@ const GIT_HOOKS: GitHookType[] = [
   { name: "post-rewrite", path: "post-rewrite" },
 ];
 
+/** Optional, with the preCommit config option */
+const PRE_COMMIT_HOOK: GitHookType = { name: "pre-commit", path: "pre-commit" };
+
+function getHookCommand(hook: GitHookType): string {
+  return hook === PRE_COMMIT_HOOK ? PRE_COMMIT_COMMAND : HOOK_COMMAND;
+}
+
+/**
+ * Guardian's arguments for a hook: the hook name and git's arguments let the
+ * check skip work when the lockfile can't have changed. `gitArgs` is how the
+ * script that runs it gets git's arguments.
+ */
+function getGuardianArgs(hook: GitHookType, gitArgs: string): string {
+  if (hook === PRE_COMMIT_HOOK) {
+    return "pre-commit";
+  }
+  return gitArgs
+    ? `check --hook ${hook.name} ${gitArgs}`
+    : `check --hook ${hook.name}`;
+}
+
+/**
+ * The hook's line in a script. The pre-commit guard has to fail the hook,
+ * even with other commands after it.
+ */
+function getHookLine(hook: GitHookType, runner: HookRunner): string {
+  return getRunnerScript(
+    runner,
+    getGuardianArgs(hook, '"$@"'),
+    hook === PRE_COMMIT_HOOK
+  );
+}
+
+/**
+ * Husky v4 runs hooks from its config and passes git's arguments in
+ * HUSKY_GIT_PARAMS.
+ */
+function getHuskyV4Command(hook: GitHookType, runner: HookRunner): string {
+  return getRunnerScript(runner, getGuardianArgs(hook, "$HUSKY_GIT_PARAMS"));
+}
+
+/**
+ * lefthook puts git's arguments in place of `{0}`. The pre-commit framework
+ * runs entries without a shell and passes git's arguments in the
+ * environment, where `check --hook` finds them.
+ */
+function getManagerCommand(
+  manager: HookManager,
+  hook: GitHookType,
+  runner: HookRunner
+): string {
+  switch (manager.name) {
+    case "lefthook":
+      return getRunnerScript(runner, getGuardianArgs(hook, "{0}"));
+    case "simple-git-hooks":
+      return getRunnerScript(runner, getGuardianArgs(hook, '"$@"'));
+    case "pre-commit": {
+      const script = getRunnerScript(runner, getGuardianArgs(hook, ""));
+      return `sh -c '${script.replace(/'/g, "'\\''")}'`;
+    }
+  }
+}
+
+function getHooks(cwd: string): GitHookType[] {
+  return loadConfig(cwd).preCommit
+    ? [...GIT_HOOKS, PRE_COMMIT_HOOK]
+    : GIT_HOOKS;
+}
+
+interface HuskyV4Config {
+  /** The parsed config file */
+  config: Record<string, any>;
+  /** Hook name → command, inside `config` */
+  hooks: Record<string, string>;
+}
+
+/**
+ * Read the hooks of a Husky v4 config: the "husky" section of package.json
+ * or a `.huskyrc` file. JavaScript configs can't be edited.
+ */
+function readHuskyV4Config(path: string): HuskyV4Config {
+  if (path.endsWith(".js")) {
+    throw new Error(
+      `Husky v4 reads its hooks from ${basename(
+        path
+      )}, which can't be edited automatically. Add "node_modules/.bin/${HOOK_COMMAND} <hook> $HUSKY_GIT_PARAMS" to its post-checkout, post-merge and post-rewrite hooks`
+    );
+  }
+
+  const config = existsSync(path) ? JSON.parse(readFileSync(path, "utf8")) : {};
+  if (basename(path) === "package.json") {
+    config.husky = config.husky || {};
+  }
+  const husky = basename(path) === "package.json" ? config.husky : config;
+  husky.hooks = husky.hooks || {};
+  return { config, hooks: husky.hooks };
+}
+
+function writeHuskyV4Config(path: string, { config }: HuskyV4Config): void {
+  writeFileSync(path, JSON.stringify(config, null, 2) + "\n", "utf8");
+}
+
+function installHuskyV4Hooks(
+  path: string,
+  hooks: GitHookType[],
+  runner: HookRunner
+): void {
+  const huskyConfig = readHuskyV4Config(path);
+
+  for (const hook of hooks) {
+    // Replaces the command of an older version, which may have used npx
+    const existing = removeRunnerScript(
+      huskyConfig.hooks[hook.name] || "",
+      getHookCommand(hook)
+    );
+    // After the other commands, like in .husky files; only the pre-commit
+    // guard may fail the hook
+    const separator = hook === PRE_COMMIT_HOOK ? " && " : "; ";
+    huskyConfig.hooks[hook.name] = existing
+      ? `${existing}${separator}${getHuskyV4Command(hook, runner)}`
+      : getHuskyV4Command(hook, runner);
+  }
+
+  writeHuskyV4Config(path, huskyConfig);
+}
+
+function uninstallHuskyV4Hooks(path: string): void {
+  if (!existsSync(path) || path.endsWith(".js")) {
+    return;
+  }
+
+  const huskyConfig = readHuskyV4Config(path);
+  let changed = false;
+
+  for (const hook of [...GIT_HOOKS, PRE_COMMIT_HOOK]) {
+    const existing = huskyConfig.hooks[hook.name];
+    if (!existing || !existing.includes(getHookCommand(hook))) {
+      continue;
+    }
+
+    const remaining = removeRunnerScript(existing, getHookCommand(hook));
+    if (remaining) {
+      huskyConfig.hooks[hook.name] = remaining;
+    } else {
+      delete huskyConfig.hooks[hook.name];
+    }
+    changed = true;
+  }
+
+  if (changed) {
+    writeHuskyV4Config(path, huskyConfig);
+  }
+}
+
+/**
+ * The installed hook's script, or its command in the Husky v4 or hook
+ * manager config.
+ */
+function readInstalledHook(hook: GitHookType, cwd: string): string | null {
+  const husky = detectHusky(cwd);
+  const manager = detectHookManager(cwd);
+
+  if (husky?.version === 4) {
+    try {
+      return readHuskyV4Config(husky.path).hooks[hook.name] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  if (manager) {
+    return readManagerHook(manager, hook.name);
+  }
+
+  const hookPath = join(getActiveHooksDir(cwd), hook.path);
+  return existsSync(hookPath) ? readFileSync(hookPath, "utf8") : null;
+}
+
+interface HookBlock {
+  start: number;
+  /** Exclusive */
+  end: number;
+  /** HOOK_FORMAT_VERSION of the block; 1 for the unmarked lines */
+  version: number;
+}
+
+/**
+ * Guardian's block in a hook script. Before the markers (format 1), hooks
+ * got a "# Lockfile Guardian" comment and the command line, or just the npx
+ * command in the oldest versions. Nothing else in the script is touched,
+ * even lines that mention Guardian.
+ */
+function findHookBlock(lines: string[]): HookBlock | null {
+  const start = lines.findIndex((line) =>
+    HOOK_BLOCK_START_PATTERN.test(line.trim())
+  );
+  if (start >= 0) {
+    const version = Number(
+      lines[start].trim().match(HOOK_BLOCK_START_PATTERN)![1]
+    );
+    const end = lines.findIndex(
+      (line, i) => i > start && line.trim() === HOOK_BLOCK_END
+    );
+    // Without its end marker, the block can't safely reach past the marker
+    return { start, end: end >= 0 ? end + 1 : start + 1, version };
+  }
+
+  const legacy = lines.findIndex((line) =>
+    LEGACY_HOOK_COMMANDS.some((command) => line.trim().startsWith(command))
+  );
+  if (legacy >= 0) {
+    const hasComment =
+      legacy > 0 && lines[legacy - 1].trim() === LEGACY_HOOK_COMMENT;
+    return {
+      start: hasComment ? legacy - 1 : legacy,
+      end: legacy + 1,
+      version: 1,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Remove every Guardian block from a script, with the blank line that was
+ * added in front of it. Returns where the first one was.
+ */
+function removeHookBlocks(lines: string[]): {
+  lines: string[];
+  index: number | null;
+} {
+  let result = lines;
+  let index: number | null = null;
+
+  for (
+    let block = findHookBlock(result);
+    block;
+    block = findHookBlock(result)
+  ) {
+    const start =
+      block.start > 0 && result[block.start - 1].trim() === ""
+        ? block.start - 1
+        : block.start;
+    result = [...result.slice(0, start), ...result.slice(block.end)];
+    index = index ?? start;
+  }
+
+  return { lines: result, index };
+}
+
 function createHookContent(
+  hook: GitHookType,
+  runner: HookRunner,
   existingContent?: string,
   isHusky: boolean = false
 ): string {
-  const hookLine = HOOK_COMMAND;
+  const block = [
+    "",
+    HOOK_BLOCK_START,
+    getHookLine(hook, runner),
+    HOOK_BLOCK_END,
+  ];
 
   // If there's existing content, preserve it and add our hook
   if (existingContent && existingContent.trim()) {
-    const lines = existingContent.split("\n");
-
-    // Check if our hook is already present
-    if (lines.some((line) => line.includes(HOOK_COMMAND))) {
-      return existingContent;
+    // Replace a block written before, in place; older formats are upgraded
+    const { lines, index } = removeHookBlocks(existingContent.split("\n"));
+    if (index !== null) {
+      lines.splice(index, 0, ...(index === 0 ? block.slice(1) : block));
+      return lines.join("\n");
     }
 
     // For Husky hooks, we want to add our command at the end to run after other hooks
     // For traditional hooks, we add after the shebang
     if (isHusky) {
       // Husky hooks don't need shebang handling, just append
-      return existingContent + "\n\n# Lockfile Guardian\n" + hookLine;
+      const content = existingContent.endsWith("\n")
+        ? existingContent
+        : existingContent + "\n";
+      return content + [...block, ""].join("\n");
     } else {
       // Traditional git hooks - add after shebang
       const shebangIndex = lines.findIndex((line) => line.startsWith("#!"));
       if (shebangIndex >= 0) {
-        lines.splice(shebangIndex + 1, 0, "", `# Lockfile Guardian`, hookLine);
+        lines.splice(shebangIndex + 1, 0, ...block);
       } else {
-        lines.unshift(HOOK_SHEBANG, "", "# Lockfile Guardian", hookLine);
+        lines.unshift(HOOK_SHEBANG, ...block);
       }
       return lines.join("\n");
     }
@@ -53,11 +351,11 @@ function createHookContent(
 
   // Create new hook content
   if (isHusky) {
-    // Husky hooks are simpler - just the command with a comment
-    return ["# Lockfile Guardian", hookLine, ""].join("\n");
+    // Husky hooks are simpler - just our block
+    return [...block.slice(1), ""].join("\n");
   } else {
     // Traditional hooks need shebang
-    return [HOOK_SHEBANG, "", "# Lockfile Guardian", hookLine, ""].join("\n");
+    return [HOOK_SHEBANG, ...block, ""].join("\n");
   }
 }
 
@@ -65,26 +363,21 @@ function removeHookContent(
   content: string,
   isHusky: boolean = false
 ): string | null {
-  const lines = content.split("\n");
-  const filteredLines = lines.filter(
-    (line) =>
-      !line.includes(HOOK_COMMAND) && !line.includes("# Lockfile Guardian")
-  );
-
-  const remainingContent = filteredLines.join("\n").trim();
+  const { lines } = removeHookBlocks(content.split("\n"));
+  const remainingContent = lines.join("\n").trim();
 
   if (isHusky) {
     // For Husky hooks, if no content remains, remove the file
     if (remainingContent === "") {
       return null;
     }
-    return filteredLines.join("\n");
+    return lines.join("\n");
   } else {
     // For traditional hooks, if only shebang remains, remove the file entirely
     if (remainingContent === HOOK_SHEBANG || remainingContent === "") {
       return null;
     }
-    return filteredLines.join("\n");
+    return lines.join("\n");
   }
 }
 
@@ -95,7 +388,33 @@ export function installGitHooks(cwd: string = process.cwd()): void {
     );
   }
 
-  const isHusky = isHuskyProject(cwd);
+  const husky = detectHusky(cwd);
+  const manager = detectHookManager(cwd);
+  const hooks = getHooks(cwd);
+  const runner = getHookRunner(cwd);
+
+  // Husky v4 regenerates the scripts in .git/hooks; it keeps hooks in its config
+  if (husky?.version === 4) {
+    installHuskyV4Hooks(husky.path, hooks, runner);
+    return;
+  }
+
+  // So do the hook managers
+  if (manager) {
+    for (const hook of hooks) {
+      const command = getManagerCommand(manager, hook, runner);
+      const existing = readManagerHook(manager, hook.name) || "";
+      if (existing.includes(command)) {
+        continue;
+      }
+      if (existing.includes(getHookCommand(hook))) {
+        removeManagerHook(manager, hook.name, getHookCommand(hook));
+      }
+      addManagerHook(manager, hook.name, command);
+    }
+    return;
+  }
+
   const hooksDir = getActiveHooksDir(cwd);
 
   // Create hooks directory if it doesn't exist
@@ -103,7 +422,7 @@ export function installGitHooks(cwd: string = process.cwd()): void {
     mkdirSync(hooksDir, { recursive: true });
   }
 
-  for (const hook of GIT_HOOKS) {
+  for (const hook of hooks) {
     const hookPath = join(hooksDir, hook.path);
 
     let existingContent = "";
@@ -111,7 +430,12 @@ export function installGitHooks(cwd: string = process.cwd()): void {
       existingContent = readFileSync(hookPath, "utf8");
     }
 
-    const newContent = createHookContent(existingContent, isHusky);
+    const newContent = createHookContent(
+      hook,
+      runner,
+      existingContent,
+      !!husky
+    );
     writeFileSync(hookPath, newContent, "utf8");
 
     // Make executable (important for both traditional and Husky hooks)
@@ -124,15 +448,29 @@ export function uninstallGitHooks(cwd: string = process.cwd()): void {
     return; // Silently skip if not a git repository
   }
 
-  const isHusky = isHuskyProject(cwd);
+  const husky = detectHusky(cwd);
+
+  if (husky?.version === 4) {
+    uninstallHuskyV4Hooks(husky.path);
+    return;
+  }
+
+  const manager = detectHookManager(cwd);
+  if (manager) {
+    for (const hook of [...GIT_HOOKS, PRE_COMMIT_HOOK]) {
+      removeManagerHook(manager, hook.name, getHookCommand(hook));
+    }
+    return;
+  }
+
   const hooksDir = getActiveHooksDir(cwd);
 
-  for (const hook of GIT_HOOKS) {
+  for (const hook of [...GIT_HOOKS, PRE_COMMIT_HOOK]) {
     const hookPath = join(hooksDir, hook.path);
 
     if (existsSync(hookPath)) {
       const content = readFileSync(hookPath, "utf8");
-      const newContent = removeHookContent(content, isHusky);
+      const newContent = removeHookContent(content, !!husky);
 
       if (newContent === null) {
         unlinkSync(hookPath);
@@ -148,15 +486,117 @@ export function areHooksInstalled(cwd: string = process.cwd()): boolean {
     return false;
   }
 
-  const hooksDir = getActiveHooksDir(cwd);
+  return GIT_HOOKS.every((hook) =>
+    (readInstalledHook(hook, cwd) || "").includes(HOOK_COMMAND)
+  );
+}
 
-  return GIT_HOOKS.every((hook) => {
-    const hookPath = join(hooksDir, hook.path);
-    if (!existsSync(hookPath)) {
-      return false;
+export function isPreCommitHookInstalled(cwd: string = process.cwd()): boolean {
+  if (!isGitRepository(cwd)) {
+    return false;
+  }
+
+  return (readInstalledHook(PRE_COMMIT_HOOK, cwd) || "").includes(
+    PRE_COMMIT_COMMAND
+  );
+}
+
+/** Names of the git hooks `install` sets up */
+export function getHookNames(cwd: string = process.cwd()): string[] {
+  return getHooks(cwd).map((hook) => hook.name);
+}
+
+/**
+ * Hook scripts whose Guardian block was written in an older format, which
+ * `install` upgrades. Config-based hooks have no format to go out of date.
+ */
+export function getOutdatedHooks(cwd: string = process.cwd()): string[] {
+  if (
+    !isGitRepository(cwd) ||
+    detectHusky(cwd)?.version === 4 ||
+    detectHookManager(cwd)
+  ) {
+    return [];
+  }
+
+  return [...GIT_HOOKS, PRE_COMMIT_HOOK]
+    .filter((hook) => {
+      const content = readInstalledHook(hook, cwd);
+      const block = content && findHookBlock(content.split("\n"));
+      return block && block.version < HOOK_FORMAT_VERSION;
+    })
+    .map((hook) => hook.name);
+}
+
+/**
+ * Where each of the hooks `install` sets up stands, for `doctor`.
+ */
+export function inspectGitHooks(cwd: string = process.cwd()): HookStatus[] {
+  if (!isGitRepository(cwd)) {
+    return [];
+  }
+
+  const husky = detectHusky(cwd);
+  const manager = detectHookManager(cwd);
+  const configPath = husky?.version === 4 ? husky.path : manager?.configPath;
+
+  return getHooks(cwd).map((hook): HookStatus => {
+    const path = configPath || join(getActiveHooksDir(cwd), hook.path);
+    const status = (state: HookStatus["state"]) => ({
+      name: hook.name,
+      path,
+      state,
+    });
+    const content = readInstalledHook(hook, cwd);
+
+    if (content === null) {
+      return status("missing");
+    }
+    if (!content.includes(getHookCommand(hook))) {
+      return status("overwritten");
+    }
+
+    // The tool writes the script git runs from its config
+    if (configPath) {
+      return existsSync(join(getGitHooksPath(cwd), hook.path))
+        ? status("ok")
+        : status("not-generated");
+    }
+
+    // Husky v9 runs the scripts in .husky with sh
+    if (husky?.version !== 9 && (statSync(path).mode & 0o111) === 0) {
+      return status("not-executable");
     }
 
-    const content = readFileSync(hookPath, "utf8");
-    return content.includes(HOOK_COMMAND);
+    const block = findHookBlock(content.split("\n"));
+    return block && block.version < HOOK_FORMAT_VERSION
+      ? status("outdated")
+      : status("ok");
+  });
+}
+
+/**
+ * Hook directories git doesn't run that have Guardian's hooks in them, such
+ * as `.git/hooks` after core.hooksPath was pointed elsewhere, or `.husky`
+ * after core.hooksPath was unset.
+ */
+export function findStrayHookDirs(cwd: string = process.cwd()): string[] {
+  if (!isGitRepository(cwd)) {
+    return [];
+  }
+
+  const activeDir = resolve(getActiveHooksDir(cwd));
+  const candidates = [
+    join(getGitCommonDir(cwd), "hooks"),
+    join(getGitRepository(cwd).root, ".husky"),
+  ];
+
+  return candidates.filter((dir) => {
+    const hookPath = join(dir, "post-checkout");
+    return (
+      resolve(dir) !== activeDir &&
+      existsSync(hookPath) &&
+      readFileSync(hookPath, "utf8").includes(HOOK_COMMAND)
+    );
   });
 }
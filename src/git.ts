@@ -0,0 +1,208 @@
+import { spawnSync } from "child_process";
+import { existsSync } from "fs";
+import { basename, dirname, join, resolve } from "path";
+import { GitRepository } from "./types";
+
+/** Repositories found so far, by directory and git environment */
+const repositories = new Map<string, GitRepository>();
+
+/**
+ * The environment for git commands. Git hands hooks in linked worktrees a
+ * GIT_DIR without GIT_WORK_TREE, which only works from the top of the
+ * worktree, and relative paths only work from where they were set. Pin both
+ * to absolute paths so commands can run in any project directory.
+ */
+function getGitEnv(): NodeJS.ProcessEnv {
+  const { GIT_DIR, GIT_WORK_TREE } = process.env;
+
+  if (!GIT_DIR) {
+    return process.env;
+  }
+
+  return {
+    ...process.env,
+    GIT_DIR: resolve(GIT_DIR),
+    GIT_WORK_TREE: resolve(GIT_WORK_TREE || process.cwd()),
+  };
+}
+
+/**
+ * Run a git command and return its trimmed output, or null if it failed.
+ */
+export function runGit(
+  args: string[],
+  cwd: string = process.cwd()
+): string | null {
+  const result = spawnSync("git", args, {
+    cwd,
+    env: getGitEnv(),
+    encoding: "utf8",
+    stdio: "pipe",
+  });
+  return result.status === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Find the repository `cwd` belongs to with a single `git rev-parse`, which
+ * follows `.git` files (worktrees, submodules), GIT_DIR/GIT_WORK_TREE and
+ * core.hooksPath the way git itself does. Throws outside a repository and in
+ * bare repositories, which have no working tree to install into.
+ */
+export function getGitRepository(cwd: string = process.cwd()): GitRepository {
+  const env = getGitEnv();
+  const key = [resolve(cwd), env.GIT_DIR, env.GIT_WORK_TREE].join("\0");
+  const cached = repositories.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  const result = spawnSync(
+    "git",
+    [
+      "rev-parse",
+      "--path-format=absolute",
+      "--is-bare-repository",
+      "--git-dir",
+      "--git-common-dir",
+      "--git-path",
+      "hooks",
+      "--show-toplevel",
+    ],
+    { cwd, env, encoding: "utf8", stdio: "pipe" }
+  );
+  // Git before 2.31 echoes the unknown --path-format option back
+  const lines = (result.stdout || "")
+    .split("\n")
+    .filter((line) => line && line !== "--path-format=absolute");
+
+  if (lines[0] === "true") {
+    throw new Error(
+      "Bare repositories have no working tree. Run this command in a checkout or a worktree"
+    );
+  }
+  if (result.status !== 0 || lines.length < 5) {
+    throw new Error("Not in a git repository");
+  }
+
+  const [, gitDir, commonDir, hooksDir, root] = lines.map((line) =>
+    resolve(cwd, line)
+  );
+  const repository = { root, gitDir, commonDir, hooksDir };
+  repositories.set(key, repository);
+  return repository;
+}
+
+export function findGitRoot(cwd: string = process.cwd()): string | null {
+  try {
+    return getGitRepository(cwd).root;
+  } catch {
+    return null;
+  }
+}
+
+export function isGitRepository(cwd: string = process.cwd()): boolean {
+  return findGitRoot(cwd) !== null;
+}
+
+export function isBareRepository(cwd: string = process.cwd()): boolean {
+  return runGit(["rev-parse", "--is-bare-repository"], cwd) === "true";
+}
+
+/**
+ * The git directory of the current worktree: `.git` in the main worktree,
+ * `.git/worktrees/<name>` in a linked one, `.git/modules/<name>` in a
+ * submodule. Holds per-worktree data.
+ */
+export function getGitDir(cwd: string = process.cwd()): string {
+  return getGitRepository(cwd).gitDir;
+}
+
+/**
+ * The git directory shared by all worktrees of a repository.
+ */
+export function getGitCommonDir(cwd: string = process.cwd()): string {
+  return getGitRepository(cwd).commonDir;
+}
+
+/**
+ * The main worktree of a repository, which owns the common git dir. Null
+ * when there is none (submodules, bare repositories with worktrees).
+ */
+export function getMainWorktreeRoot(
+  cwd: string = process.cwd()
+): string | null {
+  const commonDir = getGitCommonDir(cwd);
+  return basename(commonDir) === ".git" ? dirname(commonDir) : null;
+}
+
+/**
+ * Git's default hooks directory, ignoring core.hooksPath.
+ */
+export function getGitHooksDir(cwd: string = process.cwd()): string {
+  return join(getGitCommonDir(cwd), "hooks");
+}
+
+/**
+ * Where git runs hooks from, honoring core.hooksPath.
+ */
+export function getGitHooksPath(cwd: string = process.cwd()): string {
+  return getGitRepository(cwd).hooksDir;
+}
+
+/** Files git keeps in the git dir while an operation is stopped midway */
+const OPERATION_MARKERS: [string, string][] = [
+  ["rebase-merge", "rebase"],
+  ["rebase-apply", "rebase"],
+  ["MERGE_HEAD", "merge"],
+  ["CHERRY_PICK_HEAD", "cherry-pick"],
+  ["REVERT_HEAD", "revert"],
+  ["sequencer", "cherry-pick"],
+];
+
+/**
+ * The rebase, merge, cherry-pick or revert in progress in the worktree, or
+ * null if there is none.
+ */
+export function getOperationInProgress(
+  cwd: string = process.cwd()
+): string | null {
+  const gitDir = getGitDir(cwd);
+  const marker = OPERATION_MARKERS.find(([file]) =>
+    existsSync(join(gitDir, file))
+  );
+  return marker ? marker[1] : null;
+}
+
+/**
+ * Files under `paths` (relative to the top of the working tree) that differ
+ * between two commits, or null if git can't tell, e.g. for a commit that
+ * isn't available.
+ */
+export function getChangedFiles(
+  from: string,
+  to: string,
+  paths: string[],
+  cwd: string = process.cwd()
+): string[] | null {
+  const output = runGit(
+    [
+      "--literal-pathspecs",
+      "diff",
+      "--name-only",
+      "--no-renames",
+      from,
+      to,
+      "--",
+      ...paths,
+    ],
+    getGitRepository(cwd).root
+  );
+  return output === null ? null : output.split("\n").filter(Boolean);
+}
+
+/**
+ * The commit checked out in the repository, or null before the first commit.
+ */
+export function getHeadCommit(cwd: string = process.cwd()): string | null {
+  return runGit(["rev-parse", "--verify", "-q", "HEAD"], cwd);
+}
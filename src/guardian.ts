@@ -1,77 +1,177 @@
-import {
-  writeFileSync,
-  readFileSync,
-  existsSync,
-  unlinkSync,
-  mkdirSync,
-} from "fs";
+import { existsSync } from "fs";
 import { spawn } from "child_process";
-import { dirname } from "path";
+import { join, relative } from "path";
+import {
+  createDependencySnapshot,
+  diffDependencySnapshots,
+  formatDependencyDiff,
+} from "./dependency-diff";
+import { hasInstall, seedFromMainWorktree } from "./bootstrap";
+import {
+  clearCache,
+  getCacheEntry,
+  parseSize,
+  pruneCache,
+  restoreFromCache,
+  saveToCache,
+} from "./cache";
+import { describeInputChanges, hashInstallInputs } from "./install-inputs";
+import { verifyInstallation } from "./install-state";
+import { parseLockfile } from "./lockfile-parsers";
+import { detectManifestDrift, formatManifestDrift } from "./manifest-drift";
+import {
+  describeRequirementChanges,
+  getNodeRuntime,
+  needsRebuild,
+} from "./node-runtime";
+import { getChangedProjects } from "./hook-changes";
+import { getRegisteredProjects } from "./projects";
+import {
+  getDeferredOperation,
+  getProjectName,
+  getProjectState,
+  setDeferredOperation,
+  updateProjectState,
+} from "./state";
 import {
+  DependencySnapshot,
+  HookInvocation,
+  LockfileGuardianConfig,
+  LockfileInfo,
+  LockfileResolution,
+  NodeRuntime,
+  ProjectWarning,
+} from "./types";
+import { findGitRoot, getHeadCommit, getOperationInProgress } from "./git";
+import {
+  createSHA256Hash,
   findLockfile,
-  getGuardianDataPath,
   loadConfig,
   isNodeModulesIgnored,
+  isYarnPnP,
   log,
   logWarning,
   logError,
+  getSupportedLockfiles,
+  resolveLockfile,
 } from "./utils";
 
-export function storeCurrentHash(cwd: string = process.cwd()): void {
+function storeNodeRuntime(cwd: string): void {
+  updateProjectState(
+    (entry) => ({ ...entry, runtime: getNodeRuntime(cwd) }),
+    cwd
+  );
+}
+
+function storeInstallInputs(lockfileInfo: LockfileInfo, cwd: string): void {
+  updateProjectState(
+    (entry) => ({
+      ...entry,
+      inputs: hashInstallInputs(lockfileInfo.packageManager, cwd),
+    }),
+    cwd
+  );
+}
+
+/**
+ * Store the lockfile hash and snapshot. After an install, also record the
+ * Node.js runtime the dependencies were built with and the other install
+ * inputs (.npmrc, patches/, ...).
+ */
+export function storeCurrentHash(
+  cwd: string = process.cwd(),
+  afterInstall: boolean = true
+): void {
   const lockfileInfo = findLockfile(cwd);
 
   if (!lockfileInfo) {
     return; // No lockfile found
   }
 
-  const dataPath = getGuardianDataPath(cwd);
+  // Keep the resolved package set so later warnings can say what changed
+  const parsed = parseLockfile(lockfileInfo.path, cwd);
 
-  // Ensure the directory exists
-  const dir = dirname(dataPath);
-  if (!existsSync(dir)) {
-    mkdirSync(dir, { recursive: true });
-  }
+  updateProjectState(
+    (entry) => ({
+      ...entry,
+      hash: lockfileInfo.hash,
+      packageManager: lockfileInfo.packageManager.name,
+      updatedAt: new Date().toISOString(),
+      head: getHeadCommit(cwd),
+      snapshot: parsed ? createDependencySnapshot(parsed) : undefined,
+      ...(afterInstall && {
+        runtime: getNodeRuntime(cwd),
+        inputs: hashInstallInputs(lockfileInfo.packageManager, cwd),
+      }),
+    }),
+    cwd
+  );
+}
 
-  writeFileSync(dataPath, lockfileInfo.hash, "utf8");
+export function getStoredSnapshot(
+  cwd: string = process.cwd()
+): DependencySnapshot | null {
+  return getProjectState(cwd)?.snapshot || null;
 }
 
-export function getStoredHash(cwd: string = process.cwd()): string | null {
-  const dataPath = getGuardianDataPath(cwd);
+export function getStoredNodeRuntime(
+  cwd: string = process.cwd()
+): NodeRuntime | null {
+  return getProjectState(cwd)?.runtime || null;
+}
 
-  if (!existsSync(dataPath)) {
-    return null;
-  }
+export function getStoredInputs(
+  cwd: string = process.cwd()
+): Record<string, string> | null {
+  return getProjectState(cwd)?.inputs || null;
+}
 
-  try {
-    return readFileSync(dataPath, "utf8").trim();
-  } catch {
-    return null;
-  }
+export function getStoredHash(cwd: string = process.cwd()): string | null {
+  return getProjectState(cwd)?.hash || null;
 }
 
 export function clearStoredHash(cwd: string = process.cwd()): void {
   try {
-    const dataPath = getGuardianDataPath(cwd);
-
-    if (existsSync(dataPath)) {
-      unlinkSync(dataPath);
-    }
+    clearCache(cwd);
+    updateProjectState(() => null, cwd);
   } catch {
-    // If we can't get the guardian data path (e.g., not in git repo),
+    // If we can't find the state (e.g., not in git repo),
     // there's nothing to clear anyway, so fail silently
   }
 }
 
+/**
+ * Describe what changed between the stored snapshot and the lockfile on disk.
+ * Returns no lines when there's no snapshot or the lockfile can't be parsed.
+ */
+function describeDependencyChanges(
+  lockfileInfo: LockfileInfo,
+  cwd: string
+): string[] {
+  const previous = getStoredSnapshot(cwd);
+  const parsed = previous && parseLockfile(lockfileInfo.path, cwd);
+
+  if (!previous || !parsed) {
+    return [];
+  }
+
+  return formatDependencyDiff(
+    diffDependencySnapshots(previous, createDependencySnapshot(parsed))
+  );
+}
+
 function createWarningBox(
-  lockfileName: string,
-  installCommand: string
+  headline: string,
+  installCommand: string,
+  changes: string[] = []
 ): string {
   const separator = "=====================================";
   return [
     separator,
     "⚠️  DEPENDENCIES OUT OF DATE  ⚠️",
     separator,
-    `Lock file ${lockfileName} has changed!`,
+    headline,
+    ...(changes.length > 0 ? ["", ...changes] : []),
     "",
     "Run this command to update:",
     `  ${installCommand}`,
@@ -79,6 +179,107 @@ function createWarningBox(
   ].join("\n");
 }
 
+const RESOLUTION_SOURCES: Record<LockfileResolution["source"], string> = {
+  config: 'the "lockfile" option in the lockfileGuardian config',
+  packageManager: 'the "packageManager" field in package.json',
+  priority: "detection priority",
+};
+
+/**
+ * Describe lockfiles from other package managers sitting next to the watched
+ * one, or a declared package manager whose lockfile is missing.
+ */
+export function formatLockfileConflict(
+  resolution: LockfileResolution
+): string | null {
+  const { lockfile, candidates, declared, source } = resolution;
+
+  if (!lockfile) {
+    return null;
+  }
+
+  const pm = lockfile.packageManager;
+  const others = candidates.filter((candidate) => candidate.name !== pm.name);
+
+  if (others.length > 0) {
+    return [
+      `⚠️  Warning: multiple lockfiles found (${[pm, ...others]
+        .map((candidate) => candidate.lockFile)
+        .join(", ")})`,
+      `   Watching ${pm.lockFile}, chosen by ${RESOLUTION_SOURCES[source]}`,
+      '   Delete the stray lockfiles or set "lockfile" in the lockfileGuardian config',
+    ].join("\n");
+  }
+
+  if (declared && source === "priority") {
+    return `⚠️  Warning: package.json declares ${declared} but only ${pm.lockFile} was found`;
+  }
+
+  return null;
+}
+
+/** Receives the warnings of a check instead of printing them right away */
+type WarningHandler = (warning: ProjectWarning) => void;
+
+function printWarning(warning: ProjectWarning): void {
+  logWarning(
+    createWarningBox(warning.headline, warning.command, warning.changes)
+  );
+}
+
+/**
+ * Prefix a command with a `cd` into the project, relative to `from`.
+ */
+function commandInProject(
+  command: string,
+  project: string,
+  from: string
+): string {
+  const path = relative(from, project);
+  if (!path) {
+    return command;
+  }
+  return `cd ${/\s/.test(path) ? JSON.stringify(path) : path} && ${command}`;
+}
+
+/**
+ * One warning box for every out-of-date project, listing what changed in
+ * each and the commands to run from `from`.
+ */
+export function formatProjectWarnings(
+  warnings: ProjectWarning[],
+  from: string
+): string {
+  if (warnings.length === 1) {
+    const [warning] = warnings;
+    const name = relative(from, warning.cwd);
+    return createWarningBox(
+      name ? `${name}: ${warning.headline}` : warning.headline,
+      commandInProject(warning.command, warning.cwd, from),
+      warning.changes
+    );
+  }
+
+  const separator = "=====================================";
+  return [
+    separator,
+    "⚠️  DEPENDENCIES OUT OF DATE  ⚠️",
+    separator,
+    `${warnings.length} projects are out of date:`,
+    ...warnings.flatMap((warning) => [
+      "",
+      `${getProjectName(warning.cwd)}: ${warning.headline}`,
+      ...warning.changes.map((line) => (line ? `  ${line}` : line)),
+    ]),
+    "",
+    "Run these commands to update:",
+    ...warnings.map(
+      (warning) => `  ${commandInProject(warning.command, warning.cwd, from)}`
+    ),
+    separator,
+  ].join("\n");
+}
+
 function runInstallCommand(command: string, cwd: string): Promise<boolean> {
   return new Promise((resolve) => {
     const [cmd, ...args] = command.split(" ");
@@ -98,6 +299,191 @@ function runInstallCommand(command: string, cwd: string): Promise<boolean> {
   });
 }
 
+/**
+ * Warn about out-of-date dependencies, or install them in autoInstall mode.
+ */
+async function handleOutOfDate(
+  lockfileInfo: LockfileInfo,
+  headline: string,
+  changes: string[],
+  config: LockfileGuardianConfig,
+  cwd: string,
+  warn: WarningHandler
+): Promise<void> {
+  const installCommand = lockfileInfo.packageManager.installCommand;
+
+  if (config.autoInstall) {
+    log(`🔒 ${headline}`, config.silent);
+    if (changes.length > 0) {
+      log(changes.join("\n"), config.silent);
+    }
+    log(
+      `🔒 Auto-installing dependencies with ${lockfileInfo.packageManager.name}...`,
+      config.silent
+    );
+
+    const success = await runInstallCommand(installCommand, cwd);
+
+    if (success) {
+      log("🔒 Dependencies updated successfully!", config.silent);
+      // Note: Hash will be updated by post-install script, not here
+    } else {
+      logError("🔒 Failed to install dependencies. Please run manually:");
+      logError(`  ${installCommand}`);
+    }
+  } else {
+    // Show warning - don't update hash until user actually runs install
+    warn({ cwd, headline, command: installCommand, changes });
+  }
+}
+
+function describeVerification(
+  lockfileName: string,
+  status: "outdated" | "missing"
+): string {
+  return status === "missing"
+    ? `Dependencies from ${lockfileName} are not installed!`
+    : `Installed dependencies don't match ${lockfileName}!`;
+}
+
+/**
+ * Warn when the Node.js version requirements changed, and rebuild (or ask
+ * for a rebuild) when native addons were built for another Node.js major
+ * version or ABI.
+ */
+async function checkNodeRuntime(
+  lockfileInfo: LockfileInfo,
+  config: LockfileGuardianConfig,
+  cwd: string,
+  warn: WarningHandler
+): Promise<void> {
+  const previous = getStoredNodeRuntime(cwd);
+
+  // Installs from before the runtime was recorded: assume it's this one
+  if (!previous) {
+    if (getStoredHash(cwd)) {
+      storeNodeRuntime(cwd);
+    }
+    return;
+  }
+
+  const current = getNodeRuntime(cwd);
+  const requirements = describeRequirementChanges(previous, current);
+  if (requirements.length > 0) {
+    logWarning(
+      [
+        "⚠️  Warning: Node.js version requirements changed since the last install",
+        ...requirements.map((change) => `   ${change}`),
+        `   Running Node.js ${current.version}`,
+      ].join("\n")
+    );
+  }
+
+  if (!needsRebuild(previous, current)) {
+    return;
+  }
+
+  const pm = lockfileInfo.packageManager;
+  const rebuildCommand = pm.rebuildCommand || pm.installCommand;
+  const headline = `Node.js changed from ${previous.version} to ${current.version}!`;
+
+  if (config.autoInstall) {
+    log(`🔒 ${headline}`, config.silent);
+    log(`🔒 Rebuilding native addons with ${pm.name}...`, config.silent);
+
+    if (await runInstallCommand(rebuildCommand, cwd)) {
+      storeNodeRuntime(cwd);
+      log("🔒 Native addons rebuilt successfully!", config.silent);
+    } else {
+      logError("🔒 Failed to rebuild native addons. Please run manually:");
+      logError(`  ${rebuildCommand}`);
+    }
+  } else {
+    warn({
+      cwd,
+      headline,
+      command: rebuildCommand,
+      changes: [
+        `Native addons were built for ABI ${previous.abi}, this Node.js uses ABI ${current.abi}.`,
+      ],
+    });
+  }
+}
+
+/**
+ * Swap in a cached node_modules for the current lockfile, moving the
+ * installed one into the cache under the stored hash. Returns false if
+ * there is no usable cache entry.
+ */
+function restoreCachedInstall(
+  lockfileInfo: LockfileInfo,
+  storedHash: string,
+  config: LockfileGuardianConfig,
+  cwd: string
+): boolean {
+  const entry = config.cache && getCacheEntry(lockfileInfo.hash, cwd);
+
+  if (!entry || entry.abi !== process.versions.modules || isYarnPnP(cwd)) {
+    return false;
+  }
+
+  const installed = existsSync(join(cwd, "node_modules"));
+  if (installed && !saveToCache(storedHash, "move", cwd)) {
+    return false;
+  }
+
+  if (!restoreFromCache(lockfileInfo.hash, cwd)) {
+    // Put the previous install back rather than leave the project without one
+    if (installed) {
+      restoreFromCache(storedHash, cwd);
+    }
+    return false;
+  }
+
+  storeCurrentHash(cwd);
+  pruneCache(parseSize(config.cacheMaxSize), cwd);
+  log(
+    `🔒 Restored node_modules for ${lockfileInfo.packageManager.lockFile} from cache`,
+    config.silent
+  );
+  return true;
+}
+
+/**
+ * Set up dependencies in a checkout that has none: seed node_modules from
+ * the main worktree when enabled and it was installed from the same
+ * lockfile, otherwise install (autoInstall) or ask for an install. Nothing
+ * is recorded until the install happens.
+ */
+async function bootstrapProject(
+  lockfileInfo: LockfileInfo,
+  config: LockfileGuardianConfig,
+  cwd: string,
+  warn: WarningHandler
+): Promise<void> {
+  const source = config.seedWorktrees
+    ? seedFromMainWorktree(lockfileInfo, cwd)
+    : null;
+
+  if (source) {
+    storeCurrentHash(cwd);
+    log(
+      `🔒 Linked node_modules from the main worktree (${source})`,
+      config.silent
+    );
+    return;
+  }
+
+  await handleOutOfDate(
+    lockfileInfo,
+    describeVerification(lockfileInfo.packageManager.lockFile, "missing"),
+    [],
+    config,
+    cwd,
+    warn
+  );
+}
+
 /**
  * Check if lockfile has changed compared to stored hash.
  * This function only checks and warns - it doesn't update the stored hash.
@@ -105,27 +491,162 @@ function runInstallCommand(command: string, cwd: string): Promise<boolean> {
  */
 export async function checkLockfile(
   isHook: boolean = false,
-  cwd: string = process.cwd()
+  cwd: string = process.cwd(),
+  verify: LockfileGuardianConfig["verifyInstall"] = loadConfig(cwd)
+    .verifyInstall
+): Promise<void> {
+  await checkProject(isHook, cwd, verify, printWarning);
+}
+
+/**
+ * Check every project registered by `install`, as the git hooks do, and
+ * print a single warning for all out-of-date projects. Without registered
+ * projects (installs from older versions) only `cwd` is checked. `verify`
+ * overrides each project's verifyInstall option. With the arguments git
+ * passed the hook, projects whose files the git operation didn't touch are
+ * skipped without hashing anything.
+ */
+export async function checkRegisteredProjects(
+  cwd: string = process.cwd(),
+  verify?: LockfileGuardianConfig["verifyInstall"],
+  hook?: HookInvocation
+): Promise<void> {
+  // Rebases and cherry-pick sequences fire hooks at every step; check once
+  // at the end instead. post-rewrite runs when a rebase is done, while its
+  // state is still around.
+  const operation = getOperationInProgress(cwd);
+  if (
+    operation &&
+    !(hook?.name === "post-rewrite" && hook.args[0] === "rebase")
+  ) {
+    setDeferredOperation(operation, cwd);
+    return;
+  }
+  // The deferred check covers the whole operation, not just the last step
+  if (getDeferredOperation(cwd)) {
+    setDeferredOperation(null, cwd);
+    hook = undefined;
+  }
+
+  const projects = getRegisteredProjects(cwd);
+
+  if (projects.length === 0) {
+    if (getChangedProjects(hook, [cwd]).length > 0) {
+      await checkLockfile(true, cwd, verify);
+    }
+    return;
+  }
+
+  // The project may not exist on the branch that was checked out
+  const existing = projects.filter((project) => existsSync(project));
+
+  const warnings: ProjectWarning[] = [];
+  for (const project of getChangedProjects(hook, existing)) {
+    await checkProject(
+      true,
+      project,
+      verify ?? loadConfig(project).verifyInstall,
+      (warning) => warnings.push(warning)
+    );
+  }
+
+  if (warnings.length > 0) {
+    logWarning(formatProjectWarnings(warnings, findGitRoot(cwd) || cwd));
+  }
+}
+
+async function checkProject(
+  isHook: boolean,
+  cwd: string,
+  verify: LockfileGuardianConfig["verifyInstall"],
+  warn: WarningHandler
 ): Promise<void> {
   const config = loadConfig(cwd);
-  const lockfileInfo = findLockfile(cwd);
+  const resolution = resolveLockfile(cwd);
+  const lockfileInfo = resolution.lockfile;
 
   if (!lockfileInfo) {
-    if (!isHook) {
+    if (!isHook && config.lockfile) {
       logError(
-        "No lockfile found. Supported lockfiles: pnpm-lock.yaml, yarn.lock, package-lock.json"
+        `Configured lockfile ${config.lockfile} not found. Check the "lockfile" option in the lockfileGuardian config`
+      );
+    } else if (!isHook) {
+      logError(
+        `No lockfile found. Supported lockfiles: ${getSupportedLockfiles(
+          cwd
+        ).join(", ")}`
       );
     }
     return;
   }
 
-  // Check node_modules gitignore
-  if (config.checkNodeModules && !isNodeModulesIgnored(cwd)) {
+  const conflict = formatLockfileConflict(resolution);
+  if (conflict) {
+    logWarning(conflict);
+  }
+
+  const drift = detectManifestDrift(lockfileInfo, cwd);
+  if (drift && drift.length > 0) {
+    logWarning(formatManifestDrift(drift, lockfileInfo));
+  }
+
+  // Check node_modules gitignore (PnP projects don't have node_modules)
+  if (
+    config.checkNodeModules &&
+    !isYarnPnP(cwd) &&
+    !isNodeModulesIgnored(cwd)
+  ) {
     logWarning("⚠️  Warning: node_modules is not in .gitignore");
   }
 
-  const storedHash = getStoredHash(cwd);
+  await checkNodeRuntime(lockfileInfo, config, cwd, warn);
+
+  let storedHash = getStoredHash(cwd);
   const currentHash = lockfileInfo.hash;
+  const lockfileName = lockfileInfo.packageManager.lockFile;
+
+  // Installs from before inputs were recorded start tracking them now
+  const storedInputs = getStoredInputs(cwd);
+  if (!storedInputs && storedHash) {
+    storeInstallInputs(lockfileInfo, cwd);
+  }
+  const changedInputs = storedInputs
+    ? describeInputChanges(
+        storedInputs,
+        hashInstallInputs(lockfileInfo.packageManager, cwd)
+      )
+    : [];
+
+  // What is actually installed beats the stored hash, when we can read it
+  const verification = verify
+    ? verifyInstallation(lockfileInfo, cwd, verify === "deep")
+    : null;
+  if (verification && verification.status === "ok") {
+    if (storedHash !== currentHash) {
+      // Without a stored hash this is the first run, so record everything
+      storeCurrentHash(cwd, !storedHash);
+      storedHash = currentHash;
+    }
+  } else if (
+    verification &&
+    (verification.status === "outdated" || verification.status === "missing")
+  ) {
+    await handleOutOfDate(
+      lockfileInfo,
+      describeVerification(lockfileName, verification.status),
+      formatDependencyDiff(verification.diff),
+      config,
+      cwd,
+      warn
+    );
+    return;
+  }
+
+  // A fresh clone or new worktree: nothing recorded and nothing installed
+  if (!storedHash && isHook && !hasInstall(cwd)) {
+    await bootstrapProject(lockfileInfo, config, cwd, warn);
+    return;
+  }
 
   // First run or no stored hash - store current hash without warning
   if (!storedHash) {
@@ -136,8 +657,19 @@ export async function checkLockfile(
     return;
   }
 
+  // Hashes stored before fingerprinting became the default are raw file
+  // hashes; upgrade them in place instead of reporting a change
+  if (
+    storedHash !== currentHash &&
+    config.hashMode !== "raw" &&
+    storedHash === createSHA256Hash(lockfileInfo.path)
+  ) {
+    storeCurrentHash(cwd, false);
+    storedHash = currentHash;
+  }
+
   // No changes detected
-  if (storedHash === currentHash) {
+  if (storedHash === currentHash && changedInputs.length === 0) {
     if (!isHook) {
       log("✅ Dependencies are up to date", config.silent);
     }
@@ -145,30 +677,91 @@ export async function checkLockfile(
   }
 
   // Changes detected!
+  if (
+    storedHash !== currentHash &&
+    changedInputs.length === 0 &&
+    restoreCachedInstall(lockfileInfo, storedHash, config, cwd)
+  ) {
+    return;
+  }
+
+  if (storedHash === currentHash) {
+    await handleOutOfDate(
+      lockfileInfo,
+      `Install inputs changed: ${changedInputs.join(", ")}`,
+      [],
+      config,
+      cwd,
+      warn
+    );
+    return;
+  }
+
+  const changes = describeDependencyChanges(lockfileInfo, cwd);
+  if (changedInputs.length > 0) {
+    changes.push(
+      ...(changes.length > 0 ? [""] : []),
+      `Also changed: ${changedInputs.join(", ")}`
+    );
+  }
+  await handleOutOfDate(
+    lockfileInfo,
+    `Lock file ${lockfileName} has changed!`,
+    changes,
+    config,
+    cwd,
+    warn
+  );
+}
+
+/**
+ * Compare the lockfile with what is installed and report the result.
+ * Returns false when dependencies are missing or out of date.
+ */
+export function verifyDependencies(
+  deep: boolean = false,
+  cwd: string = process.cwd()
+): boolean {
+  const config = loadConfig(cwd);
+  const lockfileInfo = findLockfile(cwd);
+
+  if (!lockfileInfo) {
+    logError(
+      `No lockfile found. Supported lockfiles: ${getSupportedLockfiles(
+        cwd
+      ).join(", ")}`
+    );
+    return false;
+  }
+
   const lockfileName = lockfileInfo.packageManager.lockFile;
-  const installCommand = lockfileInfo.packageManager.installCommand;
+  const verification = verifyInstallation(lockfileInfo, cwd, deep);
 
-  if (config.autoInstall) {
-    log(`🔒 Lock file ${lockfileName} has changed!`, config.silent);
+  if (verification.status === "unknown") {
+    logWarning(
+      `⚠️  Warning: no install state found to compare with ${lockfileName}. Try --deep`
+    );
+    return true;
+  }
+
+  if (verification.status === "ok") {
     log(
-      `🔒 Auto-installing dependencies with ${lockfileInfo.packageManager.name}...`,
+      `✅ Installed dependencies match ${lockfileName} (checked ${verification.sources.join(
+        ", "
+      )})`,
       config.silent
     );
-
-    const success = await runInstallCommand(installCommand, cwd);
-
-    if (success) {
-      log("🔒 Dependencies updated successfully!", config.silent);
-      // Note: Hash will be updated by post-install script, not here
-    } else {
-      logError("🔒 Failed to install dependencies. Please run manually:");
-      logError(`  ${installCommand}`);
-    }
-  } else {
-    // Show warning - don't update hash until user actually runs install
-    const warningMessage = createWarningBox(lockfileName, installCommand);
-    logWarning(warningMessage);
+    return true;
   }
+
+  logWarning(
+    createWarningBox(
+      describeVerification(lockfileName, verification.status),
+      lockfileInfo.packageManager.installCommand,
+      formatDependencyDiff(verification.diff)
+    )
+  );
+  return false;
 }
 
 /**
@@ -185,4 +778,70 @@ export function updateHashAfterInstall(cwd: string = process.cwd()): void {
 
   storeCurrentHash(cwd);
   log("🔒 Lockfile Guardian: Dependencies hash updated", config.silent);
+
+  // Snapshot the fresh install so switching back to this lockfile is instant
+  if (
+    config.cache &&
+    !isYarnPnP(cwd) &&
+    !getCacheEntry(lockfileInfo.hash, cwd) &&
+    saveToCache(lockfileInfo.hash, "copy", cwd)
+  ) {
+    pruneCache(parseSize(config.cacheMaxSize), cwd);
+    log("🔒 Lockfile Guardian: node_modules cached", config.silent);
+  }
+}
+
+/**
+ * Make the installed dependencies match the lockfile in `cwd`, without
+ * asking: nothing happens when they already match, otherwise node_modules is
+ * restored from the cache or the install command runs. Returns false if the
+ * install failed.
+ */
+export async function syncDependencies(
+  cwd: string = process.cwd()
+): Promise<boolean> {
+  const config = loadConfig(cwd);
+  const lockfileInfo = findLockfile(cwd);
+
+  if (!lockfileInfo) {
+    return true;
+  }
+
+  const storedHash = getStoredHash(cwd);
+  const storedRuntime = getStoredNodeRuntime(cwd);
+  const storedInputs = getStoredInputs(cwd);
+  const upToDate =
+    storedHash === lockfileInfo.hash &&
+    hasInstall(cwd) &&
+    !(storedRuntime && needsRebuild(storedRuntime, getNodeRuntime(cwd))) &&
+    !(
+      storedInputs &&
+      describeInputChanges(
+        storedInputs,
+        hashInstallInputs(lockfileInfo.packageManager, cwd)
+      ).length > 0
+    );
+
+  if (upToDate) {
+    return true;
+  }
+
+  if (
+    storedHash &&
+    storedHash !== lockfileInfo.hash &&
+    restoreCachedInstall(lockfileInfo, storedHash, config, cwd)
+  ) {
+    return true;
+  }
+
+  const installCommand = lockfileInfo.packageManager.installCommand;
+  log(`🔒 Installing dependencies with ${installCommand}...`, config.silent);
+  if (!(await runInstallCommand(installCommand, cwd))) {
+    logError(`🔒 Failed to install dependencies (${installCommand})`);
+    return false;
+  }
+
+  // Older commits may not have the post-install script that records this
+  updateHashAfterInstall(cwd);
+  return true;
 }
@@ -0,0 +1,100 @@
+import { join, relative, sep } from "path";
+import { getChangedFiles, getGitRepository } from "./git";
+import { HookInvocation } from "./types";
+import { getPackageManagers, getSupportedLockfiles } from "./utils";
+
+/** The previous HEAD git passes post-checkout for clones and new worktrees */
+const NULL_COMMIT = /^0+$/;
+
+/** Files outside the package manager inputs that a check reads */
+const PROJECT_FILES = ["package.json", ".nvmrc", ".node-version"];
+
+/**
+ * The commits a hook moved HEAD between, "none" when the working tree can't
+ * have changed, or null when only a full check can tell.
+ */
+function getHookRange(
+  hook: HookInvocation
+): { from: string; to: string } | "none" | null {
+  switch (hook.name) {
+    case "post-checkout": {
+      const [previous, current, branchCheckout] = hook.args;
+      // Flag 0 is a file checkout (`git checkout -- <paths>`), not a switch
+      if (branchCheckout === "0") {
+        return "none";
+      }
+      if (!previous || !current || NULL_COMMIT.test(previous)) {
+        return null;
+      }
+      return { from: previous, to: current };
+    }
+    case "post-merge":
+      // A squash merge changes the working tree without moving HEAD
+      return hook.args[0] === "0" ? { from: "ORIG_HEAD", to: "HEAD" } : null;
+    case "post-rewrite":
+      // Amending commits what is already in the working tree
+      if (hook.args[0] === "amend") {
+        return "none";
+      }
+      return hook.args[0] === "rebase"
+        ? { from: "ORIG_HEAD", to: "HEAD" }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Paths a check of the project depends on, relative to the top of the
+ * working tree: every lockfile it could pick, package.json, the Node.js
+ * version files and the package manager inputs.
+ */
+export function getWatchedPaths(cwd: string = process.cwd()): string[] {
+  const prefix = relative(getGitRepository(cwd).root, cwd);
+  const inputs = getPackageManagers(cwd).flatMap((pm) =>
+    (pm.inputs || []).filter((input) => !input.startsWith("package.json#"))
+  );
+  const files = new Set([
+    ...getSupportedLockfiles(cwd),
+    ...PROJECT_FILES,
+    ...inputs,
+  ]);
+
+  return Array.from(files).map((file) =>
+    join(prefix, file).split(sep).join("/")
+  );
+}
+
+/**
+ * Narrow the projects a hook has to check to those whose watched files the
+ * git operation changed, using `git diff --name-only` instead of hashing
+ * lockfiles. Returns all projects when the hook arguments don't say what
+ * changed.
+ */
+export function getChangedProjects(
+  hook: HookInvocation | undefined,
+  projects: string[]
+): string[] {
+  const range = hook && getHookRange(hook);
+
+  if (range === "none") {
+    return [];
+  }
+  if (!range || projects.length === 0) {
+    return projects;
+  }
+
+  return projects.filter((project) => {
+    try {
+      const files = getChangedFiles(
+        range.from,
+        range.to,
+        getWatchedPaths(project),
+        project
+      );
+      return files === null || files.length > 0;
+    } catch {
+      return true;
+    }
+  });
+}
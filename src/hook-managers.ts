@@ -0,0 +1,560 @@
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { basename, join, relative } from "path";
+import { getGitRepository, isGitRepository } from "./git";
+import { removeRunnerScript } from "./hook-runner";
+import { detectHusky } from "./husky";
+import { HookManager } from "./types";
+
+/** Config files of each hook manager, in the order they are looked for */
+const LEFTHOOK_CONFIG_FILES = [
+  "lefthook.yml",
+  ".lefthook.yml",
+  "lefthook.yaml",
+  ".lefthook.yaml",
+];
+const SIMPLE_GIT_HOOKS_CONFIG_FILES = [
+  ".simple-git-hooks.json",
+  "simple-git-hooks.json",
+  ".simple-git-hooks.cjs",
+  "simple-git-hooks.cjs",
+  ".simple-git-hooks.js",
+  "simple-git-hooks.js",
+];
+const PRE_COMMIT_CONFIG_FILES = [
+  ".pre-commit-config.yaml",
+  ".pre-commit-config.yml",
+];
+
+/** Name of Guardian's lefthook command, and prefix of its pre-commit ids */
+const ENTRY_NAME = "lockfile-guardian";
+
+/**
+ * Find a hook manager that writes the git hooks from its config at the top
+ * of the repository: lefthook, simple-git-hooks or the pre-commit framework.
+ * Husky wins when it is set up too, as it owns core.hooksPath.
+ */
+export function detectHookManager(
+  cwd: string = process.cwd()
+): HookManager | null {
+  if (!isGitRepository(cwd) || detectHusky(cwd)) {
+    return null;
+  }
+
+  const { root } = getGitRepository(cwd);
+  const find = (files: string[]) =>
+    files.map((file) => join(root, file)).find((path) => existsSync(path));
+
+  const lefthook = find(LEFTHOOK_CONFIG_FILES);
+  if (lefthook) {
+    return { name: "lefthook", configPath: lefthook };
+  }
+
+  const simpleGitHooks =
+    find(SIMPLE_GIT_HOOKS_CONFIG_FILES) || findSimpleGitHooksPackage(root);
+  if (simpleGitHooks) {
+    return { name: "simple-git-hooks", configPath: simpleGitHooks };
+  }
+
+  const preCommit = find(PRE_COMMIT_CONFIG_FILES);
+  if (preCommit) {
+    return { name: "pre-commit", configPath: preCommit };
+  }
+
+  return null;
+}
+
+function findSimpleGitHooksPackage(root: string): string | undefined {
+  const path = join(root, "package.json");
+  try {
+    return JSON.parse(readFileSync(path, "utf8"))["simple-git-hooks"]
+      ? path
+      : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * One line for `status` about the hook manager that was found, with the
+ * config path relative to the top of the repository.
+ */
+export function describeHookManager(
+  manager: HookManager,
+  cwd: string = process.cwd()
+): string {
+  const path = relative(getGitRepository(cwd).root, manager.configPath);
+  return `🪝 ${manager.name} detected - hooks configured in ${path}`;
+}
+
+/**
+ * The command that turns the manager's config into git hooks again. None of
+ * them picks up a new hook type by itself.
+ */
+export function getHookManagerSyncCommand(
+  manager: HookManager,
+  hookNames: string[]
+): string {
+  switch (manager.name) {
+    case "lefthook":
+      return "npx lefthook install";
+    case "simple-git-hooks":
+      return "npx simple-git-hooks";
+    case "pre-commit":
+      return `pre-commit install ${hookNames
+        .map((name) => `--hook-type ${name}`)
+        .join(" ")}`;
+  }
+}
+
+/**
+ * The pre-commit framework passes the git hook's arguments in environment
+ * variables instead; turn them back into git's arguments.
+ */
+export function getPreCommitFrameworkArgs(
+  hookName: string,
+  env: NodeJS.ProcessEnv = process.env
+): string[] {
+  const values = (names: string[]) =>
+    names.every((name) => env[name] !== undefined)
+      ? names.map((name) => env[name] as string)
+      : [];
+
+  switch (hookName) {
+    case "post-checkout":
+      return values([
+        "PRE_COMMIT_FROM_REF",
+        "PRE_COMMIT_TO_REF",
+        "PRE_COMMIT_CHECKOUT_TYPE",
+      ]);
+    case "post-merge":
+      return values(["PRE_COMMIT_IS_SQUASH_MERGE"]);
+    case "post-rewrite":
+      return values(["PRE_COMMIT_REWRITE_COMMAND"]);
+    default:
+      return [];
+  }
+}
+
+/**
+ * What the manager's config runs for a git hook, or null when it runs
+ * nothing. For the YAML configs that is Guardian's entry, as written.
+ */
+export function readManagerHook(
+  manager: HookManager,
+  hookName: string
+): string | null {
+  if (!existsSync(manager.configPath)) {
+    return null;
+  }
+
+  if (manager.name === "simple-git-hooks") {
+    try {
+      return (
+        readSimpleGitHooksConfig(manager.configPath).hooks[hookName] || null
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  const lines = readLines(manager.configPath);
+  const entry =
+    manager.name === "lefthook"
+      ? findLefthookEntry(lines, hookName)
+      : findPreCommitEntry(lines, hookName);
+  return entry ? lines.slice(entry.start, entry.end).join("\n") : null;
+}
+
+/**
+ * Register a command for a git hook in the manager's config, after the
+ * commands already there.
+ */
+export function addManagerHook(
+  manager: HookManager,
+  hookName: string,
+  command: string
+): void {
+  if (manager.name === "simple-git-hooks") {
+    const config = readSimpleGitHooksConfig(manager.configPath);
+    const existing = config.hooks[hookName];
+    // Only the pre-commit guard may fail the hook
+    const separator = hookName === "pre-commit" ? " && " : "; ";
+    config.hooks[hookName] = existing
+      ? `${existing}${separator}${command}`
+      : command;
+    writeJson(manager.configPath, config.config);
+    return;
+  }
+
+  const lines = readLines(manager.configPath);
+  const updated =
+    manager.name === "lefthook"
+      ? addLefthookCommand(lines, hookName, command, manager.configPath)
+      : addPreCommitHook(lines, hookName, command, manager.configPath);
+  writeLines(manager.configPath, updated);
+}
+
+/**
+ * Remove Guardian's command for a git hook (the one containing `marker`)
+ * from the manager's config, and whatever was only there to hold it.
+ */
+export function removeManagerHook(
+  manager: HookManager,
+  hookName: string,
+  marker: string
+): void {
+  if (!existsSync(manager.configPath) || /\.c?js$/.test(manager.configPath)) {
+    return;
+  }
+
+  if (manager.name === "simple-git-hooks") {
+    const config = readSimpleGitHooksConfig(manager.configPath);
+    const existing = config.hooks[hookName];
+    if (!existing || !existing.includes(marker)) {
+      return;
+    }
+    const remaining = removeRunnerScript(existing, marker);
+    if (remaining) {
+      config.hooks[hookName] = remaining;
+    } else {
+      delete config.hooks[hookName];
+    }
+    writeJson(manager.configPath, config.config);
+    return;
+  }
+
+  const lines = readLines(manager.configPath);
+  const updated =
+    manager.name === "lefthook"
+      ? removeLefthookCommand(lines, hookName)
+      : removePreCommitHook(lines, hookName);
+  if (updated) {
+    writeLines(manager.configPath, updated);
+  }
+}
+
+interface SimpleGitHooksConfig {
+  /** The parsed config file */
+  config: Record<string, any>;
+  /** Hook name → command, inside `config` */
+  hooks: Record<string, string>;
+}
+
+/**
+ * The "simple-git-hooks" section of package.json or a JSON config file.
+ * JavaScript configs can't be edited.
+ */
+function readSimpleGitHooksConfig(path: string): SimpleGitHooksConfig {
+  if (/\.c?js$/.test(path)) {
+    throw new Error(
+      `simple-git-hooks reads its hooks from ${basename(
+        path
+      )}, which can't be edited automatically. Add "node_modules/.bin/lockfile-guardian check --hook <hook> \\"$@\\"" to its post-checkout, post-merge and post-rewrite hooks`
+    );
+  }
+
+  const config = JSON.parse(readFileSync(path, "utf8"));
+  if (basename(path) === "package.json") {
+    config["simple-git-hooks"] = config["simple-git-hooks"] || {};
+    return { config, hooks: config["simple-git-hooks"] };
+  }
+  return { config, hooks: config };
+}
+
+function writeJson(path: string, value: unknown): void {
+  writeFileSync(path, JSON.stringify(value, null, 2) + "\n", "utf8");
+}
+
+// The YAML configs are edited as lines, so comments and formatting survive.
+// Only block mappings and sequences are followed, which is how both tools
+// document their configs.
+
+function readLines(path: string): string[] {
+  const content = readFileSync(path, "utf8").replace(/\s+$/, "");
+  return content === "" ? [] : content.split(/\r?\n/);
+}
+
+function writeLines(path: string, lines: string[]): void {
+  writeFileSync(path, lines.join("\n") + "\n", "utf8");
+}
+
+function indentOf(line: string): number {
+  return line.length - line.trimStart().length;
+}
+
+function isContent(line: string): boolean {
+  const text = line.trim();
+  return text !== "" && !text.startsWith("#");
+}
+
+function pad(indent: number): string {
+  return " ".repeat(indent);
+}
+
+interface LineRange {
+  /** The line that opens the block */
+  start: number;
+  /** Exclusive: the first line after the block */
+  end: number;
+}
+
+/**
+ * The block a mapping key or sequence item opens: the lines below it that
+ * are indented deeper. A key's sequence may also sit at the key's own indent.
+ */
+function getBlock(lines: string[], start: number): LineRange {
+  const indent = indentOf(lines[start]);
+  const isItem = lines[start].trim().startsWith("- ");
+  let end = start + 1;
+
+  for (let i = start + 1; i < lines.length; i++) {
+    if (!isContent(lines[i])) {
+      continue;
+    }
+    const sameIndentItem =
+      !isItem &&
+      indentOf(lines[i]) === indent &&
+      lines[i].trim().startsWith("- ");
+    if (indentOf(lines[i]) <= indent && !sameIndentItem) {
+      break;
+    }
+    end = i + 1;
+  }
+
+  return { start, end };
+}
+
+/** Indent of the first line inside a block, or null when it is empty */
+function getChildIndent(lines: string[], block: LineRange): number | null {
+  for (let i = block.start + 1; i < block.end; i++) {
+    if (isContent(lines[i])) {
+      return indentOf(lines[i]);
+    }
+  }
+  return null;
+}
+
+/**
+ * The block of `key:` directly inside a block (or at the top level without
+ * one). Keys with an inline value can't hold anything Guardian adds.
+ */
+function findKey(
+  lines: string[],
+  key: string,
+  parent: LineRange | null,
+  path: string
+): LineRange | null {
+  const range = parent || { start: -1, end: lines.length };
+  const indent = parent ? getChildIndent(lines, parent) : 0;
+  const pattern = new RegExp(`^${key.replace(/[-.]/g, "\\$&")}:(\\s|$)`);
+
+  for (let i = range.start + 1; i < range.end; i++) {
+    if (indentOf(lines[i]) !== indent || !pattern.test(lines[i].trim())) {
+      continue;
+    }
+    const value = lines[i]
+      .trim()
+      .slice(key.length + 1)
+      .trim();
+    if (value !== "" && !value.startsWith("#")) {
+      throw new Error(
+        `${basename(
+          path
+        )} sets "${key}" on one line, which can't be edited automatically. Write it as a block to let Lockfile Guardian add its hooks`
+      );
+    }
+    return getBlock(lines, i);
+  }
+
+  return null;
+}
+
+function findLefthookEntry(
+  lines: string[],
+  hookName: string
+): LineRange | null {
+  try {
+    const hook = findKey(lines, hookName, null, "");
+    const commands = hook && findKey(lines, "commands", hook, "");
+    return commands && findKey(lines, ENTRY_NAME, commands, "");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * lefthook runs each hook's `commands`; `{0}` is replaced with git's
+ * arguments.
+ */
+function addLefthookCommand(
+  lines: string[],
+  hookName: string,
+  command: string,
+  path: string
+): string[] {
+  const hook = findKey(lines, hookName, null, path);
+
+  if (!hook) {
+    const blank = lines.length > 0 ? [""] : [];
+    return [
+      ...lines,
+      ...blank,
+      `${hookName}:`,
+      "  commands:",
+      `    ${ENTRY_NAME}:`,
+      `      run: ${command}`,
+    ];
+  }
+
+  const step = getChildIndent(lines, hook) ?? 2;
+  const commands = findKey(lines, "commands", hook, path);
+
+  if (!commands) {
+    return [
+      ...lines.slice(0, hook.end),
+      `${pad(step)}commands:`,
+      `${pad(2 * step)}${ENTRY_NAME}:`,
+      `${pad(3 * step)}run: ${command}`,
+      ...lines.slice(hook.end),
+    ];
+  }
+
+  const entryIndent =
+    getChildIndent(lines, commands) ?? indentOf(lines[commands.start]) + step;
+  return [
+    ...lines.slice(0, commands.end),
+    `${pad(entryIndent)}${ENTRY_NAME}:`,
+    `${pad(entryIndent + step)}run: ${command}`,
+    ...lines.slice(commands.end),
+  ];
+}
+
+function removeLefthookCommand(
+  lines: string[],
+  hookName: string
+): string[] | null {
+  const entry = findLefthookEntry(lines, hookName);
+  if (!entry) {
+    return null;
+  }
+
+  let result = [...lines.slice(0, entry.start), ...lines.slice(entry.end)];
+
+  // Drop the `commands:` and hook keys that only held Guardian's command
+  const hook = findKey(result, hookName, null, "");
+  const commands = hook && findKey(result, "commands", hook, "");
+  if (commands && getChildIndent(result, commands) === null) {
+    result = [
+      ...result.slice(0, commands.start),
+      ...result.slice(commands.end),
+    ];
+  }
+
+  const emptied = findKey(result, hookName, null, "");
+  if (emptied && getChildIndent(result, emptied) === null) {
+    const start =
+      emptied.start > 0 && result[emptied.start - 1] === ""
+        ? emptied.start - 1
+        : emptied.start;
+    result = [...result.slice(0, start), ...result.slice(emptied.end)];
+  }
+
+  return result;
+}
+
+/** The `- id: lockfile-guardian-<hook>` item and the repo item holding it */
+function findPreCommitHook(
+  lines: string[],
+  hookName: string
+): { repo: LineRange; hook: LineRange; hookCount: number } | null {
+  const id = `${ENTRY_NAME}-${hookName}`;
+  let repos: LineRange | null;
+  try {
+    repos = findKey(lines, "repos", null, "");
+  } catch {
+    return null;
+  }
+  if (!repos) {
+    return null;
+  }
+
+  const itemIndent = getChildIndent(lines, repos);
+  for (let i = repos.start + 1; i < repos.end; i++) {
+    if (
+      indentOf(lines[i]) !== itemIndent ||
+      !lines[i].trim().startsWith("- ")
+    ) {
+      continue;
+    }
+    const repo = getBlock(lines, i);
+    const items = [];
+    for (let j = repo.start; j < repo.end; j++) {
+      const match = lines[j].trim().match(/^- id:\s*(\S+)/);
+      if (match) {
+        items.push({ id: match[1], line: j });
+      }
+    }
+    const ours = items.find((item) => item.id === id);
+    if (ours) {
+      return {
+        repo,
+        hook: getBlock(lines, ours.line),
+        hookCount: items.length,
+      };
+    }
+  }
+
+  return null;
+}
+
+function findPreCommitEntry(
+  lines: string[],
+  hookName: string
+): LineRange | null {
+  return findPreCommitHook(lines, hookName)?.hook || null;
+}
+
+/**
+ * A local hook of the pre-commit framework that runs only at this git hook.
+ * `always_run` because Guardian decides itself whether anything changed.
+ */
+function addPreCommitHook(
+  lines: string[],
+  hookName: string,
+  command: string,
+  path: string
+): string[] {
+  const repos = findKey(lines, "repos", null, path);
+  const indent = repos ? getChildIndent(lines, repos) ?? 2 : 2;
+  const item = [
+    `${pad(indent)}- repo: local`,
+    `${pad(indent)}  hooks:`,
+    `${pad(indent)}    - id: ${ENTRY_NAME}-${hookName}`,
+    `${pad(indent)}      name: Lockfile Guardian (${hookName})`,
+    `${pad(indent)}      entry: ${command}`,
+    `${pad(indent)}      language: system`,
+    `${pad(indent)}      stages: [${hookName}]`,
+    `${pad(indent)}      always_run: true`,
+    `${pad(indent)}      pass_filenames: false`,
+  ];
+
+  if (!repos) {
+    const blank = lines.length > 0 ? [""] : [];
+    return [...lines, ...blank, "repos:", ...item];
+  }
+  return [...lines.slice(0, repos.end), ...item, ...lines.slice(repos.end)];
+}
+
+function removePreCommitHook(
+  lines: string[],
+  hookName: string
+): string[] | null {
+  const found = findPreCommitHook(lines, hookName);
+  if (!found) {
+    return null;
+  }
+
+  // Keep a local repo that has other hooks in it
+  const { start, end } = found.hookCount > 1 ? found.hook : found.repo;
+  return [...lines.slice(0, start), ...lines.slice(end)];
+}
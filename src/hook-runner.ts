@@ -0,0 +1,104 @@
+import { existsSync } from "fs";
+import { dirname, join, relative, sep } from "path";
+import { getGitRepository } from "./git";
+import { HookRunner } from "./types";
+import { isYarnPnP, resolveLockfile } from "./utils";
+
+const BIN_NAME = "lockfile-guardian";
+
+/** Printed when Guardian isn't installed, instead of npx downloading it */
+const MISSING_HINT =
+  "🔒 Lockfile Guardian is not installed, skipping the check";
+
+/**
+ * The main worktree's top, from a linked worktree. Hooks run at the top of
+ * their worktree, where `--git-common-dir` is the main worktree's .git.
+ */
+const MAIN_WORKTREE = "$(git rev-parse --git-common-dir)/..";
+
+/** Guardian's commands as `getRunnerScript` writes them, or npx's from older versions */
+const RUNNER_SCRIPT =
+  /(^|; | && )(if (\[ -x [^\]]* \]|command -v yarn >\/dev\/null 2>&1); then [^;]*;( elif \[ -x [^\]]* \]; then [^;]*;)? else echo "[^"]*" >&2; fi|npx lockfile-guardian [^;&]*[^;&\s])/g;
+
+function quote(path: string): string {
+  return /^[\w./-]+$/.test(path) ? path : `"${path}"`;
+}
+
+/**
+ * How the git hooks start Guardian. npx costs hundreds of milliseconds on
+ * every checkout and may go to the network for a package that isn't
+ * installed, so the hooks run the binary from the nearest node_modules/.bin
+ * up to the top of the repository, or `yarn run` with Plug'n'Play. Without
+ * either, the project's own node_modules/.bin, where an install puts it.
+ * Paths are relative to the top of the working tree, where git runs hooks.
+ * A new linked worktree has no node_modules yet, so the hooks fall back to
+ * the main worktree's binary, which can bootstrap or seed the new one.
+ */
+export function getHookRunner(cwd: string = process.cwd()): HookRunner {
+  const { root } = getGitRepository(cwd);
+  const fromRoot = (path: string) => relative(root, path).split(sep).join("/");
+  const pm = resolveLockfile(cwd).lockfile?.packageManager;
+  const project = fromRoot(cwd);
+  const installIn = (command: string) =>
+    `${pm ? pm.installCommand : command}${project ? ` in ${project}` : ""}`;
+
+  const binRunner = (bin: string): HookRunner => ({
+    test: `[ -x ${quote(fromRoot(bin))} ]`,
+    command: quote(fromRoot(bin)),
+    bin,
+    fallback: `"${MAIN_WORKTREE}/${fromRoot(bin)}"`,
+    install: installIn("npm install"),
+  });
+
+  for (let dir = cwd; ; dir = dirname(dir)) {
+    const bin = join(dir, "node_modules", ".bin", BIN_NAME);
+    if (existsSync(bin)) {
+      return binRunner(bin);
+    }
+    if (dir === root || dirname(dir) === dir) {
+      break;
+    }
+  }
+
+  if (isYarnPnP(cwd)) {
+    return {
+      test: "command -v yarn >/dev/null 2>&1",
+      command: `yarn run ${BIN_NAME}`,
+      ...(project ? { dir: project } : {}),
+      install: installIn("yarn install"),
+    };
+  }
+
+  return binRunner(join(cwd, "node_modules", ".bin", BIN_NAME));
+}
+
+/**
+ * One line of shell that runs Guardian with `args`, or prints a hint when
+ * it isn't installed. `required` fails the hook when Guardian fails, for
+ * the pre-commit guard in a script with more commands after it.
+ */
+export function getRunnerScript(
+  runner: HookRunner,
+  args: string,
+  required: boolean = false
+): string {
+  const command = runner.dir
+    ? `(cd ${quote(runner.dir)} && ${runner.command} ${args})`
+    : `${runner.command} ${args}`;
+  const onFailure = required ? " || exit 1" : "";
+  const fallback = runner.fallback
+    ? ` elif [ -x ${runner.fallback} ]; then ${runner.fallback} ${args}${onFailure};`
+    : "";
+  return `if ${runner.test}; then ${command}${onFailure};${fallback} else echo "${MISSING_HINT}. Run ${runner.install} to enable it" >&2; fi`;
+}
+
+/**
+ * Take Guardian's command (the one containing `marker`) out of a hook's
+ * commands in a JSON config, with the separator in front of it.
+ */
+export function removeRunnerScript(commands: string, marker: string): string {
+  return commands
+    .replace(RUNNER_SCRIPT, (match) => (match.includes(marker) ? "" : match))
+    .replace(/^\s*(;|&&)\s*/, "")
+    .trim();
+}
@@ -0,0 +1,126 @@
+import { existsSync, readFileSync } from "fs";
+import { basename, dirname, join, relative } from "path";
+import { getGitHooksPath, getGitRepository, isGitRepository } from "./git";
+import { HuskyLayout } from "./types";
+
+/**
+ * Husky v4 config files, in the order Husky reads them. Only the JSON ones
+ * can be edited; the rest are reported so the hooks can be added by hand.
+ */
+const HUSKY_V4_CONFIG_FILES = [
+  "package.json",
+  ".huskyrc",
+  ".huskyrc.json",
+  ".huskyrc.js",
+  "husky.config.js",
+];
+
+/**
+ * The directory Husky v4 was installed from. Its runner in the git hooks
+ * directory changes into it (`cd "frontend"`) when that isn't the git root.
+ */
+function getHuskyV4PackageDir(hooksDir: string, root: string): string {
+  try {
+    const local = readFileSync(join(hooksDir, "husky.local.sh"), "utf8");
+    const match = local.match(/^cd "(.*)"$/m);
+    return match ? join(root, match[1]) : root;
+  } catch {
+    return root;
+  }
+}
+
+function findHuskyV4Config(packageDir: string): string {
+  for (const file of HUSKY_V4_CONFIG_FILES) {
+    const path = join(packageDir, file);
+    if (!existsSync(path)) {
+      continue;
+    }
+    if (file !== "package.json") {
+      return path;
+    }
+    try {
+      if (JSON.parse(readFileSync(path, "utf8")).husky) {
+        return path;
+      }
+    } catch {
+      // An unreadable package.json can't hold the config either
+    }
+  }
+  // Without a config yet, hooks go in package.json like Husky v4's docs show
+  return join(packageDir, "package.json");
+}
+
+/**
+ * Find out how Husky runs the git hooks, if it does:
+ * - v9 points core.hooksPath at `.husky/_`, which it regenerates; the
+ *   scripts there run the user's hooks in `.husky/`
+ * - v8 points core.hooksPath at `.husky/` itself
+ * - v4 puts runner scripts (`husky.sh`) in the git hooks directory and reads
+ *   the hooks from its config in package.json or `.huskyrc`
+ * `.husky` may be in a subdirectory of the repository in all of them.
+ */
+export function detectHusky(cwd: string = process.cwd()): HuskyLayout | null {
+  if (!isGitRepository(cwd)) {
+    return null;
+  }
+
+  const hooksPath = getGitHooksPath(cwd);
+
+  if (
+    basename(hooksPath) === "_" &&
+    basename(dirname(hooksPath)) === ".husky"
+  ) {
+    const huskyDir = dirname(hooksPath);
+    return existsSync(huskyDir) ? { version: 9, path: huskyDir } : null;
+  }
+
+  if (basename(hooksPath) === ".husky") {
+    return existsSync(hooksPath) ? { version: 8, path: hooksPath } : null;
+  }
+
+  if (existsSync(join(hooksPath, "husky.sh"))) {
+    const packageDir = getHuskyV4PackageDir(
+      hooksPath,
+      getGitRepository(cwd).root
+    );
+    return { version: 4, path: findHuskyV4Config(packageDir) };
+  }
+
+  return null;
+}
+
+export function isHuskyProject(cwd: string = process.cwd()): boolean {
+  return detectHusky(cwd) !== null;
+}
+
+/**
+ * Where Guardian's hooks go: the `.husky` directory for Husky v8 and v9,
+ * otherwise the directory git runs hooks from.
+ */
+export function getActiveHooksDir(cwd: string = process.cwd()): string {
+  const husky = detectHusky(cwd);
+  if (husky && husky.version !== 4) {
+    return husky.path;
+  }
+  return getGitHooksPath(cwd);
+}
+
+/**
+ * One line for `status` about the Husky layout that was found, with paths
+ * relative to the top of the repository.
+ */
+export function describeHuskyLayout(
+  husky: HuskyLayout,
+  cwd: string = process.cwd()
+): string {
+  const path = relative(getGitRepository(cwd).root, husky.path) || ".";
+
+  switch (husky.version) {
+    case 9:
+      return `🐶 Husky detected (v9) - using ${path}/ directory, run by Husky through ${path}/_/`;
+    case 8:
+      return `🐶 Husky detected (v8) - using ${path}/ directory`;
+    case 4:
+      return `🐶 Husky detected (v4) - hooks configured in ${path}`;
+  }
+}
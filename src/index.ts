@@ -1,4 +1,5 @@
 // Main exports for programmatic usage
+export { findGitRoot, isGitRepository } from "./git";
 export {
   areHooksInstalled,
   installGitHooks,
@@ -19,9 +20,7 @@ export {
 } from "./post-install";
 export * from "./types";
 export {
-  findGitRoot,
   findLockfile,
-  isGitRepository,
   isNodeModulesIgnored,
   loadConfig,
   PACKAGE_MANAGERS,
@@ -0,0 +1,98 @@
+import { createHash } from "crypto";
+import { existsSync, readdirSync, readFileSync, statSync } from "fs";
+import { join } from "path";
+import { PackageManager } from "./types";
+
+/** Inputs of the form "package.json#field" hash one package.json field */
+const PACKAGE_JSON_FIELD = "package.json#";
+
+function hashFile(hash: ReturnType<typeof createHash>, path: string): void {
+  hash.update(readFileSync(path));
+}
+
+/**
+ * Hash a directory's file names and contents, so adding, removing or editing
+ * any file (e.g. a patch) changes the result.
+ */
+function hashDirectory(
+  hash: ReturnType<typeof createHash>,
+  dir: string,
+  prefix: string = ""
+): void {
+  for (const entry of readdirSync(dir).sort()) {
+    const path = join(dir, entry);
+    const relativePath = `${prefix}${entry}`;
+    if (statSync(path).isDirectory()) {
+      hashDirectory(hash, path, `${relativePath}/`);
+    } else {
+      hash.update(`${relativePath}\0`);
+      hashFile(hash, path);
+      hash.update("\0");
+    }
+  }
+}
+
+function hashInput(input: string, cwd: string): string | null {
+  const hash = createHash("sha256");
+
+  try {
+    if (input.startsWith(PACKAGE_JSON_FIELD)) {
+      const packageJson = JSON.parse(
+        readFileSync(join(cwd, "package.json"), "utf8")
+      );
+      const value = packageJson[input.slice(PACKAGE_JSON_FIELD.length)];
+      if (value === undefined) {
+        return null;
+      }
+      hash.update(JSON.stringify(value));
+    } else {
+      const path = join(cwd, input);
+      if (!existsSync(path)) {
+        return null;
+      }
+      if (statSync(path).isDirectory()) {
+        hashDirectory(hash, path);
+      } else {
+        hashFile(hash, path);
+      }
+    }
+  } catch {
+    return null;
+  }
+
+  return hash.digest("hex");
+}
+
+/**
+ * Hash every install input of a package manager that exists in the project:
+ * input → hash. Missing inputs are left out.
+ */
+export function hashInstallInputs(
+  packageManager: PackageManager,
+  cwd: string = process.cwd()
+): Record<string, string> {
+  const hashes: Record<string, string> = {};
+
+  for (const input of packageManager.inputs || []) {
+    const hash = hashInput(input, cwd);
+    if (hash) {
+      hashes[input] = hash;
+    }
+  }
+
+  return hashes;
+}
+
+/**
+ * Name the inputs that were added, removed or edited between two sets of
+ * hashes, e.g. ["pnpm-workspace.yaml", "patches/"].
+ */
+export function describeInputChanges(
+  previous: Record<string, string>,
+  current: Record<string, string>
+): string[] {
+  const inputs = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  return Array.from(inputs).filter(
+    (input) => previous[input] !== current[input]
+  );
+}
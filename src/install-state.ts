@@ -0,0 +1,331 @@
+import { existsSync, readFileSync } from "fs";
+import { join } from "path";
+import { deserialize } from "v8";
+import { gunzipSync } from "zlib";
+import {
+  createDependencySnapshot,
+  diffDependencySnapshots,
+} from "./dependency-diff";
+import {
+  parseLockfile,
+  parsePackageLock,
+  parsePnpmLock,
+  splitNameAndVersion,
+} from "./lockfile-parsers";
+import {
+  DependencyChange,
+  InstallVerification,
+  LockfileInfo,
+  ParsedLockfile,
+  ResolvedPackage,
+} from "./types";
+import { isYarnPnP } from "./utils";
+import { parseYaml } from "./yaml";
+
+/** Packages a package manager says it installed */
+interface InstallState {
+  source: string;
+  packages: ResolvedPackage[];
+  /** name@version of optional packages the install skipped on purpose */
+  skipped?: string[];
+}
+
+function readText(path: string): string | null {
+  try {
+    return readFileSync(path, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * npm 7+ keeps a "hidden lockfile" describing exactly what's in node_modules.
+ */
+function readNpmState(cwd: string): InstallState | null {
+  const content = readText(join(cwd, "node_modules", ".package-lock.json"));
+  if (!content) {
+    return null;
+  }
+  return {
+    source: "node_modules/.package-lock.json",
+    packages: parsePackageLock(content).packages,
+  };
+}
+
+/**
+ * pnpm copies the lockfile it installed from to node_modules/.pnpm/lock.yaml
+ * and lists skipped optional packages in node_modules/.modules.yaml.
+ */
+function readPnpmState(cwd: string): InstallState | null {
+  const content = readText(join(cwd, "node_modules", ".pnpm", "lock.yaml"));
+  if (!content) {
+    return null;
+  }
+
+  const skipped: string[] = [];
+  const modules = readText(join(cwd, "node_modules", ".modules.yaml"));
+  if (modules) {
+    let manifest: any;
+    try {
+      // pnpm 8+ writes this file as JSON, which YAML happens to accept
+      manifest = JSON.parse(modules);
+    } catch {
+      manifest = parseYaml(modules);
+    }
+    for (const id of Array.isArray(manifest?.skipped) ? manifest.skipped : []) {
+      const match = String(id).match(/^\/?((?:@[^/]+\/)?[^/@]+)[@/]([^/(_]+)/);
+      if (match) {
+        skipped.push(`${match[1]}@${match[2]}`);
+      }
+    }
+  }
+
+  return {
+    source: "node_modules/.pnpm/lock.yaml",
+    packages: parsePnpmLock(content).packages,
+    skipped,
+  };
+}
+
+/**
+ * Yarn Classic records the lockfile entries it installed, as descriptor →
+ * resolved URL, in node_modules/.yarn-integrity.
+ */
+function readYarnClassicState(cwd: string): InstallState | null {
+  const content = readText(join(cwd, "node_modules", ".yarn-integrity"));
+  if (!content) {
+    return null;
+  }
+
+  let integrity: any;
+  try {
+    integrity = JSON.parse(content);
+  } catch {
+    return null;
+  }
+
+  const packages: ResolvedPackage[] = [];
+  for (const [descriptor, resolved] of Object.entries<string>(
+    integrity.lockfileEntries || {}
+  )) {
+    const name = splitNameAndVersion(descriptor)?.[0];
+    if (name) {
+      packages.push({ name, version: "", resolved });
+    }
+  }
+
+  return { source: "node_modules/.yarn-integrity", packages };
+}
+
+/**
+ * Yarn Berry lists installed locators ("lodash@npm:4.17.21") in
+ * node_modules/.yarn-state.yml for the node-modules linker, and in the
+ * v8-serialized .yarn/install-state.gz for Plug'n'Play.
+ */
+function readYarnBerryState(cwd: string): InstallState | null {
+  const packages: ResolvedPackage[] = [];
+
+  if (isYarnPnP(cwd)) {
+    try {
+      const state = deserialize(
+        gunzipSync(readFileSync(join(cwd, ".yarn", "install-state.gz")))
+      );
+      for (const [hash, pkg] of state.storedPackages as Map<string, any>) {
+        if (
+          state.disabledLocators?.has(hash) ||
+          pkg.reference.startsWith("workspace:")
+        ) {
+          continue; // Conditional packages for other platforms, workspaces
+        }
+        const name = pkg.scope ? `@${pkg.scope}/${pkg.name}` : pkg.name;
+        packages.push({
+          name,
+          version: "",
+          resolved: `${name}@${pkg.reference}`,
+        });
+      }
+    } catch {
+      return null;
+    }
+    return { source: ".yarn/install-state.gz", packages };
+  }
+
+  const content = readText(join(cwd, "node_modules", ".yarn-state.yml"));
+  if (!content) {
+    return null;
+  }
+  for (const locator of Object.keys(parseYaml(content))) {
+    const name = splitNameAndVersion(locator)?.[0];
+    if (name && !locator.includes("@workspace:")) {
+      packages.push({ name, version: "", resolved: locator });
+    }
+  }
+  return { source: "node_modules/.yarn-state.yml", packages };
+}
+
+const STATE_READERS: Record<string, (cwd: string) => InstallState | null> = {
+  npm: readNpmState,
+  pnpm: readPnpmState,
+  yarn: readYarnClassicState,
+  "yarn-berry": readYarnBerryState,
+};
+
+/**
+ * Yarn's install state names packages by resolution rather than version.
+ * Match it against the lockfile, falling back to the version spelled out
+ * in an npm locator or tarball name.
+ */
+function fillInstalledVersion(
+  pkg: ResolvedPackage,
+  lockfilePackages: ResolvedPackage[]
+): ResolvedPackage {
+  if (pkg.version || !pkg.resolved) {
+    return pkg;
+  }
+
+  const match = lockfilePackages.find(
+    (candidate) =>
+      candidate.name === pkg.name && candidate.resolved === pkg.resolved
+  );
+  if (match) {
+    return { ...pkg, version: match.version };
+  }
+
+  const reference = pkg.resolved.slice(pkg.name.length + 1);
+  const tarball = pkg.resolved
+    .replace(/[#?].*$/, "")
+    .match(/([^/]+)\.tgz$/)?.[1];
+  const unscopedName = pkg.name.split("/").pop();
+  const version = reference.startsWith("npm:")
+    ? reference.slice("npm:".length)
+    : tarball?.startsWith(`${unscopedName}-`)
+    ? tarball.slice(`${unscopedName}-`.length)
+    : pkg.resolved;
+  return { ...pkg, version };
+}
+
+/**
+ * Read the versions of the direct dependencies from their package.json files
+ * in node_modules.
+ */
+function scanDirectDependencies(
+  parsed: ParsedLockfile,
+  cwd: string
+): DependencyChange[] {
+  const changes: DependencyChange[] = [];
+
+  for (const [name, version] of Object.entries(parsed.direct).sort()) {
+    if (/^(link|file|workspace):/.test(version)) {
+      continue;
+    }
+    let installed: string | undefined;
+    try {
+      const manifest = readFileSync(
+        join(cwd, "node_modules", name, "package.json"),
+        "utf8"
+      );
+      installed = JSON.parse(manifest).version;
+    } catch {
+      installed = undefined;
+    }
+    if (installed !== version) {
+      changes.push({ name, from: installed, to: version });
+    }
+  }
+
+  return changes;
+}
+
+function compareInstallState(
+  parsed: ParsedLockfile,
+  state: InstallState
+): InstallVerification["diff"] {
+  const skipped = new Set(state.skipped);
+  const optional = new Set(
+    parsed.packages
+      .filter((pkg) => pkg.optional)
+      .map((pkg) => `${pkg.name}@${pkg.version}`)
+  );
+  const isExpected = (pkg: ResolvedPackage) =>
+    !optional.has(`${pkg.name}@${pkg.version}`) &&
+    !skipped.has(`${pkg.name}@${pkg.version}`);
+
+  const installed = state.packages
+    .map((pkg) => fillInstalledVersion(pkg, parsed.packages))
+    .filter(isExpected);
+  const installedDirect: Record<string, string> = {};
+  for (const [name, version] of Object.entries(parsed.direct)) {
+    const versions = installed
+      .filter((pkg) => pkg.name === name)
+      .map((pkg) => pkg.version);
+    if (versions.length > 0) {
+      installedDirect[name] = versions.includes(version)
+        ? version
+        : versions.sort()[0];
+    }
+  }
+
+  return diffDependencySnapshots(
+    createDependencySnapshot({ direct: installedDirect, packages: installed }),
+    createDependencySnapshot({
+      direct: parsed.direct,
+      packages: parsed.packages.filter(isExpected),
+    })
+  );
+}
+
+/**
+ * Compare the lockfile with what is actually installed, using the install
+ * state each package manager leaves behind. `deep` also reads the version
+ * of every direct dependency from node_modules/<name>/package.json.
+ */
+export function verifyInstallation(
+  lockfileInfo: LockfileInfo,
+  cwd: string = process.cwd(),
+  deep: boolean = false
+): InstallVerification {
+  const verification: InstallVerification = {
+    status: "unknown",
+    sources: [],
+    diff: { direct: [], transitive: [] },
+  };
+  const parsed = parseLockfile(lockfileInfo.path, cwd);
+
+  if (!parsed) {
+    return verification;
+  }
+
+  const pnp = isYarnPnP(cwd);
+  if (!pnp && !existsSync(join(cwd, "node_modules"))) {
+    return { ...verification, status: "missing" };
+  }
+
+  const reader = STATE_READERS[lockfileInfo.packageManager.name];
+  const state = reader ? reader(cwd) : null;
+  if (state) {
+    verification.sources.push(state.source);
+    verification.diff = compareInstallState(parsed, state);
+  } else if (pnp) {
+    return { ...verification, status: "missing" };
+  }
+
+  if (deep && !pnp) {
+    verification.sources.push("node_modules/*/package.json");
+    const reported = new Set(verification.diff.direct.map((c) => c.name));
+    const changes = scanDirectDependencies(parsed, cwd).filter(
+      (change) => !reported.has(change.name)
+    );
+    verification.diff.direct = [...verification.diff.direct, ...changes].sort(
+      (a, b) => a.name.localeCompare(b.name)
+    );
+  }
+
+  if (verification.sources.length === 0) {
+    return verification;
+  }
+
+  const { direct, transitive } = verification.diff;
+  verification.status =
+    direct.length > 0 || transitive.length > 0 ? "outdated" : "ok";
+  return verification;
+}
@@ -0,0 +1,637 @@
+import { existsSync, readFileSync } from "fs";
+import { basename, join } from "path";
+import { ParsedLockfile, ResolvedPackage } from "./types";
+import { parseYaml, YamlMapping, YamlValue } from "./yaml";
+
+type ManifestDependencies = Record<string, string>;
+
+const MANIFEST_DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "optionalDependencies",
+];
+
+/**
+ * Split "name@version" (or "@scope/name@version") at the version separator.
+ */
+export function splitNameAndVersion(spec: string): [string, string] | null {
+  const index = spec.indexOf("@", 1);
+  if (index <= 0) {
+    return null;
+  }
+  return [spec.slice(0, index), spec.slice(index + 1)];
+}
+
+function asMapping(value: YamlValue | undefined): YamlMapping {
+  return value && typeof value === "object" && !Array.isArray(value)
+    ? value
+    : {};
+}
+
+function asString(value: YamlValue | undefined): string | undefined {
+  return typeof value === "string" && value !== "" ? value : undefined;
+}
+
+/**
+ * Serialize a parsed value with sorted keys, so the layout hashes the same
+ * however the lockfile orders or formats it.
+ */
+function canonical(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const mapping = value as Record<string, unknown>;
+    return `{${Object.keys(mapping)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonical(mapping[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function addSpecifier(
+  specifiers: Record<string, string[]>,
+  name: string,
+  range: string
+): void {
+  const ranges = (specifiers[name] ||= []);
+  if (!ranges.includes(range)) {
+    ranges.push(range);
+  }
+}
+
+/**
+ * Pick each direct dependency's version from the resolved packages, for
+ * formats that don't record which packages the project asked for.
+ */
+function directFromManifest(
+  manifest: ManifestDependencies,
+  packages: ResolvedPackage[],
+  resolveDescriptor: (name: string, range: string) => string | undefined = () =>
+    undefined
+): Record<string, string> {
+  const direct: Record<string, string> = {};
+
+  for (const [name, range] of Object.entries(manifest)) {
+    const version =
+      resolveDescriptor(name, range) ??
+      packages.find((pkg) => pkg.name === name)?.version;
+    if (version) {
+      direct[name] = version;
+    }
+  }
+
+  return direct;
+}
+
+/**
+ * package-lock.json / npm-shrinkwrap.json. Versions 2 and 3 list every
+ * install location under `packages`; version 1 nests `dependencies`.
+ */
+export function parsePackageLock(
+  content: string,
+  manifest: ManifestDependencies = {}
+): ParsedLockfile {
+  const lockfile = JSON.parse(content);
+  const packages: ResolvedPackage[] = [];
+
+  if (lockfile.packages && typeof lockfile.packages === "object") {
+    const direct: Record<string, string> = {};
+    const specifiers: Record<string, string[]> = {};
+    const root = lockfile.packages[""] || {};
+    for (const field of [...MANIFEST_DEPENDENCY_FIELDS, "peerDependencies"]) {
+      for (const [name, range] of Object.entries<any>(root[field] || {})) {
+        addSpecifier(specifiers, name, String(range));
+      }
+    }
+
+    // The root's name and version change with `npm version`, not installs
+    const { name: _name, version: _version, ...rootLayout } = root;
+    const layout = [`\0${canonical(rootLayout)}`];
+
+    for (const [location, entry] of Object.entries<any>(lockfile.packages)) {
+      if (location !== "") {
+        layout.push(`${location}\0${canonical(entry)}`);
+      }
+      const index = location.lastIndexOf("node_modules/");
+      if (index < 0 || !entry || entry.link || !entry.version) {
+        continue; // Root project, workspace sources and symlinks
+      }
+      const name = location.slice(index + "node_modules/".length);
+      packages.push({
+        name,
+        version: entry.version,
+        integrity: entry.integrity,
+        resolved: entry.resolved,
+        optional: entry.optional === true,
+      });
+      if (location === `node_modules/${name}` && specifiers[name]) {
+        direct[name] = entry.version;
+      }
+    }
+
+    return { packages, direct, specifiers, specifiersComplete: true, layout };
+  }
+
+  const topLevelVersions: Record<string, string> = {};
+  const layout: string[] = [];
+  const walk = (
+    dependencies: Record<string, any>,
+    topLevel: boolean,
+    parent: string = ""
+  ) => {
+    for (const [name, entry] of Object.entries(dependencies || {})) {
+      if (!entry || !entry.version) {
+        continue;
+      }
+      const { dependencies: nested, ...fields } = entry;
+      const location = `${parent}node_modules/${name}`;
+      layout.push(`${location}\0${canonical(fields)}`);
+      packages.push({
+        name,
+        version: entry.version,
+        integrity: entry.integrity,
+        resolved: entry.resolved,
+      });
+      walk(nested, false, `${location}/`);
+      if (topLevel) {
+        topLevelVersions[name] = entry.version;
+      }
+    }
+  };
+  walk(lockfile.dependencies, true);
+
+  return {
+    packages,
+    direct: directFromManifest(
+      manifest,
+      packages,
+      (name) => topLevelVersions[name]
+    ),
+    layout,
+  };
+}
+
+/**
+ * Yarn Classic's own format: unindented descriptor lists followed by
+ * `field "value"` lines.
+ */
+function parseYarnClassicLock(
+  content: string,
+  manifest: ManifestDependencies
+): ParsedLockfile {
+  const packages: ResolvedPackage[] = [];
+  const descriptors: Record<string, string> = {};
+  const specifiers: Record<string, string[]> = {};
+  const layout: string[] = [];
+  let current: {
+    keys: string[];
+    fields: Record<string, string>;
+    lines: string[];
+  } | null = null;
+
+  const flush = () => {
+    if (!current || !current.fields.version) {
+      return;
+    }
+    layout.push(
+      `${[...current.keys].sort().join(", ")}\0${current.lines.join("\n")}`
+    );
+    const parsed = splitNameAndVersion(current.keys[0]);
+    if (!parsed) {
+      return;
+    }
+    packages.push({
+      name: parsed[0],
+      version: current.fields.version,
+      integrity: current.fields.integrity,
+      resolved: current.fields.resolved,
+    });
+    for (const key of current.keys) {
+      descriptors[key] = current.fields.version;
+      const descriptor = splitNameAndVersion(key);
+      if (descriptor) {
+        addSpecifier(specifiers, descriptor[0], descriptor[1]);
+      }
+    }
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    if (line.trim() === "" || line.trimStart().startsWith("#")) {
+      continue;
+    }
+
+    if (!line.startsWith(" ") && line.endsWith(":")) {
+      flush();
+      current = {
+        keys: line
+          .slice(0, -1)
+          .split(/,\s*/)
+          .map((key) => key.trim().replace(/^"(.*)"$/, "$1")),
+        fields: {},
+        lines: [],
+      };
+      continue;
+    }
+
+    // Including the nested dependency lists: the edges between packages
+    current?.lines.push(line.trim().replace(/"/g, ""));
+
+    // Only the package's own fields, not its nested dependency lists
+    const match = line.match(/^ {2}(\w+):? +"?([^"]*)"?$/);
+    if (current && match) {
+      current.fields[match[1]] = match[2];
+    }
+  }
+  flush();
+
+  return {
+    packages,
+    direct: directFromManifest(
+      manifest,
+      packages,
+      (name, range) => descriptors[`${name}@${range}`]
+    ),
+    // Every package's descriptors, not just the project's
+    specifiers,
+    layout,
+  };
+}
+
+/**
+ * Yarn Berry's YAML lockfile. Workspaces appear as `@workspace:` entries; the
+ * root workspace's dependency descriptors tell us the direct dependencies.
+ */
+function parseYarnBerryLock(content: string): ParsedLockfile {
+  const lockfile = parseYaml(content);
+  const packages: ResolvedPackage[] = [];
+  const descriptors: Record<string, string> = {};
+  const layout: string[] = [];
+  let rootWorkspace: YamlMapping | null = null;
+
+  for (const [key, value] of Object.entries(lockfile)) {
+    if (key === "__metadata") {
+      continue;
+    }
+    const entry = asMapping(value);
+    const keys = key.split(/,\s*/).map((descriptor) => descriptor.trim());
+    layout.push(`${keys.sort().join(", ")}\0${canonical(entry)}`);
+    const resolution = asString(entry.resolution) || "";
+    const version = asString(entry.version);
+
+    if (resolution.endsWith("@workspace:.")) {
+      rootWorkspace = entry;
+      continue;
+    }
+    if (!version || resolution.includes("@workspace:")) {
+      continue;
+    }
+
+    const name = splitNameAndVersion(resolution)?.[0];
+    if (!name) {
+      continue;
+    }
+    packages.push({
+      name,
+      version,
+      integrity: asString(entry.checksum),
+      resolved: resolution,
+    });
+    for (const descriptor of key.split(/,\s*/)) {
+      descriptors[descriptor.trim()] = version;
+    }
+  }
+
+  const direct: Record<string, string> = {};
+  const specifiers: Record<string, string[]> = {};
+  if (rootWorkspace) {
+    for (const field of [
+      "dependencies",
+      "devDependencies",
+      "peerDependencies",
+    ]) {
+      for (const [name, value] of Object.entries(
+        asMapping(rootWorkspace[field])
+      )) {
+        const range = asString(value);
+        if (!range) {
+          continue;
+        }
+        addSpecifier(specifiers, name, range);
+        const version = descriptors[`${name}@${range}`];
+        if (version) {
+          direct[name] = version;
+        }
+      }
+    }
+  }
+
+  return {
+    packages,
+    direct,
+    specifiers,
+    specifiersComplete: rootWorkspace !== null,
+    layout,
+  };
+}
+
+export function parseYarnLock(
+  content: string,
+  manifest: ManifestDependencies = {}
+): ParsedLockfile {
+  return /^__metadata:/m.test(content)
+    ? parseYarnBerryLock(content)
+    : parseYarnClassicLock(content, manifest);
+}
+
+/**
+ * Strip pnpm's peer dependency suffixes: "(react@18.2.0)" since v6 and
+ * "_react@18.2.0" before that.
+ */
+function stripPnpmPeerSuffix(version: string): string {
+  return version.replace(/\(.*$/, "").replace(/_.*$/, "");
+}
+
+/**
+ * Turn a pnpm `packages` key into a name and version. Lockfile v5 uses
+ * "/name/1.0.0", v6 uses "/name@1.0.0" and v9 drops the leading slash.
+ */
+function parsePnpmPackageKey(
+  key: string,
+  lockfileVersion: number
+): [string, string] | null {
+  const path = key.replace(/^[^/@]*\//, "").replace(/\(.*$/, "");
+
+  if (lockfileVersion < 6) {
+    const index = path.lastIndexOf("/");
+    if (index <= 0) {
+      return null;
+    }
+    return [path.slice(0, index), stripPnpmPeerSuffix(path.slice(index + 1))];
+  }
+
+  return splitNameAndVersion(path);
+}
+
+/**
+ * The parts of pnpm-lock.yaml that decide what gets installed where:
+ * importers (and the top-level project before v9), peer variants and their
+ * edges in `packages` and `snapshots`, settings and overrides.
+ */
+const PNPM_LAYOUT_FIELDS = [
+  "settings",
+  "overrides",
+  "packageExtensionsChecksum",
+  "patchedDependencies",
+  "pnpmfileChecksum",
+  "catalogs",
+  "importers",
+  "specifiers",
+  "dependencies",
+  "devDependencies",
+  "optionalDependencies",
+  "dependenciesMeta",
+  "packages",
+  "snapshots",
+];
+
+export function parsePnpmLock(content: string): ParsedLockfile {
+  const lockfile = parseYaml(content);
+  const lockfileVersion = parseFloat(asString(lockfile.lockfileVersion) || "0");
+  const packages: ResolvedPackage[] = [];
+
+  for (const [key, value] of Object.entries(asMapping(lockfile.packages))) {
+    const entry = asMapping(value);
+    const parsed = parsePnpmPackageKey(key, lockfileVersion);
+    const name = asString(entry.name) || parsed?.[0];
+    const version = asString(entry.version) || parsed?.[1];
+    if (!name || !version) {
+      continue;
+    }
+    const resolution = asMapping(entry.resolution);
+    packages.push({
+      name,
+      version,
+      integrity: asString(resolution.integrity),
+      resolved: asString(resolution.tarball) || asString(resolution.repo),
+      // v9 moved the `optional` flag to snapshots; platform fields remain
+      optional:
+        entry.optional === "true" ||
+        entry.os !== undefined ||
+        entry.cpu !== undefined,
+    });
+  }
+
+  // Non-workspace lockfiles before v9 keep the project's dependencies at the top
+  const importer = asMapping(asMapping(lockfile.importers)["."]);
+  const project = Object.keys(importer).length > 0 ? importer : lockfile;
+  const direct: Record<string, string> = {};
+  const specifiers: Record<string, string[]> = {};
+
+  // v5 keeps ranges in a separate `specifiers` mapping
+  for (const [name, value] of Object.entries(asMapping(project.specifiers))) {
+    const range = asString(value);
+    if (range) {
+      addSpecifier(specifiers, name, range);
+    }
+  }
+
+  for (const field of MANIFEST_DEPENDENCY_FIELDS) {
+    for (const [name, value] of Object.entries(asMapping(project[field]))) {
+      const version = asString(value) || asString(asMapping(value).version);
+      if (version) {
+        direct[name] = stripPnpmPeerSuffix(version);
+      }
+      const range = asString(asMapping(value).specifier);
+      if (range) {
+        addSpecifier(specifiers, name, range);
+      }
+    }
+  }
+
+  const overrides: Record<string, string> = {};
+  for (const [selector, value] of Object.entries(
+    asMapping(lockfile.overrides)
+  )) {
+    const version = asString(value);
+    if (version) {
+      overrides[selector] = version;
+    }
+  }
+
+  const layout = PNPM_LAYOUT_FIELDS.filter(
+    (field) => lockfile[field] !== undefined
+  ).map((field) => `${field}\0${canonical(lockfile[field])}`);
+
+  return {
+    packages,
+    direct,
+    specifiers,
+    specifiersComplete: true,
+    overrides,
+    layout,
+  };
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as in bun.lock.
+ */
+function parseJsonc(content: string): any {
+  let json = "";
+  let inString = false;
+  let comma = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      json += char;
+      if (char === "\\") {
+        json += content[++i] ?? "";
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (content.startsWith("//", i)) {
+      const end = content.indexOf("\n", i);
+      i = end < 0 ? content.length : end - 1;
+    } else if (content.startsWith("/*", i)) {
+      const end = content.indexOf("*/", i + 2);
+      i = end < 0 ? content.length : end + 1;
+    } else if (/\s/.test(char)) {
+      json += char;
+    } else if (char === ",") {
+      // Held back until we know it isn't trailing
+      comma = true;
+    } else {
+      if (comma && char !== "}" && char !== "]") {
+        json += ",";
+      }
+      comma = false;
+      inString = char === '"';
+      json += char;
+    }
+  }
+
+  return JSON.parse(json);
+}
+
+/**
+ * The parts of bun.lock besides `packages` that decide what gets installed
+ */
+const BUN_LAYOUT_FIELDS = [
+  "workspaces",
+  "overrides",
+  "patchedDependencies",
+  "trustedDependencies",
+  "catalog",
+  "catalogs",
+];
+
+/**
+ * Bun's text lockfile (Bun 1.2+). `packages` is keyed by install path
+ * ("parent/child" when nested) with `["name@version", registry, info,
+ * integrity]` entries; the root workspace lists the direct dependencies.
+ */
+export function parseBunLock(content: string): ParsedLockfile {
+  const lockfile = parseJsonc(content);
+  const packages: ResolvedPackage[] = [];
+  const installed: Record<string, string> = {};
+  const layout = BUN_LAYOUT_FIELDS.filter(
+    (field) => lockfile[field] !== undefined
+  ).map((field) => `${field}\0${canonical(lockfile[field])}`);
+
+  for (const [path, entry] of Object.entries<any>(lockfile.packages || {})) {
+    layout.push(`packages/${path}\0${canonical(entry)}`);
+    const parsed =
+      Array.isArray(entry) && typeof entry[0] === "string"
+        ? splitNameAndVersion(entry[0])
+        : null;
+    if (!parsed || parsed[1].startsWith("workspace:")) {
+      continue;
+    }
+    const [name, version] = parsed;
+    // Registry packages have [spec, registry, info, integrity]; git, file
+    // and link sources have [spec, info, ...]
+    const info = entry.find(
+      (value: unknown) =>
+        value !== null && typeof value === "object" && !Array.isArray(value)
+    );
+    packages.push({
+      name,
+      version,
+      integrity: asString(entry[3]),
+      resolved: asString(entry[1]),
+      optional: info?.os !== undefined || info?.cpu !== undefined,
+    });
+    installed[path] = version;
+  }
+
+  const root = lockfile.workspaces?.[""] || {};
+  const direct: Record<string, string> = {};
+  const specifiers: Record<string, string[]> = {};
+  for (const field of [...MANIFEST_DEPENDENCY_FIELDS, "peerDependencies"]) {
+    for (const [name, range] of Object.entries<any>(root[field] || {})) {
+      addSpecifier(specifiers, name, String(range));
+      if (installed[name]) {
+        direct[name] = installed[name];
+      }
+    }
+  }
+
+  return {
+    packages,
+    direct,
+    specifiers,
+    specifiersComplete: lockfile.workspaces?.[""] !== undefined,
+    layout,
+  };
+}
+
+function readManifestDependencies(cwd: string): ManifestDependencies {
+  const packageJsonPath = join(cwd, "package.json");
+
+  if (!existsSync(packageJsonPath)) {
+    return {};
+  }
+
+  try {
+    const packageJson = JSON.parse(readFileSync(packageJsonPath, "utf8"));
+    const dependencies: ManifestDependencies = {};
+    for (const field of MANIFEST_DEPENDENCY_FIELDS) {
+      Object.assign(dependencies, packageJson[field]);
+    }
+    return dependencies;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Parse a lockfile into its resolved packages. Returns null for formats we
+ * can't read (bun.lockb, custom package managers) or malformed files.
+ */
+export function parseLockfile(
+  lockfilePath: string,
+  cwd: string = process.cwd()
+): ParsedLockfile | null {
+  try {
+    const content = readFileSync(lockfilePath, "utf8");
+
+    switch (basename(lockfilePath)) {
+      case "package-lock.json":
+      case "npm-shrinkwrap.json":
+        return parsePackageLock(content, readManifestDependencies(cwd));
+      case "yarn.lock":
+        return parseYarnLock(content, readManifestDependencies(cwd));
+      case "pnpm-lock.yaml":
+        return parsePnpmLock(content);
+      case "bun.lock":
+        return parseBunLock(content);
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
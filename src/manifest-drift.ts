@@ -0,0 +1,257 @@
+import { existsSync, readFileSync } from "fs";
+import { join } from "path";
+import { parseLockfile } from "./lockfile-parsers";
+import { LockfileInfo, ManifestDrift, ParsedLockfile } from "./types";
+
+const MAX_LISTED_DRIFT = 10;
+
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "optionalDependencies",
+];
+
+/** Override fields each package manager reads; others honour all of them */
+const OVERRIDE_FIELDS: Record<string, string[]> = {
+  npm: ["overrides"],
+  yarn: ["resolutions"],
+  "yarn-berry": ["resolutions"],
+  pnpm: ["pnpm.overrides", "resolutions"],
+};
+const ALL_OVERRIDE_FIELDS = ["overrides", "resolutions", "pnpm.overrides"];
+
+const EXACT_VERSION = /^\d+\.\d+\.\d+(?:[-+][\w.+-]*)?$/;
+
+function readPackageJson(cwd: string): Record<string, any> | null {
+  const packageJsonPath = join(cwd, "package.json");
+
+  if (!existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(readFileSync(packageJsonPath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function readField(packageJson: Record<string, any>, field: string): any {
+  return field
+    .split(".")
+    .reduce((value, key) => (value ? value[key] : undefined), packageJson);
+}
+
+/**
+ * Yarn Berry records registry ranges with an explicit "npm:" protocol.
+ */
+function matchesRange(recorded: string[], range: string): boolean {
+  return recorded.includes(range) || recorded.includes(`npm:${range}`);
+}
+
+function detectRangeDrift(
+  packageJson: Record<string, any>,
+  parsed: ParsedLockfile
+): ManifestDrift[] {
+  const drift: ManifestDrift[] = [];
+  const { specifiers, specifiersComplete } = parsed;
+  const resolvedNames = new Set(parsed.packages.map((pkg) => pkg.name));
+  // Yarn Classic leaves workspace packages out of the lockfile entirely
+  const canReportMissing = specifiersComplete || !packageJson.workspaces;
+
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const [name, range] of Object.entries<string>(
+      packageJson[field] || {}
+    )) {
+      const recorded = specifiers?.[name];
+
+      if (recorded && !matchesRange(recorded, range)) {
+        drift.push({
+          name,
+          field,
+          kind: "range",
+          expected: range,
+          actual: recorded.join(", "),
+        });
+      } else if (
+        !recorded &&
+        canReportMissing &&
+        (specifiersComplete || !resolvedNames.has(name))
+      ) {
+        drift.push({ name, field, kind: "missing", expected: range });
+      }
+    }
+  }
+
+  if (specifiers && specifiersComplete) {
+    const declared = new Set<string>();
+    for (const field of [...DEPENDENCY_FIELDS, "peerDependencies"]) {
+      Object.keys(packageJson[field] || {}).forEach((name) =>
+        declared.add(name)
+      );
+    }
+
+    for (const [name, recorded] of Object.entries(specifiers)) {
+      if (!declared.has(name)) {
+        drift.push({
+          name,
+          field: "dependencies",
+          kind: "extra",
+          actual: recorded.join(", "),
+        });
+      }
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Flatten an override field into selector → value pairs. npm nests
+ * overrides by parent package, with "." standing for the parent itself.
+ */
+function flattenOverrides(
+  overrides: Record<string, any>,
+  prefix: string = ""
+): [string, string][] {
+  const entries: [string, string][] = [];
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const selector = key === "." ? prefix : prefix ? `${prefix}>${key}` : key;
+    if (typeof value === "string") {
+      entries.push([selector, value]);
+    } else if (value && typeof value === "object") {
+      entries.push(...flattenOverrides(value, selector));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Name of the package an override applies to everywhere, or null for
+ * overrides scoped to a parent ("foo>ms", "foo/ms") or a version ("ms@<2").
+ */
+function globalOverrideTarget(selector: string): string | null {
+  const match = selector
+    .replace(/^\*\*\//, "")
+    .match(/^((?:@[^/@>]+\/)?[^/@>]+)$/);
+  return match ? match[1] : null;
+}
+
+function detectOverrideDrift(
+  packageJson: Record<string, any>,
+  parsed: ParsedLockfile,
+  packageManager: string
+): ManifestDrift[] {
+  const drift: ManifestDrift[] = [];
+  const fields = OVERRIDE_FIELDS[packageManager] || ALL_OVERRIDE_FIELDS;
+
+  for (const field of fields) {
+    for (const [selector, value] of flattenOverrides(
+      readField(packageJson, field)
+    )) {
+      if (value.startsWith("$")) {
+        continue; // npm reference to a direct dependency's range
+      }
+
+      // pnpm writes the overrides it applied into the lockfile
+      if (parsed.overrides && field !== "overrides") {
+        if (parsed.overrides[selector] !== value) {
+          drift.push({
+            name: selector,
+            field,
+            kind: "override",
+            expected: value,
+            actual: parsed.overrides[selector],
+          });
+        }
+        continue;
+      }
+
+      const name = globalOverrideTarget(selector);
+      if (!name || !EXACT_VERSION.test(value)) {
+        continue;
+      }
+      const versions = parsed.packages
+        .filter((pkg) => pkg.name === name && pkg.version !== value)
+        .map((pkg) => pkg.version);
+      if (versions.length > 0) {
+        drift.push({
+          name,
+          field,
+          kind: "override",
+          expected: value,
+          actual: Array.from(new Set(versions)).sort().join(", "),
+        });
+      }
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Compare package.json with the lockfile: dependency ranges the lockfile
+ * wasn't resolved from, dependencies only one side has, and overrides the
+ * resolved versions don't follow. Returns null when the lockfile can't be
+ * read, since we can't tell either way.
+ */
+export function detectManifestDrift(
+  lockfileInfo: LockfileInfo,
+  cwd: string = process.cwd()
+): ManifestDrift[] | null {
+  const packageJson = readPackageJson(cwd);
+  const parsed = packageJson && parseLockfile(lockfileInfo.path, cwd);
+
+  if (!packageJson || !parsed) {
+    return null;
+  }
+
+  return [
+    ...detectRangeDrift(packageJson, parsed),
+    ...detectOverrideDrift(
+      packageJson,
+      parsed,
+      lockfileInfo.packageManager.name
+    ),
+  ];
+}
+
+function formatDrift(drift: ManifestDrift): string {
+  switch (drift.kind) {
+    case "missing":
+      return `   ${drift.name}: ${drift.expected} in ${drift.field}, not in the lockfile`;
+    case "range":
+      return `   ${drift.name}: ${drift.expected} in ${drift.field}, ${drift.actual} in the lockfile`;
+    case "extra":
+      return `   ${drift.name}: ${drift.actual} in the lockfile, not in package.json`;
+    case "override":
+      return `   ${drift.name}: ${drift.expected} in ${drift.field}, ${
+        drift.actual ?? "not applied"
+      } in the lockfile`;
+  }
+}
+
+/**
+ * Render drift as a warning, e.g.
+ *
+ *   ⚠️  Warning: package.json and pnpm-lock.yaml are out of sync
+ *      lodash: ^4.17.22 in dependencies, ^4.17.21 in the lockfile
+ *      Run "pnpm install" to update the lockfile
+ */
+export function formatManifestDrift(
+  drift: ManifestDrift[],
+  lockfileInfo: LockfileInfo
+): string {
+  const { lockFile, installCommand } = lockfileInfo.packageManager;
+  const lines = [
+    `⚠️  Warning: package.json and ${lockFile} are out of sync`,
+    ...drift.slice(0, MAX_LISTED_DRIFT).map(formatDrift),
+  ];
+  if (drift.length > MAX_LISTED_DRIFT) {
+    lines.push(`   … and ${drift.length - MAX_LISTED_DRIFT} more`);
+  }
+  lines.push(`   Run "${installCommand}" to update the lockfile`);
+  return lines.join("\n");
+}
@@ -0,0 +1,84 @@
+import { existsSync, readFileSync } from "fs";
+import { join } from "path";
+import { NodeRuntime } from "./types";
+
+const VERSION_FILES = [".nvmrc", ".node-version"];
+
+function readRequirements(cwd: string): Record<string, string> {
+  const requirements: Record<string, string> = {};
+
+  for (const file of VERSION_FILES) {
+    const path = join(cwd, file);
+    if (existsSync(path)) {
+      try {
+        requirements[file] = readFileSync(path, "utf8").trim();
+      } catch {
+        // Unreadable version files are treated as absent
+      }
+    }
+  }
+
+  try {
+    const packageJson = JSON.parse(
+      readFileSync(join(cwd, "package.json"), "utf8")
+    );
+    if (typeof packageJson.engines?.node === "string") {
+      requirements["engines.node"] = packageJson.engines.node;
+    }
+  } catch {
+    // No package.json, no engines requirement
+  }
+
+  return requirements;
+}
+
+export function getNodeRuntime(cwd: string = process.cwd()): NodeRuntime {
+  return {
+    version: process.version,
+    abi: process.versions.modules,
+    requirements: readRequirements(cwd),
+  };
+}
+
+function getMajorVersion(version: string): string {
+  return version.replace(/^v/, "").split(".")[0];
+}
+
+/**
+ * True when native addons built for `previous` won't load in `current`: the
+ * major version or the module ABI changed.
+ */
+export function needsRebuild(
+  previous: NodeRuntime,
+  current: NodeRuntime
+): boolean {
+  return (
+    getMajorVersion(previous.version) !== getMajorVersion(current.version) ||
+    previous.abi !== current.abi
+  );
+}
+
+/**
+ * Describe changes to .nvmrc, .node-version and engines.node, e.g.
+ * ".nvmrc: 18 → 20".
+ */
+export function describeRequirementChanges(
+  previous: NodeRuntime,
+  current: NodeRuntime
+): string[] {
+  const sources = new Set([
+    ...Object.keys(previous.requirements || {}),
+    ...Object.keys(current.requirements),
+  ]);
+  const changes: string[] = [];
+
+  for (const source of sources) {
+    const before = previous.requirements?.[source];
+    const after = current.requirements[source];
+    if (before !== after) {
+      changes.push(`${source}: ${before ?? "(none)"} → ${after ?? "(none)"}`);
+    }
+  }
+
+  return changes;
+}
@@ -1,7 +1,7 @@
 import { existsSync, readFileSync, writeFileSync } from "fs";
 import { join } from "path";
 import { updateHashAfterInstall } from "./guardian";
-import { loadConfig, log, logError, PACKAGE_MANAGERS } from "./utils";
+import { loadConfig, log, logError } from "./utils";
 
 interface PackageJsonScripts {
   [key: string]: string;
@@ -13,7 +13,15 @@ interface PackageJson {
 }
 
 const POST_INSTALL_SCRIPT_NAME = "postinstall";
-const LOCKFILE_GUARDIAN_HOOK = "npx lockfile-guardian post-install";
+/**
+ * Package managers put node_modules/.bin on the PATH for lifecycle scripts,
+ * so the binary runs without npx, which could fetch it from the network
+ */
+const LOCKFILE_GUARDIAN_HOOK = "lockfile-guardian post-install";
+/** Written by older versions, upgraded by `install` */
+const LEGACY_HOOK = "npx lockfile-guardian post-install";
+/** Either of them, as a regular expression */
+const HOOK_PATTERN = "(?:npx )?lockfile-guardian post-install";
 
 /**
  * Add post-install script to package.json that will update lockfile hash after installs
@@ -42,17 +50,25 @@ export function installPostInstallHook(cwd: string = process.cwd()): void {
 
   const currentPostInstall = packageJson.scripts[POST_INSTALL_SCRIPT_NAME];
 
-  // Check if our hook is already present
+  // Check if our hook is already present (the npx one contains it, too)
   if (
     currentPostInstall &&
-    currentPostInstall.includes(LOCKFILE_GUARDIAN_HOOK)
+    currentPostInstall.includes(LOCKFILE_GUARDIAN_HOOK) &&
+    !currentPostInstall.includes(LEGACY_HOOK)
   ) {
     log("🔒 Lockfile Guardian post-install hook is already configured");
     return;
   }
 
   // Add or append our hook to the postinstall script
-  if (currentPostInstall) {
+  if (currentPostInstall && currentPostInstall.includes(LEGACY_HOOK)) {
+    // Upgrade the npx command in place, keeping the commands around it
+    packageJson.scripts[POST_INSTALL_SCRIPT_NAME] = currentPostInstall.replace(
+      LEGACY_HOOK,
+      LOCKFILE_GUARDIAN_HOOK
+    );
+    log("🔒 Upgraded the Lockfile Guardian hook in the postinstall script");
+  } else if (currentPostInstall) {
     // Append to existing postinstall script
     packageJson.scripts[
       POST_INSTALL_SCRIPT_NAME
@@ -112,31 +128,10 @@ export function uninstallPostInstallHook(cwd: string = process.cwd()): void {
   }
 
   // Remove our hook from the script
-  let newPostInstall = currentPostInstall
-    .replace(
-      new RegExp(
-        `\\s*&&\\s*${LOCKFILE_GUARDIAN_HOOK.replace(
-          /[.*+?^${}()|[\]\\]/g,
-          "\\$&"
-        )}`
-      ),
-      ""
-    )
-    .replace(
-      new RegExp(
-        `^${LOCKFILE_GUARDIAN_HOOK.replace(
-          /[.*+?^${}()|[\]\\]/g,
-          "\\$&"
-        )}\\s*&&\\s*`
-      ),
-      ""
-    )
-    .replace(
-      new RegExp(
-        `^${LOCKFILE_GUARDIAN_HOOK.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`
-      ),
-      ""
-    )
+  const newPostInstall = currentPostInstall
+    .replace(new RegExp(`\\s*&&\\s*${HOOK_PATTERN}`), "")
+    .replace(new RegExp(`^${HOOK_PATTERN}\\s*&&\\s*`), "")
+    .replace(new RegExp(`^${HOOK_PATTERN}$`), "")
     .trim();
 
   if (newPostInstall === "") {
@@ -0,0 +1,171 @@
+import { existsSync } from "fs";
+import { join, relative, sep } from "path";
+import { findGitRoot, runGit } from "./git";
+import { getRegisteredProjects } from "./projects";
+import { getPackageManagers, loadConfig } from "./utils";
+
+/** package.json fields whose changes need a lockfile update */
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "optionalDependencies",
+];
+
+const CONFLICT_MARKER = /^(<{7}|>{7})( |$)|^={7}$/m;
+
+interface StagedFile {
+  /** Status letter from `git diff --name-status`: A, M, D, ... */
+  status: string;
+  /** Path relative to the top of the working tree */
+  path: string;
+}
+
+function getStagedFiles(root: string): StagedFile[] {
+  const output = runGit(
+    ["diff", "--cached", "--name-status", "--no-renames", "-z"],
+    root
+  );
+  // -z leaves paths unquoted: status, path, status, path, ...
+  const fields = (output || "").split("\0");
+  const files: StagedFile[] = [];
+  for (let i = 0; i + 1 < fields.length; i += 2) {
+    files.push({ status: fields[i][0], path: fields[i + 1] });
+  }
+  return files;
+}
+
+/** A file as it is in the index (":path") or a commit ("HEAD:path") */
+function readBlob(spec: string, root: string): string | null {
+  return runGit(["show", spec], root);
+}
+
+function readDependencies(
+  content: string | null
+): Record<string, unknown> | null {
+  try {
+    const packageJson = JSON.parse(content || "{}");
+    return Object.fromEntries(
+      DEPENDENCY_FIELDS.map((field) => [field, packageJson[field] ?? {}])
+    );
+  } catch {
+    return null;
+  }
+}
+
+/** The package manager a lockfile name belongs to; Yarn's versions agree */
+function getLockfileOwners(lockfile: string, cwd: string): Set<string> {
+  return new Set(
+    getPackageManagers(cwd)
+      .filter((pm) => pm.lockFile === lockfile)
+      .map((pm) => pm.name.replace(/-berry$/, ""))
+  );
+}
+
+/**
+ * Problems with the staged changes of one project, each a sentence.
+ */
+function checkProject(
+  cwd: string,
+  root: string,
+  staged: StagedFile[]
+): string[] {
+  const prefix = relative(root, cwd).split(sep).join("/");
+  const inProject = (file: string) => (prefix ? `${prefix}/${file}` : file);
+  const lockfileNames = Array.from(
+    new Set(getPackageManagers(cwd).map((pm) => pm.lockFile))
+  );
+  const stagedByPath = new Map(staged.map((file) => [file.path, file]));
+  const problems: string[] = [];
+
+  // Lockfiles that will be in the commit, staged or not
+  const tracked = lockfileNames.filter(
+    (name) =>
+      stagedByPath.get(inProject(name))?.status !== "D" &&
+      runGit(["ls-files", "--error-unmatch", inProject(name)], root) !== null
+  );
+
+  for (const name of tracked) {
+    const file = stagedByPath.get(inProject(name));
+    if (file && CONFLICT_MARKER.test(readBlob(`:${file.path}`, root) || "")) {
+      problems.push(
+        `${file.path} contains merge conflict markers. Resolve the conflict (or run the install to regenerate it) and stage it again`
+      );
+    }
+
+    if (file?.status === "A") {
+      const owners = getLockfileOwners(name, cwd);
+      const others = tracked.filter(
+        (other) =>
+          other !== name &&
+          !Array.from(getLockfileOwners(other, cwd)).some((owner) =>
+            owners.has(owner)
+          )
+      );
+      if (others.length > 0) {
+        const existing = others.map(inProject).join(", ");
+        problems.push(
+          `${file.path} adds a second package manager next to ${existing}. Unstage it, or remove the old lockfile in the same commit`
+        );
+      }
+    }
+  }
+
+  const manifest = stagedByPath.get(inProject("package.json"));
+  if (manifest && manifest.status !== "D" && tracked.length > 0) {
+    const before = readDependencies(readBlob(`HEAD:${manifest.path}`, root));
+    const after = readDependencies(readBlob(`:${manifest.path}`, root));
+    const lockfileStaged = tracked.some((name) =>
+      stagedByPath.has(inProject(name))
+    );
+
+    if (
+      before &&
+      after &&
+      JSON.stringify(before) !== JSON.stringify(after) &&
+      !lockfileStaged
+    ) {
+      const lockfiles = tracked.map(inProject).join(", ");
+      problems.push(
+        `${manifest.path} changes dependencies, but ${lockfiles} isn't staged. Run the install and stage the lockfile`
+      );
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check the staged changes of every project with the `preCommit` option:
+ * package.json dependency changes without a lockfile update, a lockfile
+ * from a second package manager and merge conflict markers in a lockfile.
+ * Returns what is wrong; an empty list means the commit can go ahead.
+ */
+export function checkStagedChanges(cwd: string = process.cwd()): string[] {
+  const root = findGitRoot(cwd);
+
+  if (!root) {
+    return [];
+  }
+
+  const registered = getRegisteredProjects(cwd);
+  const projects = (registered.length > 0 ? registered : [cwd]).filter(
+    (project) =>
+      existsSync(join(project, "package.json")) && loadConfig(project).preCommit
+  );
+
+  if (projects.length === 0) {
+    return [];
+  }
+
+  const staged = getStagedFiles(root);
+  return projects.flatMap((project) => checkProject(project, root, staged));
+}
+
+export function formatStagedProblems(problems: string[]): string {
+  return [
+    "❌ Lockfile Guardian blocked this commit:",
+    ...problems.map((problem) => `   • ${problem}`),
+    "",
+    "   Commit with --no-verify to skip this check.",
+  ].join("\n");
+}
@@ -0,0 +1,38 @@
+import { resolve } from "path";
+import { getAllProjectStates, updateProjectState } from "./state";
+import { findGitRoot } from "./git";
+
+/**
+ * Absolute paths of the projects where `install` was run. The git hooks run
+ * from the repository root and check each of them. The hooks are shared by
+ * all worktrees, so the registry is kept with the main worktree's state.
+ */
+export function getRegisteredProjects(cwd: string = process.cwd()): string[] {
+  const gitRoot = findGitRoot(cwd);
+
+  if (!gitRoot) {
+    return [];
+  }
+
+  return Object.entries(getAllProjectStates(cwd, true))
+    .filter(([, entry]) => entry.registered)
+    .map(([name]) => resolve(gitRoot, name))
+    .sort();
+}
+
+export function registerProject(cwd: string = process.cwd()): void {
+  updateProjectState((entry) => ({ ...entry, registered: true }), cwd, true);
+}
+
+/**
+ * Remove a project from the registry. Returns the number of projects left.
+ */
+export function unregisterProject(cwd: string = process.cwd()): number {
+  updateProjectState(
+    ({ registered, ...entry }) =>
+      Object.keys(entry).length > 0 ? entry : null,
+    cwd,
+    true
+  );
+  return getRegisteredProjects(cwd).length;
+}
@@ -0,0 +1,302 @@
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  rmdirSync,
+  rmSync,
+  statSync,
+  unlinkSync,
+  writeFileSync,
+} from "fs";
+import { join, relative, resolve, sep } from "path";
+import { GuardianState, ProjectState } from "./types";
+import { findGitRoot, getGitCommonDir, getGitDir } from "./git";
+import { logWarning } from "./utils";
+
+/** Bump when the shape of GuardianState changes, and migrate in readState */
+export const STATE_VERSION = 1;
+
+const STATE_FILE = "state.json";
+
+/**
+ * Where the state of the current worktree lives. Every worktree has its own
+ * node_modules, so each keeps its own state.
+ */
+export function getStateDir(cwd: string = process.cwd()): string {
+  return join(getGitDir(cwd), "lockfile-guardian");
+}
+
+/**
+ * The main worktree's state directory, for data shared by all worktrees.
+ */
+function getSharedStateDir(cwd: string): string {
+  return join(getGitCommonDir(cwd), "lockfile-guardian");
+}
+
+/**
+ * A project's path relative to the git root, e.g. "packages/foo" or ".".
+ * Projects are keyed by this name in the state file.
+ */
+export function getProjectName(cwd: string = process.cwd()): string {
+  const gitRoot = findGitRoot(cwd);
+  if (!gitRoot) {
+    throw new Error("Not in a git repository");
+  }
+  return relative(gitRoot, resolve(cwd)).split(sep).join("/") || ".";
+}
+
+/**
+ * A file name that is unique per project, for per-project directories such
+ * as the node_modules cache.
+ */
+export function getProjectKey(cwd: string = process.cwd()): string {
+  return encodeURIComponent(getProjectName(cwd)).replace(/\./g, "%2E");
+}
+
+function emptyState(): GuardianState {
+  return { version: STATE_VERSION, projects: {} };
+}
+
+/**
+ * Before the state file, each project had a bare hash file: the root project
+ * used .git/lockfile-guardian itself, other projects a file inside that
+ * directory named after their path with special characters replaced by "_".
+ */
+function getLegacyHashPath(dir: string, name: string): string {
+  return name === "." ? dir : join(dir, name.replace(/[^a-zA-Z0-9-_]/g, "_"));
+}
+
+/**
+ * Read a legacy hash file and remove it. Returns null if there is none.
+ */
+function takeLegacyHash(path: string): string | null {
+  try {
+    if (!statSync(path).isFile()) {
+      return null;
+    }
+    const hash = readFileSync(path, "utf8").trim();
+    unlinkSync(path);
+    return hash || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Move an unreadable state file aside so the next write starts over.
+ */
+function recoverState(path: string, reason: string): GuardianState {
+  try {
+    renameSync(path, `${path}.corrupt`);
+  } catch {
+    // Nothing to move aside; the next write replaces it
+  }
+  logWarning(
+    `⚠️  Warning: Lockfile Guardian state ${reason}, starting over (the old file was kept as ${STATE_FILE}.corrupt)`
+  );
+  return emptyState();
+}
+
+/** The state file's content, or why it can't be used */
+function parseState(path: string): GuardianState | string {
+  let state: GuardianState;
+  try {
+    state = JSON.parse(readFileSync(path, "utf8"));
+  } catch {
+    return "could not be read";
+  }
+
+  if (
+    !state ||
+    typeof state.projects !== "object" ||
+    state.projects === null ||
+    typeof state.version !== "number"
+  ) {
+    return "is not valid";
+  }
+
+  if (state.version > STATE_VERSION) {
+    return `was written by a newer version (format ${state.version})`;
+  }
+
+  return state;
+}
+
+function readState(dir: string): GuardianState {
+  const path = join(dir, STATE_FILE);
+
+  if (!existsSync(path)) {
+    return emptyState();
+  }
+
+  const state = parseState(path);
+  return typeof state === "string" ? recoverState(path, state) : state;
+}
+
+function getStateDirs(cwd: string): string[] {
+  return Array.from(new Set([getStateDir(cwd), getSharedStateDir(cwd)]));
+}
+
+/**
+ * State files of this worktree and the main one that can't be used, with
+ * the reason, without setting them aside like reading them does.
+ */
+export function inspectStateFiles(
+  cwd: string = process.cwd()
+): { path: string; reason: string }[] {
+  return getStateDirs(cwd)
+    .map((dir) => join(dir, STATE_FILE))
+    .filter((path) => existsSync(path))
+    .map((path) => ({ path, state: parseState(path) }))
+    .filter(
+      (entry): entry is { path: string; state: string } =>
+        typeof entry.state === "string"
+    )
+    .map(({ path, state }) => ({ path, reason: state }));
+}
+
+/**
+ * Set unusable state files aside and start over, as the next read would.
+ */
+export function resetBrokenState(cwd: string = process.cwd()): void {
+  for (const dir of getStateDirs(cwd)) {
+    readState(dir);
+  }
+}
+
+/**
+ * Write the state to a temporary file and rename it over the old one, so a
+ * crash or a concurrent reader never sees a half-written file.
+ */
+function writeState(dir: string, state: GuardianState): void {
+  if (Object.keys(state.projects).length === 0 && !state.deferred) {
+    rmSync(join(dir, STATE_FILE), { force: true });
+    try {
+      // Only goes if nothing else (caches, unmigrated projects) is left
+      rmdirSync(dir);
+    } catch {
+      // Keep the directory
+    }
+    return;
+  }
+
+  mkdirSync(dir, { recursive: true });
+  const path = join(dir, STATE_FILE);
+  const tempPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tempPath, JSON.stringify(state, null, 2) + "\n", "utf8");
+  renameSync(tempPath, path);
+}
+
+/**
+ * Load the state of the current worktree, or with `shared` the main
+ * worktree's, migrating the legacy hash file of the root project and of the
+ * project in `cwd` on the way.
+ */
+function loadState(
+  cwd: string,
+  shared: boolean = false
+): {
+  dir: string;
+  name: string;
+  state: GuardianState;
+} {
+  const dir = shared ? getSharedStateDir(cwd) : getStateDir(cwd);
+  const name = getProjectName(cwd);
+
+  // The root project's legacy file sits where the state directory goes
+  const rootHash = takeLegacyHash(getLegacyHashPath(dir, "."));
+  const state = readState(dir);
+  const migrated: Record<string, string | null> = { ".": rootHash };
+  if (name !== "." && !state.projects[name]) {
+    migrated[name] = takeLegacyHash(getLegacyHashPath(dir, name));
+  }
+
+  let changed = false;
+  for (const [project, hash] of Object.entries(migrated)) {
+    if (hash && !state.projects[project]) {
+      state.projects[project] = { hash };
+      changed = true;
+    }
+  }
+  if (changed) {
+    writeState(dir, state);
+  }
+
+  return { dir, name, state };
+}
+
+/**
+ * Everything stored about the project in `cwd`, or null if nothing is.
+ */
+export function getProjectState(
+  cwd: string = process.cwd()
+): ProjectState | null {
+  const { name, state } = loadState(cwd);
+  return state.projects[name] || null;
+}
+
+/**
+ * Every project with stored state, by name. With `shared`, the projects of
+ * the main worktree.
+ */
+export function getAllProjectStates(
+  cwd: string = process.cwd(),
+  shared: boolean = false
+): Record<string, ProjectState> {
+  return loadState(cwd, shared).state.projects;
+}
+
+/**
+ * Update the project in `cwd`. Returning null from `update` removes it.
+ * With `shared`, update the main worktree's entry for the same project,
+ * for data that applies to every worktree.
+ */
+export function updateProjectState(
+  update: (entry: ProjectState) => ProjectState | null,
+  cwd: string = process.cwd(),
+  shared: boolean = false
+): void {
+  const { dir, name, state } = loadState(cwd, shared);
+  const entry = update(state.projects[name] || {});
+
+  if (entry) {
+    state.projects[name] = entry;
+  } else {
+    delete state.projects[name];
+  }
+
+  writeState(dir, { ...state, version: STATE_VERSION });
+}
+
+/**
+ * The git operation the hooks put their check off for in this worktree, or
+ * null if nothing is pending.
+ */
+export function getDeferredOperation(
+  cwd: string = process.cwd()
+): string | null {
+  return loadState(cwd).state.deferred || null;
+}
+
+/**
+ * Remember that the hooks skipped a check during `operation`, or with null,
+ * that the pending check has run.
+ */
+export function setDeferredOperation(
+  operation: string | null,
+  cwd: string = process.cwd()
+): void {
+  const { dir, state } = loadState(cwd);
+  const { deferred, ...rest } = state;
+
+  if ((deferred || null) === operation) {
+    return;
+  }
+
+  writeState(dir, {
+    ...rest,
+    ...(operation && { deferred: operation }),
+    version: STATE_VERSION,
+  });
+}
@@ -2,21 +2,317 @@ export interface LockfileGuardianConfig {
   autoInstall?: boolean;
   silent?: boolean;
   checkNodeModules?: boolean;
+  /** Lockfile to watch when more than one is present, e.g. "pnpm-lock.yaml" */
+  lockfile?: string;
+  /**
+   * "fingerprint" (default) compares the resolved dependencies in the
+   * lockfile; "raw" compares the lockfile bytes
+   */
+  hashMode?: "fingerprint" | "raw";
+  /** Extra package managers, merged with the built-in ones */
+  packageManagers?: PackageManagerConfig[];
+  /**
+   * Compare the lockfile with the install state in node_modules on every
+   * check; "deep" also reads each direct dependency's package.json
+   */
+  verifyInstall?: boolean | "deep";
+  /** Keep node_modules per lockfile hash and restore it on checkout */
+  cache?: boolean;
+  /** Cache size limit in bytes or as "500MB"/"5GB" (default 5GB) */
+  cacheMaxSize?: string | number;
+  /**
+   * Fill node_modules in a new worktree with hardlinks to the main
+   * worktree's, when both use the same lockfile
+   */
+  seedWorktrees?: boolean;
+  /**
+   * Install a pre-commit hook that blocks commits with dependency changes
+   * but no lockfile update, a second package manager's lockfile or conflict
+   * markers in the lockfile
+   */
+  preCommit?: boolean;
 }
 
 export interface PackageManager {
-  name: "npm" | "yarn" | "pnpm";
+  /** Built-ins are "pnpm", "yarn-berry", "yarn", "bun" and "npm" */
+  name: string;
   lockFile: string;
   installCommand: string;
+  /** Rebuilds native addons; defaults to installCommand */
+  rebuildCommand?: string;
+  /**
+   * Other files that change what gets installed: paths relative to the
+   * project, directories ending in "/", or "package.json#<field>"
+   */
+  inputs?: string[];
+  /** Lower priorities are detected first */
+  priority: number;
+  /** Extra check for package managers that share a lockfile name */
+  detect?: (cwd: string) => boolean;
+}
+
+/**
+ * A package manager declared in the lockfileGuardian config. Reusing a
+ * built-in name overrides that package manager's settings.
+ */
+export interface PackageManagerConfig {
+  name: string;
+  lockFile?: string | string[];
+  installCommand?: string;
+  rebuildCommand?: string;
+  inputs?: string[];
+  priority?: number;
 }
 
 export interface LockfileInfo {
   path: string;
   packageManager: PackageManager;
+  /** Dependency fingerprint, or the raw file hash in "raw" mode */
+  hash: string;
+}
+
+/** The Node.js runtime dependencies were last installed with */
+export interface NodeRuntime {
+  /** process.version, e.g. "v20.11.1" */
+  version: string;
+  /** process.versions.modules, the ABI native addons are built against */
+  abi: string;
+  /** Declared requirements: .nvmrc, .node-version and engines.node */
+  requirements: Record<string, string>;
+}
+
+/** What is stored about one project, keyed by its path in GuardianState */
+export interface ProjectState {
+  /** Lockfile hash at the last install */
+  hash?: string;
+  /** Package manager that owns the lockfile */
+  packageManager?: string;
+  /** When the hash was stored (ISO 8601) */
+  updatedAt?: string;
+  /** HEAD commit when the hash was stored */
+  head?: string | null;
+  /** Node.js runtime of the last install */
+  runtime?: NodeRuntime;
+  /** Hashes of the other install inputs at the last install */
+  inputs?: Record<string, string>;
+  /** Resolved packages, used to show what changed */
+  snapshot?: DependencySnapshot;
+  /** Checked by the git hooks (`install` was run in the project) */
+  registered?: boolean;
+}
+
+/** Contents of .git/lockfile-guardian/state.json */
+export interface GuardianState {
+  version: number;
+  /** Keyed by path relative to the git root ("." for the root) */
+  projects: Record<string, ProjectState>;
+  /** Git operation the hooks put their check off for, e.g. "rebase" */
+  deferred?: string;
+}
+
+/** A node_modules snapshot in the cache */
+export interface CacheEntry {
+  /** Lockfile hash the snapshot was installed from */
   hash: string;
+  /** Size in bytes */
+  size: number;
+  /** Node.js module ABI the snapshot was built with */
+  abi: string;
+  createdAt: string;
+  lastUsed: string;
+}
+
+export interface ResolvedPackage {
+  name: string;
+  version: string;
+  integrity?: string;
+  /** Tarball URL, git URL or package manager resolution string */
+  resolved?: string;
+  /** Optional or platform-specific, so it may legitimately be skipped */
+  optional?: boolean;
+}
+
+export interface ParsedLockfile {
+  packages: ResolvedPackage[];
+  /** Direct dependencies of the project: name → resolved version */
+  direct: Record<string, string>;
+  /**
+   * Ranges the lockfile was resolved from: name → ranges. Missing for formats
+   * that don't record them
+   */
+  specifiers?: Record<string, string[]>;
+  /**
+   * True when `specifiers` holds exactly the project's own dependencies, so
+   * names missing from package.json can be reported
+   */
+  specifiersComplete?: boolean;
+  /** pnpm's record of the overrides it applied: selector → version */
+  overrides?: Record<string, string>;
+  /**
+   * How the packages are put together, one line per fact: install
+   * locations, each importer's dependencies, the edges between packages and
+   * settings. Only hashed, so a direct dependency moving between two
+   * versions the lockfile already holds still counts as a change
+   */
+  layout?: string[];
+}
+
+/** The resolved package set stored alongside the lockfile hash */
+export interface DependencySnapshot {
+  direct: Record<string, string>;
+  /** Every resolved package: name → sorted versions */
+  packages: Record<string, string[]>;
+}
+
+export interface DependencyChange {
+  name: string;
+  /** Missing for added packages */
+  from?: string;
+  /** Missing for removed packages */
+  to?: string;
+}
+
+export interface DependencyDiff {
+  direct: DependencyChange[];
+  transitive: DependencyChange[];
+}
+
+/** A disagreement between package.json and the lockfile */
+export interface ManifestDrift {
+  name: string;
+  /** package.json field, e.g. "devDependencies" or "pnpm.overrides" */
+  field: string;
+  /**
+   * "missing": in package.json but not the lockfile; "range": the lockfile
+   * was resolved from another range; "extra": in the lockfile only;
+   * "override": resolved versions ignore an override
+   */
+  kind: "missing" | "range" | "extra" | "override";
+  /** Range or override from package.json */
+  expected?: string;
+  /** What the lockfile records */
+  actual?: string;
+}
+
+export interface InstallVerification {
+  /**
+   * "ok": node_modules matches the lockfile; "outdated": it doesn't;
+   * "missing": nothing is installed; "unknown": no install state to read
+   */
+  status: "ok" | "outdated" | "missing" | "unknown";
+  /** Install state that was compared, relative to the project */
+  sources: string[];
+  /** Installed versions (`from`) against the lockfile's (`to`) */
+  diff: DependencyDiff;
+}
+
+export interface LockfileResolution {
+  lockfile: LockfileInfo | null;
+  /** Every package manager whose lockfile is present, in priority order */
+  candidates: PackageManager[];
+  /** How the watched lockfile was chosen */
+  source: "config" | "packageManager" | "priority";
+  /** Package manager named by the package.json `packageManager` field */
+  declared?: string;
+}
+
+/** An out-of-date project, collected for the hook's consolidated warning */
+export interface ProjectWarning {
+  /** Project directory */
+  cwd: string;
+  headline: string;
+  /** Install (or rebuild) command to run in the project */
+  command: string;
+  changes: string[];
+}
+
+/** Paths of the repository a directory belongs to, all absolute */
+export interface GitRepository {
+  /** Top of the working tree */
+  root: string;
+  /** Git dir of this worktree (.git, .git/worktrees/<name>, .git/modules/<name>) */
+  gitDir: string;
+  /** Git dir shared by all worktrees */
+  commonDir: string;
+  /** Where git runs hooks from, honoring core.hooksPath */
+  hooksDir: string;
 }
 
 export interface GitHookType {
   name: string;
   path: string;
 }
+
+/** How Husky is set up to run the git hooks */
+export interface HuskyLayout {
+  /**
+   * 9: core.hooksPath is `.husky/_`; 8: core.hooksPath is `.husky`;
+   * 4: runner scripts in the git hooks dir and hooks in the Husky config
+   */
+  version: 4 | 8 | 9;
+  /** Where hooks are added: the `.husky` directory, or the v4 config file */
+  path: string;
+}
+
+/** A tool that writes the git hooks from its own config file */
+export interface HookManager {
+  name: "lefthook" | "simple-git-hooks" | "pre-commit";
+  /** The config file Guardian's hooks are registered in */
+  configPath: string;
+}
+
+/** How the git hooks start Guardian */
+export interface HookRunner {
+  /** Shell condition that is true when Guardian can be run this way */
+  test: string;
+  /** The command Guardian's arguments are appended to */
+  command: string;
+  /** Directory to run it in, relative to the top of the working tree */
+  dir?: string;
+  /** Absolute path of the binary it runs, when it runs one directly */
+  bin?: string;
+  /**
+   * The main worktree's copy of `command`, found at run time, for linked
+   * worktrees that haven't installed their own node_modules yet
+   */
+  fallback?: string;
+  /** The install that provides it, named in the hint when it is missing */
+  install: string;
+}
+
+/** One of Guardian's git hooks, as `doctor` sees it */
+export interface HookStatus {
+  /** e.g. "post-checkout" */
+  name: string;
+  /** The hook script, or the config file it is registered in */
+  path: string;
+  /**
+   * "overwritten": the script or config entry exists without Guardian;
+   * "not-generated": registered in a config, but the tool hasn't written
+   * the script git runs
+   */
+  state:
+    | "ok"
+    | "missing"
+    | "overwritten"
+    | "not-executable"
+    | "outdated"
+    | "not-generated";
+}
+
+/** A problem `doctor` found */
+export interface DoctorFinding {
+  /** What is wrong */
+  problem: string;
+  /** What to do about it: a command or an instruction */
+  fix: string;
+  /** Applies the fix for `doctor --fix`; missing when it takes a person */
+  repair?: () => void;
+}
+
+/** The git hook that ran `check --hook`, with the arguments git passed it */
+export interface HookInvocation {
+  /** e.g. "post-checkout" */
+  name: string;
+  args: string[];
+}
@@ -1,152 +1,335 @@
 import { createHash } from "crypto";
-import { existsSync, readFileSync, statSync } from "fs";
+import { existsSync, readFileSync } from "fs";
 import { join, resolve } from "path";
-import { LockfileGuardianConfig, LockfileInfo, PackageManager } from "./types";
+import { parseLockfile } from "./lockfile-parsers";
+import {
+  LockfileGuardianConfig,
+  LockfileInfo,
+  LockfileResolution,
+  PackageManager,
+  PackageManagerConfig,
+  ParsedLockfile,
+} from "./types";
 
 export const PACKAGE_MANAGERS: PackageManager[] = [
-  { name: "pnpm", lockFile: "pnpm-lock.yaml", installCommand: "pnpm install" },
-  { name: "yarn", lockFile: "yarn.lock", installCommand: "yarn install" },
-  { name: "npm", lockFile: "package-lock.json", installCommand: "npm install" },
+  {
+    name: "pnpm",
+    lockFile: "pnpm-lock.yaml",
+    installCommand: "pnpm install",
+    rebuildCommand: "pnpm rebuild",
+    inputs: [
+      ".npmrc",
+      "pnpm-workspace.yaml",
+      ".pnpmfile.cjs",
+      "patches/",
+      "package.json#pnpm",
+    ],
+    priority: 10,
+  },
+  // Yarn 2+ and Yarn 1 both write yarn.lock, so Berry has to be sniffed first
+  {
+    name: "yarn-berry",
+    lockFile: "yarn.lock",
+    installCommand: "yarn install",
+    rebuildCommand: "yarn rebuild",
+    inputs: [".yarnrc.yml", ".yarn/patches/", "patches/"],
+    priority: 20,
+    detect: (cwd) => isYarnBerry(cwd),
+  },
+  // Yarn Classic has no rebuild command, but npm can rebuild its node_modules
+  {
+    name: "yarn",
+    lockFile: "yarn.lock",
+    installCommand: "yarn install",
+    rebuildCommand: "npm rebuild",
+    inputs: [".npmrc", ".yarnrc", "patches/"],
+    priority: 20,
+    detect: (cwd) => !isYarnBerry(cwd),
+  },
+  // Bun 1.2+ writes a text lockfile; older versions only write bun.lockb
+  {
+    name: "bun",
+    lockFile: "bun.lock",
+    installCommand: "bun install",
+    inputs: [".npmrc", "bunfig.toml", "patches/"],
+    priority: 30,
+  },
+  {
+    name: "bun",
+    lockFile: "bun.lockb",
+    installCommand: "bun install",
+    inputs: [".npmrc", "bunfig.toml", "patches/"],
+    priority: 30,
+  },
+  {
+    name: "npm",
+    lockFile: "package-lock.json",
+    installCommand: "npm install",
+    rebuildCommand: "npm rebuild",
+    inputs: [".npmrc", "patches/"],
+    priority: 40,
+  },
 ];
 
+/**
+ * Merge package managers from the config with the built-ins. New entries
+ * default to priority 0 so they are detected before any built-in; an entry
+ * that reuses a built-in name replaces it, inheriting whatever it leaves out.
+ */
+export function mergePackageManagers(
+  custom: PackageManagerConfig[] = []
+): PackageManager[] {
+  let merged = [...PACKAGE_MANAGERS];
+
+  for (const entry of custom) {
+    if (!entry || typeof entry.name !== "string") {
+      continue;
+    }
+
+    const builtins = merged.filter((pm) => pm.name === entry.name);
+    const lockFiles = entry.lockFile
+      ? ([] as string[]).concat(entry.lockFile)
+      : builtins.map((pm) => pm.lockFile);
+    const installCommand = entry.installCommand || builtins[0]?.installCommand;
+    const rebuildCommand = entry.rebuildCommand || builtins[0]?.rebuildCommand;
+    const inputs = entry.inputs || builtins[0]?.inputs;
+
+    if (lockFiles.length === 0 || !installCommand) {
+      continue;
+    }
+
+    merged = merged.filter((pm) => pm.name !== entry.name);
+    for (const lockFile of lockFiles) {
+      const builtin = builtins.find((pm) => pm.lockFile === lockFile);
+      merged.push({
+        name: entry.name,
+        lockFile,
+        installCommand,
+        ...(rebuildCommand && { rebuildCommand }),
+        ...(inputs && { inputs }),
+        priority: entry.priority ?? builtins[0]?.priority ?? 0,
+        ...(builtin?.detect && { detect: builtin.detect }),
+      });
+    }
+  }
+
+  // Array#sort is stable, so equal priorities keep their declaration order
+  return merged.sort((a, b) => a.priority - b.priority);
+}
+
+export function getPackageManagers(
+  cwd: string = process.cwd()
+): PackageManager[] {
+  return mergePackageManagers(loadConfig(cwd).packageManagers);
+}
+
+export function getSupportedLockfiles(cwd: string = process.cwd()): string[] {
+  return Array.from(new Set(getPackageManagers(cwd).map((pm) => pm.lockFile)));
+}
+
 export function createSHA256Hash(filePath: string): string {
-  const content = readFileSync(filePath, "utf8");
+  // Hash raw bytes so binary lockfiles (bun.lockb) aren't mangled by decoding
+  const content = readFileSync(filePath);
   return createHash("sha256").update(content).digest("hex");
 }
 
-export function findLockfile(cwd: string = process.cwd()): LockfileInfo | null {
-  for (const pm of PACKAGE_MANAGERS) {
-    const lockfilePath = resolve(cwd, pm.lockFile);
-    if (existsSync(lockfilePath)) {
-      const hash = createSHA256Hash(lockfilePath);
-      return {
-        path: lockfilePath,
-        packageManager: pm,
-        hash,
-      };
+/**
+ * Hash what a lockfile resolves to rather than how it is written: the name,
+ * version, integrity and resolution source of every package, and the layout
+ * that places them (install locations, importers, edges, settings), sorted.
+ * Line endings, key order and formatting no longer change the result.
+ */
+export function createLockfileFingerprint(parsed: ParsedLockfile): string {
+  const entries = parsed.packages
+    .map((pkg) =>
+      [pkg.name, pkg.version, pkg.integrity || "", pkg.resolved || ""].join(
+        "\0"
+      )
+    )
+    .sort();
+  const layout = [...(parsed.layout || [])].sort();
+  return createHash("sha256")
+    .update([...entries, "", ...layout].join("\n"))
+    .digest("hex");
+}
+
+/**
+ * Hash a lockfile for comparison. Formats we can't parse (bun.lockb, custom
+ * package managers) fall back to the raw file hash.
+ */
+export function hashLockfile(
+  lockfilePath: string,
+  cwd: string = process.cwd(),
+  mode: LockfileGuardianConfig["hashMode"] = loadConfig(cwd).hashMode
+): string {
+  if (mode !== "raw") {
+    const parsed = parseLockfile(lockfilePath, cwd);
+    if (parsed) {
+      return createLockfileFingerprint(parsed);
     }
   }
-  return null;
+  return createSHA256Hash(lockfilePath);
 }
 
-export function findGitRoot(cwd: string = process.cwd()): string | null {
-  let currentDir = resolve(cwd);
-  const root = resolve("/");
+/**
+ * Yarn Berry lockfiles start with a `__metadata` block, while Yarn Classic
+ * lockfiles carry a `# yarn lockfile v1` banner. If the lockfile doesn't say
+ * either way, a `.yarnrc.yml` (which Yarn Classic never reads) means Berry.
+ */
+export function isYarnBerry(cwd: string = process.cwd()): boolean {
+  const lockfilePath = join(cwd, "yarn.lock");
 
-  while (currentDir !== root) {
-    const gitDir = join(currentDir, ".git");
+  if (existsSync(lockfilePath)) {
     try {
-      if (existsSync(gitDir) && statSync(gitDir).isDirectory()) {
-        return currentDir;
+      const content = readFileSync(lockfilePath, "utf8");
+      if (/^__metadata:/m.test(content)) {
+        return true;
+      }
+      if (content.includes("# yarn lockfile v1")) {
+        return false;
       }
     } catch {
-      // Continue searching
-    }
-    const parentDir = resolve(currentDir, "..");
-    if (parentDir === currentDir) {
-      break;
+      // Fall through to the .yarnrc.yml check
     }
-    currentDir = parentDir;
   }
 
-  return null;
-}
-
-export function isGitRepository(cwd: string = process.cwd()): boolean {
-  return findGitRoot(cwd) !== null;
-}
-
-export function getGitHooksDir(cwd: string = process.cwd()): string {
-  const gitRoot = findGitRoot(cwd);
-  if (!gitRoot) {
-    throw new Error("Not in a git repository");
+  if (existsSync(join(cwd, ".yarnrc.yml"))) {
+    return true;
   }
-  return join(gitRoot, ".git", "hooks");
+
+  const declared = getDeclaredPackageManager(cwd);
+  return declared?.name === "yarn" && parseInt(declared.version, 10) >= 2;
 }
 
-export function getHuskyHooksDir(cwd: string = process.cwd()): string {
-  const gitRoot = findGitRoot(cwd);
-  if (!gitRoot) {
-    throw new Error("Not in a git repository");
+/**
+ * Yarn Berry defaults to Plug'n'Play unless `.yarnrc.yml` picks another
+ * linker. PnP installs live in `.pnp.cjs` and `.yarn/install-state.gz`
+ * rather than node_modules.
+ */
+export function isYarnPnP(cwd: string = process.cwd()): boolean {
+  if (!isYarnBerry(cwd)) {
+    return false;
   }
-  return join(gitRoot, ".husky");
-}
 
-export function getGitHooksPath(cwd: string = process.cwd()): string {
-  const gitRoot = findGitRoot(cwd);
-  if (!gitRoot) {
-    throw new Error("Not in a git repository");
+  if (existsSync(join(cwd, ".pnp.cjs")) || existsSync(join(cwd, ".pnp.js"))) {
+    return true;
   }
 
   try {
-    const { execSync } = require("child_process");
-    const result = execSync("git config --get core.hooksPath", {
-      cwd: gitRoot,
-      encoding: "utf8",
-      stdio: "pipe",
-    });
-    return resolve(gitRoot, result.trim());
+    const yarnrc = readFileSync(join(cwd, ".yarnrc.yml"), "utf8");
+    const match = yarnrc.match(/^nodeLinker:\s*["']?([\w-]+)["']?/m);
+    return !match || match[1] === "pnp";
   } catch {
-    // No custom hooks path set, use default
-    return getGitHooksDir(cwd);
+    return true;
   }
 }
 
-export function isHuskyProject(cwd: string = process.cwd()): boolean {
-  const gitRoot = findGitRoot(cwd);
-  if (!gitRoot) {
-    return false;
-  }
+/**
+ * Read the package manager a project declares, either through Corepack's
+ * `packageManager` field ("pnpm@9.1.0+sha512...") or through
+ * `devEngines.packageManager` ({ name, version } or an array of them).
+ */
+export function getDeclaredPackageManager(
+  cwd: string = process.cwd()
+): { name: string; version: string } | null {
+  const packageJsonPath = join(cwd, "package.json");
 
-  // Check if .husky directory exists
-  const huskyDir = getHuskyHooksDir(cwd);
-  if (!existsSync(huskyDir)) {
-    return false;
+  if (!existsSync(packageJsonPath)) {
+    return null;
   }
 
-  // Check if core.hooksPath is set to .husky
   try {
-    const { execSync } = require("child_process");
-    const hooksPath = execSync("git config --get core.hooksPath", {
-      cwd: gitRoot,
-      encoding: "utf8",
-      stdio: "pipe",
-    }).trim();
+    const packageJson = JSON.parse(readFileSync(packageJsonPath, "utf8"));
 
-    const resolvedHooksPath = resolve(gitRoot, hooksPath);
-    const resolvedHuskyDir = resolve(gitRoot, ".husky");
+    if (typeof packageJson.packageManager === "string") {
+      const match = packageJson.packageManager.match(/^(@?[^@]+)(?:@(.*))?$/);
+      if (match) {
+        return { name: match[1], version: (match[2] || "").split("+")[0] };
+      }
+    }
 
-    return resolvedHooksPath === resolvedHuskyDir;
+    const devEngine = packageJson.devEngines?.packageManager;
+    const entry = Array.isArray(devEngine) ? devEngine[0] : devEngine;
+    if (entry && typeof entry.name === "string") {
+      return {
+        name: entry.name,
+        version: String(entry.version || "").replace(/^[^\d]*/, ""),
+      };
+    }
   } catch {
-    return false;
+    // Ignore unreadable package.json
   }
+
+  return null;
 }
 
-export function getActiveHooksDir(cwd: string = process.cwd()): string {
-  if (isHuskyProject(cwd)) {
-    return getHuskyHooksDir(cwd);
-  }
-  return getGitHooksPath(cwd);
+function createLockfileInfo(
+  pm: PackageManager,
+  cwd: string,
+  config: LockfileGuardianConfig
+): LockfileInfo {
+  const lockfilePath = resolve(cwd, pm.lockFile);
+  return {
+    path: lockfilePath,
+    packageManager: pm,
+    hash: hashLockfile(lockfilePath, cwd, config.hashMode),
+  };
 }
 
-export function getGuardianDataPath(cwd: string = process.cwd()): string {
-  const gitRoot = findGitRoot(cwd);
-  if (!gitRoot) {
-    throw new Error("Not in a git repository");
+/**
+ * Work out which lockfile to watch. An explicit `lockfile` in the config
+ * wins, then the package manager declared in package.json, then the first
+ * lockfile found in priority order.
+ */
+export function resolveLockfile(
+  cwd: string = process.cwd()
+): LockfileResolution {
+  const candidates = getPackageManagers(cwd).filter(
+    (pm) =>
+      existsSync(resolve(cwd, pm.lockFile)) && (!pm.detect || pm.detect(cwd))
+  );
+  const declared = getDeclaredPackageManager(cwd)?.name;
+
+  const config = loadConfig(cwd);
+  const configured = config.lockfile;
+  if (configured) {
+    const pm = candidates.find(
+      (candidate) => candidate.lockFile === configured
+    );
+    return {
+      lockfile: pm ? createLockfileInfo(pm, cwd, config) : null,
+      candidates,
+      source: "config",
+      declared,
+    };
   }
 
-  // For backward compatibility, if we're at the git root, use the old path
-  if (resolve(cwd) === resolve(gitRoot)) {
-    return join(gitRoot, ".git", "lockfile-guardian");
+  if (declared) {
+    const pm = candidates.find(
+      (candidate) => candidate.name.replace(/-berry$/, "") === declared
+    );
+    if (pm) {
+      return {
+        lockfile: createLockfileInfo(pm, cwd, config),
+        candidates,
+        source: "packageManager",
+        declared,
+      };
+    }
   }
 
-  // Create a unique path for each project in monorepos
-  const relativePath = resolve(cwd)
-    .replace(resolve(gitRoot), "")
-    .replace(/^\//, "");
-  const safePath = relativePath.replace(/[^a-zA-Z0-9-_]/g, "_");
+  return {
+    lockfile: candidates[0]
+      ? createLockfileInfo(candidates[0], cwd, config)
+      : null,
+    candidates,
+    source: "priority",
+    declared,
+  };
+}
 
-  return join(gitRoot, ".git", "lockfile-guardian", safePath);
+export function findLockfile(cwd: string = process.cwd()): LockfileInfo | null {
+  return resolveLockfile(cwd).lockfile;
 }
 
 export function loadConfig(
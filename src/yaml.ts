@@ -0,0 +1,224 @@
+export type YamlValue = string | YamlValue[] | YamlMapping;
+
+export interface YamlMapping {
+  [key: string]: YamlValue;
+}
+
+interface YamlLine {
+  indent: number;
+  text: string;
+}
+
+/**
+ * Minimal YAML reader for lockfiles (pnpm-lock.yaml and Yarn Berry's
+ * yarn.lock). It understands block mappings, block sequences of scalars,
+ * single-line flow collections and quoted scalars - which is all those
+ * formats use. Every scalar is returned as a string.
+ */
+export function parseYaml(content: string): YamlMapping {
+  const lines: YamlLine[] = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const text = rawLine.trim();
+    if (text === "" || text.startsWith("#") || text === "---") {
+      continue;
+    }
+    lines.push({ indent: rawLine.length - rawLine.trimStart().length, text });
+  }
+
+  if (lines.length === 0) {
+    return {};
+  }
+
+  const [value] = parseBlock(lines, 0, lines[0].indent);
+  return typeof value === "object" && !Array.isArray(value) ? value : {};
+}
+
+function parseBlock(
+  lines: YamlLine[],
+  start: number,
+  indent: number
+): [YamlValue, number] {
+  if (lines[start].text.startsWith("- ") || lines[start].text === "-") {
+    return parseSequence(lines, start, indent);
+  }
+  return parseMapping(lines, start, indent);
+}
+
+function parseSequence(
+  lines: YamlLine[],
+  start: number,
+  indent: number
+): [YamlValue[], number] {
+  const items: YamlValue[] = [];
+  let i = start;
+
+  while (i < lines.length && lines[i].indent >= indent) {
+    const line = lines[i];
+    if (line.indent > indent || !line.text.startsWith("-")) {
+      i++; // Nested content we don't model
+      continue;
+    }
+    items.push(parseScalar(line.text.slice(1).trim()));
+    i++;
+  }
+
+  return [items, i];
+}
+
+function parseMapping(
+  lines: YamlLine[],
+  start: number,
+  indent: number
+): [YamlMapping, number] {
+  const mapping: YamlMapping = {};
+  let i = start;
+
+  while (i < lines.length && lines[i].indent >= indent) {
+    const line = lines[i];
+    const entry = line.indent === indent ? splitKey(line.text) : null;
+    i++;
+
+    if (!entry) {
+      continue; // Deeper lines without a parent key, e.g. multi-line scalars
+    }
+
+    const [key, rest] = entry;
+    if (rest !== "") {
+      mapping[key] = parseScalar(rest);
+      continue;
+    }
+
+    const next = lines[i];
+    if (
+      next &&
+      (next.indent > indent ||
+        (next.indent === indent && next.text.startsWith("- ")))
+    ) {
+      const [value, nextIndex] = parseBlock(lines, i, next.indent);
+      mapping[key] = value;
+      i = nextIndex;
+    } else {
+      mapping[key] = "";
+    }
+  }
+
+  return [mapping, i];
+}
+
+function splitKey(text: string): [string, string] | null {
+  let keyEnd: number;
+  let key: string;
+
+  if (text.startsWith('"') || text.startsWith("'")) {
+    keyEnd = findClosingQuote(text, 0) + 1;
+    if (keyEnd === 0) {
+      return null;
+    }
+    key = unquote(text.slice(0, keyEnd));
+  } else {
+    const match = text.match(/:(\s|$)/);
+    if (!match || match.index === undefined) {
+      return null;
+    }
+    keyEnd = match.index;
+    key = text.slice(0, keyEnd).trim();
+  }
+
+  if (text[keyEnd] !== ":") {
+    return null;
+  }
+  return [key, stripComment(text.slice(keyEnd + 1).trim())];
+}
+
+function stripComment(text: string): string {
+  if (text.startsWith('"') || text.startsWith("'")) {
+    return text;
+  }
+  const index = text.search(/\s#/);
+  return index >= 0 ? text.slice(0, index).trim() : text;
+}
+
+function findClosingQuote(text: string, start: number): number {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === "\\") {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function unquote(text: string): string {
+  if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  return text;
+}
+
+function parseScalar(text: string): YamlValue {
+  if (text.startsWith("{") || text.startsWith("[")) {
+    return parseFlow(text);
+  }
+  return unquote(text);
+}
+
+function splitFlowItems(body: string): string[] {
+  const items: string[] = [];
+  let depth = 0;
+  let current = "";
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '"' || char === "'") {
+      const end = findClosingQuote(body, i);
+      const stop = end < 0 ? body.length - 1 : end;
+      current += body.slice(i, stop + 1);
+      i = stop;
+      continue;
+    }
+    if (char === "{" || char === "[") depth++;
+    if (char === "}" || char === "]") depth--;
+    if (char === "," && depth === 0) {
+      items.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim() !== "") {
+    items.push(current.trim());
+  }
+  return items;
+}
+
+function parseFlow(text: string): YamlValue {
+  const body = text.slice(1, -1);
+
+  if (text.startsWith("[")) {
+    return splitFlowItems(body).map(parseScalar);
+  }
+
+  const mapping: YamlMapping = {};
+  for (const item of splitFlowItems(body)) {
+    const entry = splitKey(item);
+    if (entry) {
+      mapping[entry[0]] = parseScalar(entry[1]);
+    }
+  }
+  return mapping;
+}
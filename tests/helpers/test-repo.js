@@ -45,6 +45,8 @@ export class TestRepo {
   }
 
   async createLockfile(modified = false) {
+    // A modified lockfile resolves lodash to a newer patch release
+    const version = modified ? "4.17.22" : "4.17.21";
     const lockfiles = {
       pnpm: {
         filename: "pnpm-lock.yaml",
@@ -59,14 +61,14 @@ importers:
     dependencies:
       lodash:
         specifier: ^4.17.21
-        version: 4.17.21${modified ? "\n      # Modified for testing" : ""}
+        version: ${version}
 
 packages:
-  lodash@4.17.21:
+  lodash@${version}:
     resolution: {integrity: sha512-v2kDEe57lecTulaDIuNTPy3Ry4gLGJ6Z1O3vE1krgXZNrsQ+LFTGHVxVjcXPs17LhbZVGedAJv8XZ1tvj5FvSg==}
 
 snapshots:
-  lodash@4.17.21: {}
+  lodash@${version}: {}
 `,
       },
       yarn: {
@@ -75,42 +77,81 @@ snapshots:
 # yarn lockfile v1
 
 lodash@^4.17.21:
-  version "4.17.21"
-  resolved "https://registry.yarnpkg.com/lodash/-/lodash-4.17.21.tgz#679591c564c3bffaae8454cf0b3df370c3d6911c"
-  integrity sha512-v2kDEe57lecTulaDIuNTPy3Ry4gLGJ6Z1O3vE1krgXZNrsQ+LFTGHVxVjcXPs17LhbZVGedAJv8XZ1tvj5FvSg==${
-    modified ? "\n# Modified for testing" : ""
+  version "${version}"
+  resolved "https://registry.yarnpkg.com/lodash/-/lodash-${version}.tgz#679591c564c3bffaae8454cf0b3df370c3d6911c"
+  integrity sha512-v2kDEe57lecTulaDIuNTPy3Ry4gLGJ6Z1O3vE1krgXZNrsQ+LFTGHVxVjcXPs17LhbZVGedAJv8XZ1tvj5FvSg==
+`,
+      },
+      "yarn-berry": {
+        filename: "yarn.lock",
+        content: `# This file is generated by running "yarn install" inside your project.
+# Manual changes might be lost - proceed with caution!
+
+__metadata:
+  version: 8
+  cacheKey: 10c0
+
+"lodash@npm:^4.17.21":
+  version: ${version}
+  resolution: "lodash@npm:${version}"
+  checksum: 10c0/d8cbea072bb08655bb4c989da418994b073a608dffa608b09ac04b43a791b12aeae7cd7ad919aa4c925f33b48490b5cfe6c1f71d827956071dae2e7bb3a6b74
+  languageName: node
+  linkType: hard
+
+"test-project@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "test-project@workspace:."
+  dependencies:
+    lodash: "npm:^4.17.21"
+  languageName: unknown
+  linkType: soft
+`,
+      },
+      bun: {
+        filename: "bun.lock",
+        content: `{
+  "lockfileVersion": 1,
+  "workspaces": {
+    "": {
+      "name": "test-project",
+      "dependencies": {
+        "lodash": "^4.17.21",
+      },
+    },
+  },
+  "packages": {
+    "lodash": ["lodash@${version}", "", {}, "sha512-v2kDEe57lecTulaDIuNTPy3Ry4gLGJ6Z1O3vE1krgXZNrsQ+LFTGHVxVjcXPs17LhbZVGedAJv8XZ1tvj5FvSg=="],
   }
+}
 `,
       },
       npm: {
         filename: "package-lock.json",
-        content:
-          JSON.stringify(
-            {
-              name: "test-project",
-              version: "1.0.0",
-              lockfileVersion: 3,
-              requires: true,
-              packages: {
-                "": {
-                  name: "test-project",
-                  version: "1.0.0",
-                  dependencies: {
-                    lodash: "^4.17.21",
-                  },
-                },
-                "node_modules/lodash": {
-                  version: "4.17.21",
-                  resolved:
-                    "https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz",
-                  integrity:
-                    "sha512-v2kDEe57lecTulaDIuNTPy3Ry4gLGJ6Z1O3vE1krgXZNrsQ+LFTGHVxVjcXPs17LhbZVGedAJv8XZ1tvj5FvSg==",
+        content: JSON.stringify(
+          {
+            name: "test-project",
+            version: "1.0.0",
+            lockfileVersion: 3,
+            requires: true,
+            packages: {
+              "": {
+                name: "test-project",
+                version: "1.0.0",
+                dependencies: {
+                  lodash: "^4.17.21",
                 },
               },
+              "node_modules/lodash": {
+                version,
+                resolved: `https://registry.npmjs.org/lodash/-/lodash-${version}.tgz`,
+                integrity:
+                  "sha512-v2kDEe57lecTulaDIuNTPy3Ry4gLGJ6Z1O3vE1krgXZNrsQ+LFTGHVxVjcXPs17LhbZVGedAJv8XZ1tvj5FvSg==",
+              },
             },
-            null,
-            2
-          ) + (modified ? "\n/* Modified for testing */" : ""),
+          },
+          null,
+          2
+        ),
       },
     };
 
@@ -175,16 +216,30 @@ lodash@^4.17.21:
   }
 
   async getGuardianData() {
+    const state = await this.readState();
+    return state?.projects["."]?.hash || null;
+  }
+
+  async readState() {
     try {
-      return await readFile(
-        join(this.path, ".git", "lockfile-guardian"),
-        "utf8"
+      return JSON.parse(
+        await readFile(
+          join(this.path, ".git", "lockfile-guardian", "state.json"),
+          "utf8"
+        )
       );
     } catch {
       return null;
     }
   }
 
+  async writeState(state) {
+    await writeFile(
+      join(this.path, ".git", "lockfile-guardian", "state.json"),
+      JSON.stringify(state, null, 2)
+    );
+  }
+
   async fileExists(relativePath) {
     return existsSync(join(this.path, relativePath));
   }
@@ -211,8 +266,13 @@ lodash@^4.17.21:
         let lockfilePath;
         if (this.packageManager === "npm") {
           lockfilePath = join(this.path, "package-lock.json");
-        } else if (this.packageManager === "yarn") {
+        } else if (
+          this.packageManager === "yarn" ||
+          this.packageManager === "yarn-berry"
+        ) {
           lockfilePath = join(this.path, "yarn.lock");
+        } else if (this.packageManager === "bun") {
+          lockfilePath = join(this.path, "bun.lock");
         } else {
           lockfilePath = join(this.path, "pnpm-lock.yaml");
         }
@@ -0,0 +1,81 @@
+import { strict as assert } from "assert";
+import { existsSync } from "fs";
+import { rm } from "fs/promises";
+import { describe, test } from "node:test";
+import { join } from "path";
+
+import { assertContains, assertNotContains } from "../helpers/assertions.js";
+import { cleanup, createTestRepo, runCli } from "../helpers/test-repo.js";
+
+describe("Bisect Integration Tests", () => {
+  const useInstallCommand = (repo, installCommand) =>
+    repo.addConfig({
+      packageManagers: [{ name: "pnpm", installCommand }],
+    });
+
+  test("should install the commit's dependencies before the command", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await useInstallCommand(repo, "mkdir -p node_modules");
+      await runCli("install", { cwd: repo.path });
+      await repo.modifyLockfile();
+
+      const result = await runCli("bisect-exec -- node -e process.exit(3)", {
+        cwd: repo.path,
+      });
+
+      assert.strictEqual(result.exitCode, 3, "Should keep the exit code");
+      assertContains(result.stdout, "Installing dependencies");
+      assert.ok(existsSync(join(repo.path, "node_modules")));
+
+      // The install was recorded, so the next step runs the command directly
+      const check = await runCli("check", { cwd: repo.path });
+      assertContains(check.stdout, "✅ Dependencies are up to date");
+      const again = await runCli("bisect-exec -- node --version", {
+        cwd: repo.path,
+      });
+      assert.strictEqual(again.exitCode, 0);
+      assertNotContains(again.stdout, "Installing dependencies");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should skip the commit when the install fails", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await useInstallCommand(repo, "false");
+      await runCli("install", { cwd: repo.path });
+      await rm(join(repo.path, "node_modules"), {
+        recursive: true,
+        force: true,
+      });
+
+      const result = await runCli(
+        "bisect-exec -- node -e require('fs').writeFileSync('ran','')",
+        { cwd: repo.path }
+      );
+
+      assert.strictEqual(result.exitCode, 125, "Should tell bisect to skip");
+      assertContains(result.stderr, "Failed to install dependencies");
+      assert.ok(!existsSync(join(repo.path, "ran")), "Should not run");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should stop the bisection without a command", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      const result = await runCli("bisect-exec", { cwd: repo.path });
+
+      assert.strictEqual(result.exitCode, 128);
+      assertContains(result.stderr, "No command given");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+});
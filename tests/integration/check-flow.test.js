@@ -1,5 +1,8 @@
 import { strict as assert } from "assert";
+import { createHash } from "crypto";
+import { mkdir, rm } from "fs/promises";
 import { describe, test } from "node:test";
+import { join } from "path";
 
 import {
   assertContains,
@@ -49,9 +52,101 @@ describe("Check Flow Integration Tests", () => {
     }
   });
 
+  test("should ignore formatting-only lockfile changes", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+
+      const lockfile = await repo.readFile("pnpm-lock.yaml");
+      await repo.writeFile(
+        "pnpm-lock.yaml",
+        lockfile.replace(/\n/g, "\r\n") + "# reformatted\r\n"
+      );
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "✅ Dependencies are up to date");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should compare raw lockfile bytes in raw hash mode", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await repo.addConfig({ hashMode: "raw" });
+      await runCli("install", { cwd: repo.path });
+
+      const lockfile = await repo.readFile("pnpm-lock.yaml");
+      await repo.writeFile("pnpm-lock.yaml", lockfile.replace(/\n/g, "\r\n"));
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "⚠️  DEPENDENCIES OUT OF DATE  ⚠️");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should upgrade raw hashes stored by older versions", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      const lockfile = await repo.readFile("pnpm-lock.yaml");
+      const rawHash = createHash("sha256").update(lockfile).digest("hex");
+      await repo.writeFile(".git/lockfile-guardian", rawHash);
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "✅ Dependencies are up to date");
+      assert.notStrictEqual(await repo.getGuardianData(), rawHash);
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should list changed packages in the warning", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+
+      const lockfile = await repo.readFile("pnpm-lock.yaml");
+      await repo.writeFile(
+        "pnpm-lock.yaml",
+        lockfile
+          .replace(/4\.17\.21/g, "4.17.22")
+          .replace(
+            "packages:\n",
+            "packages:\n  ms@2.1.3:\n    resolution: {integrity: sha512-ms}\n"
+          )
+      );
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "Direct dependencies:");
+      assertContains(result.stdout, "  ~ lodash 4.17.21 → 4.17.22");
+      assertContains(result.stdout, "Transitive dependencies:");
+      assertContains(result.stdout, "  + ms 2.1.3");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
   test("should show appropriate commands for different package managers", async () => {
-    const packageManagers = ["pnpm", "yarn", "npm"];
-    const expectedCommands = ["pnpm install", "yarn install", "npm install"];
+    const packageManagers = ["pnpm", "yarn", "bun", "npm"];
+    const expectedCommands = [
+      "pnpm install",
+      "yarn install",
+      "bun install",
+      "npm install",
+    ];
 
     for (let i = 0; i < packageManagers.length; i++) {
       const repo = await createTestRepo(packageManagers[i]);
@@ -100,7 +195,7 @@ describe("Check Flow Integration Tests", () => {
       assertContains(result.stderr, "No lockfile found");
       assertContains(
         result.stderr,
-        "pnpm-lock.yaml, yarn.lock, package-lock.json"
+        "pnpm-lock.yaml, yarn.lock, bun.lock, bun.lockb, package-lock.json"
       );
     } finally {
       await cleanup(repo);
@@ -139,6 +234,294 @@ describe("Check Flow Integration Tests", () => {
     }
   });
 
+  test("should use package managers declared in config", async () => {
+    const repo = await createTestRepo("npm");
+
+    try {
+      await repo.addConfig({
+        packageManagers: [
+          {
+            name: "make",
+            lockFile: "deps.lock",
+            installCommand: "make deps",
+            priority: 50,
+          },
+        ],
+      });
+      await repo.runCommand("rm", ["package-lock.json"]);
+      await repo.writeFile("deps.lock", "lodash 4.17.21\n");
+
+      await runCli("check", { cwd: repo.path });
+      await repo.writeFile("deps.lock", "lodash 4.17.22\n");
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "Lock file deps.lock has changed!");
+      assertContains(result.stdout, "  make deps");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should warn about conflicting lockfiles", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      await repo.writeFile("package-lock.json", '{"lockfileVersion": 3}');
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "multiple lockfiles found (pnpm-lock.yaml, package-lock.json)"
+      );
+      assertContains(result.stdout, "Watching pnpm-lock.yaml");
+      assertContains(result.stdout, "✅ Dependencies are up to date");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should warn when package.json and the lockfile disagree", async () => {
+    const repo = await createTestRepo("npm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      const packageJson = JSON.parse(await repo.readFile("package.json"));
+      packageJson.dependencies.lodash = "^4.17.22";
+      packageJson.devDependencies = { zod: "^3.23.8" };
+      await repo.writeFile("package.json", JSON.stringify(packageJson));
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "package.json and package-lock.json are out of sync"
+      );
+      assertContains(
+        result.stdout,
+        "lodash: ^4.17.22 in dependencies, ^4.17.21 in the lockfile"
+      );
+      assertContains(
+        result.stdout,
+        "zod: ^3.23.8 in devDependencies, not in the lockfile"
+      );
+      assertContains(result.stdout, 'Run "npm install" to update the lockfile');
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should trust the installed dependencies in verify mode", async () => {
+    const repo = await createTestRepo("npm");
+    const hiddenLockfile = async () => {
+      const lockfile = JSON.parse(await repo.readFile("package-lock.json"));
+      delete lockfile.packages[""];
+      await repo.writeFile(
+        "node_modules/.package-lock.json",
+        JSON.stringify(lockfile)
+      );
+    };
+
+    try {
+      await runCli("install", { cwd: repo.path });
+
+      const missing = await runCli("check --verify", { cwd: repo.path });
+      assertSuccessfulCommand(missing);
+      assertContains(
+        missing.stdout,
+        "Dependencies from package-lock.json are not installed!"
+      );
+
+      // Installed with --ignore-scripts: the stored hash is stale but
+      // node_modules matches the new lockfile
+      await repo.modifyLockfile();
+      await mkdir(join(repo.path, "node_modules"));
+      await hiddenLockfile();
+
+      const verified = await runCli("check --verify", { cwd: repo.path });
+      assertSuccessfulCommand(verified);
+      assertContains(verified.stdout, "✅ Dependencies are up to date");
+
+      const result = await runCli("check", { cwd: repo.path });
+      assertContains(result.stdout, "✅ Dependencies are up to date");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should ask for a rebuild when Node.js changed", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      const state = await repo.readState();
+      state.projects["."].runtime = {
+        version: "v1.0.0",
+        abi: "1",
+        requirements: {},
+      };
+      await repo.writeState(state);
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        `Node.js changed from v1.0.0 to ${process.version}!`
+      );
+      assertContains(result.stdout, "pnpm rebuild");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should rebuild native addons in autoInstall mode", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await repo.addConfig({
+        autoInstall: true,
+        packageManagers: [{ name: "pnpm", rebuildCommand: "touch rebuilt" }],
+      });
+      await runCli("install", { cwd: repo.path });
+      const state = await repo.readState();
+      state.projects["."].runtime = {
+        version: "v1.0.0",
+        abi: "1",
+        requirements: {},
+      };
+      await repo.writeState(state);
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "Native addons rebuilt successfully!");
+      assert.ok(await repo.fileExists("rebuilt"), "Should run rebuildCommand");
+      const { runtime } = (await repo.readState()).projects["."];
+      assert.strictEqual(runtime.version, process.version);
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should warn when .nvmrc changed since the last install", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      await repo.writeFile(".nvmrc", "99\n");
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "Node.js version requirements changed since the last install"
+      );
+      assertContains(result.stdout, ".nvmrc: (none) → 99");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should name changed install inputs in the warning", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      await repo.writeFile("pnpm-workspace.yaml", "catalog:\n  zod: ^3\n");
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "⚠️  DEPENDENCIES OUT OF DATE  ⚠️");
+      assertContains(
+        result.stdout,
+        "Install inputs changed: pnpm-workspace.yaml"
+      );
+
+      await repo.modifyLockfile();
+      const packageJson = JSON.parse(await repo.readFile("package.json"));
+      packageJson.pnpm = { overrides: { ms: "2.1.2" } };
+      await repo.writeFile("package.json", JSON.stringify(packageJson));
+
+      const both = await runCli("check", { cwd: repo.path });
+      assertContains(both.stdout, "Lock file pnpm-lock.yaml has changed!");
+      assertContains(
+        both.stdout,
+        "Also changed: pnpm-workspace.yaml, package.json#pnpm"
+      );
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should restore node_modules from the cache", async () => {
+    const repo = await createTestRepo("pnpm");
+    const installLodash = async (version) => {
+      await rm(join(repo.path, "node_modules"), {
+        recursive: true,
+        force: true,
+      });
+      await mkdir(join(repo.path, "node_modules"), { recursive: true });
+      await repo.writeFile("node_modules/lodash.txt", version);
+      await runCli("post-install", { cwd: repo.path });
+    };
+
+    try {
+      await repo.addConfig({ cache: true });
+      await runCli("install", { cwd: repo.path });
+      await installLodash("4.17.21");
+
+      await repo.modifyLockfile();
+      await installLodash("4.17.22");
+
+      // Back to the original lockfile: no install needed
+      await repo.createLockfile();
+      const result = await runCli("check --hook", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "Restored node_modules for pnpm-lock.yaml from cache"
+      );
+      assertNotContains(result.stdout, "DEPENDENCIES OUT OF DATE");
+      assert.strictEqual(
+        await repo.readFile("node_modules/lodash.txt"),
+        "4.17.21"
+      );
+
+      const list = await runCli("cache list", { cwd: repo.path });
+      assertContains(list.stdout, "1 cached node_modules");
+
+      const check = await runCli("check", { cwd: repo.path });
+      assertContains(check.stdout, "✅ Dependencies are up to date");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should not warn about node_modules in Yarn PnP projects", async () => {
+    const repo = await createTestRepo("yarn-berry");
+
+    try {
+      // PnP projects have no node_modules to ignore
+      await repo.writeFile(".gitignore", ".yarn/install-state.gz\n");
+
+      const result = await runCli("check", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertNotContains(result.stdout, "node_modules is not in .gitignore");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
   test("should respect silent mode configuration", async () => {
     const repo = await createTestRepo("pnpm");
 
@@ -187,6 +570,104 @@ describe("Check Flow Integration Tests", () => {
     }
   });
 
+  test("should skip the check when git didn't touch the lockfile", async () => {
+    const repo = await createTestRepo("pnpm");
+    const head = async () =>
+      (await repo.runCommand("git", ["rev-parse", "HEAD"])).stdout;
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      await repo.commitChanges("Install lockfile-guardian");
+      const before = await head();
+
+      await repo.modifyLockfile();
+      await repo.commitChanges("Add new dependency");
+      const changed = await head();
+
+      await repo.writeFile("README.md", "# Test");
+      await repo.commitChanges("Add readme");
+      const unrelated = await head();
+
+      const hook = (...args) =>
+        runCli(["check --hook", ...args].join(" "), { cwd: repo.path });
+
+      // The lockfile changed between the two commits
+      const result1 = await hook("post-checkout", before, changed, "1");
+      assertContains(result1.stdout, "⚠️  DEPENDENCIES OUT OF DATE  ⚠️");
+
+      // Dependencies are out of date, but this checkout didn't change them
+      const result2 = await hook("post-checkout", changed, unrelated, "1");
+      assertSuccessfulCommand(result2);
+      assert.strictEqual(result2.stdout, "");
+
+      // File checkouts and amends never run the check
+      const result3 = await hook("post-checkout", before, changed, "0");
+      assert.strictEqual(result3.stdout, "");
+      const result4 = await hook("post-rewrite", "amend");
+      assert.strictEqual(result4.stdout, "");
+
+      // Clones and new worktrees have no previous HEAD to compare with
+      const result5 = await hook(
+        "post-checkout",
+        "0".repeat(40),
+        unrelated,
+        "1"
+      );
+      assertContains(result5.stdout, "⚠️  DEPENDENCIES OUT OF DATE  ⚠️");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should check once when a rebase or merge finishes", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      await repo.commitChanges("Install lockfile-guardian");
+      const head = (await repo.runCommand("git", ["rev-parse", "HEAD"])).stdout;
+      await repo.modifyLockfile();
+
+      // Every step of a rebase fires the hooks; they wait for the end
+      await mkdir(join(repo.path, ".git", "rebase-merge"));
+      const step = await runCli(
+        `check --hook post-checkout ${head} ${head} 1`,
+        {
+          cwd: repo.path,
+        }
+      );
+      assertSuccessfulCommand(step);
+      assert.strictEqual(step.stdout, "");
+      assert.strictEqual((await repo.readState()).deferred, "rebase");
+
+      const done = await runCli("check --hook post-rewrite rebase", {
+        cwd: repo.path,
+      });
+      assertContains(done.stdout, "⚠️  DEPENDENCIES OUT OF DATE  ⚠️");
+      assert.strictEqual((await repo.readState()).deferred, undefined);
+      await rm(join(repo.path, ".git", "rebase-merge"), { recursive: true });
+
+      // Nothing runs at the end of a merge, so the next hook catches up,
+      // even if it didn't change the lockfile itself
+      await repo.writeFile(".git/MERGE_HEAD", `${head}\n`);
+      await runCli("check --hook post-checkout HEAD HEAD 0", {
+        cwd: repo.path,
+      });
+      assert.strictEqual((await repo.readState()).deferred, "merge");
+      await rm(join(repo.path, ".git", "MERGE_HEAD"));
+
+      const next = await runCli(
+        `check --hook post-checkout ${head} ${head} 1`,
+        {
+          cwd: repo.path,
+        }
+      );
+      assertContains(next.stdout, "⚠️  DEPENDENCIES OUT OF DATE  ⚠️");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
   test("should detect changes after git operations", async () => {
     const repo = await createTestRepo("pnpm");
 
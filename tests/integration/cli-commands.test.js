@@ -1,8 +1,11 @@
 import { strict as assert } from "assert";
+import { mkdir } from "fs/promises";
 import { describe, test } from "node:test";
+import { join } from "path";
 
 import {
   assertContains,
+  assertExitCode,
   assertStartsWith,
   assertSuccessfulCommand,
 } from "../helpers/assertions.js";
@@ -110,6 +113,119 @@ describe("CLI Commands Integration Tests", () => {
     }
   });
 
+  test("should list config package managers in status", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await repo.addConfig({
+        packageManagers: [
+          {
+            name: "deno",
+            lockFile: "deno.lock",
+            installCommand: "deno install",
+          },
+        ],
+      });
+      await repo.runCommand("rm", ["pnpm-lock.yaml"]);
+
+      const result = await runCli("", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "❌ No supported lockfile found");
+      assertContains(result.stdout, "Supported: deno.lock, pnpm-lock.yaml");
+
+      await repo.writeFile("deno.lock", '{"version": "4"}');
+      const found = await runCli("", { cwd: repo.path });
+
+      assertContains(found.stdout, "✅ Lockfile found: deno.lock (deno)");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should report conflicting lockfiles in status", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await repo.writeFile("package-lock.json", '{"lockfileVersion": 3}');
+      const packageJson = JSON.parse(await repo.readFile("package.json"));
+      packageJson.packageManager = "npm@10.8.2";
+      await repo.writeFile("package.json", JSON.stringify(packageJson));
+
+      const result = await runCli("", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "✅ Lockfile found: package-lock.json (npm)"
+      );
+      assertContains(
+        result.stdout,
+        "multiple lockfiles found (package-lock.json, pnpm-lock.yaml)"
+      );
+      assertContains(result.stdout, '"packageManager" field in package.json');
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should report package.json drift in status", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      const inSync = await runCli("", { cwd: repo.path });
+      assertContains(inSync.stdout, "✅ package.json matches the lockfile");
+
+      const packageJson = JSON.parse(await repo.readFile("package.json"));
+      packageJson.dependencies = {};
+      await repo.writeFile("package.json", JSON.stringify(packageJson));
+
+      const result = await runCli("", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "package.json and pnpm-lock.yaml are out of sync"
+      );
+      assertContains(
+        result.stdout,
+        "lodash: ^4.17.21 in the lockfile, not in package.json"
+      );
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should exit non-zero when verify finds missing dependencies", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      const missing = await runCli("verify", { cwd: repo.path });
+      assertExitCode(missing, 1);
+      assertContains(
+        missing.stdout,
+        "Dependencies from pnpm-lock.yaml are not installed!"
+      );
+
+      await mkdir(join(repo.path, "node_modules", ".pnpm"), {
+        recursive: true,
+      });
+      await repo.writeFile(
+        "node_modules/.pnpm/lock.yaml",
+        await repo.readFile("pnpm-lock.yaml")
+      );
+
+      const result = await runCli("verify", { cwd: repo.path });
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "✅ Installed dependencies match pnpm-lock.yaml (checked node_modules/.pnpm/lock.yaml)"
+      );
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
   test("should show error when not in git repository", async () => {
     const repo = await createTestRepo("pnpm");
 
@@ -137,7 +253,7 @@ describe("CLI Commands Integration Tests", () => {
       assertContains(result.stdout, "❌ No supported lockfile found");
       assertContains(
         result.stdout,
-        "pnpm-lock.yaml, yarn.lock, package-lock.json"
+        "pnpm-lock.yaml, yarn.lock, bun.lock, bun.lockb, package-lock.json"
       );
     } finally {
       await cleanup(repo);
@@ -0,0 +1,202 @@
+import { strict as assert } from "assert";
+import { chmod, mkdir, symlink, stat, writeFile } from "fs/promises";
+import { existsSync } from "fs";
+import { delimiter, join } from "path";
+import { describe, test } from "node:test";
+
+import {
+  assertContains,
+  assertNotContains,
+  assertSuccessfulCommand,
+} from "../helpers/assertions.js";
+import { cleanup, createTestRepo, runCli } from "../helpers/test-repo.js";
+
+describe("Doctor Integration Tests", () => {
+  const which = (command) =>
+    process.env.PATH.split(delimiter)
+      .map((dir) => join(dir, command))
+      .find((path) => existsSync(path));
+
+  // A PATH with node, git and the given package managers, and nothing else
+  const createPath = async (repo, binaries) => {
+    const dir = join(repo.path, ".test-bin");
+    await mkdir(dir);
+    await symlink(process.execPath, join(dir, "node"));
+    await symlink(which("git"), join(dir, "git"));
+    for (const binary of binaries) {
+      await writeFile(join(dir, binary), "#!/bin/sh\n", { mode: 0o755 });
+    }
+    return dir;
+  };
+
+  // Installs Guardian the way the project's own install would
+  const setupRepo = async (binaries = ["npm"]) => {
+    const repo = await createTestRepo("npm");
+    const bin = join(repo.path, "node_modules", ".bin");
+    await mkdir(bin, { recursive: true });
+    await writeFile(join(bin, "lockfile-guardian"), "", { mode: 0o755 });
+
+    const env = { ...process.env, PATH: await createPath(repo, binaries) };
+    const doctor = (args = "") =>
+      runCli(`doctor${args}`, { cwd: repo.path, env });
+
+    await runCli("install", { cwd: repo.path });
+    return { repo, doctor };
+  };
+
+  test("should find nothing wrong right after install", async () => {
+    const { repo, doctor } = await setupRepo();
+
+    try {
+      const result = await doctor();
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "No problems found");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should suggest install when Guardian isn't installed", async () => {
+    const repo = await createTestRepo("npm");
+
+    try {
+      const result = await runCli("doctor", { cwd: repo.path });
+      assert.strictEqual(result.exitCode, 1);
+      assertContains(result.stdout, "isn't installed in this repository");
+      assertContains(result.stdout, "Fix: npx lockfile-guardian install");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should fix hooks that aren't executable and a removed postinstall", async () => {
+    const { repo, doctor } = await setupRepo();
+
+    try {
+      await chmod(join(repo.path, ".git", "hooks", "post-merge"), 0o644);
+      const packageJson = JSON.parse(await repo.readFile("package.json"));
+      delete packageJson.scripts.postinstall;
+      await repo.writeFile("package.json", JSON.stringify(packageJson));
+
+      const result = await doctor();
+      assert.strictEqual(result.exitCode, 1);
+      assertContains(result.stdout, "Found 2 problems");
+      assertContains(
+        result.stdout,
+        "The post-merge hook in .git/hooks/post-merge isn't executable"
+      );
+      assertContains(result.stdout, "Fix: chmod +x .git/hooks/post-merge");
+      assertContains(
+        result.stdout,
+        "The postinstall script no longer runs Lockfile Guardian"
+      );
+
+      const fixed = await doctor(" --fix");
+      assertSuccessfulCommand(fixed);
+      assertContains(fixed.stdout, "Fixed 2 problems");
+      assertContains(fixed.stdout, "No problems found");
+      const mode = (await stat(join(repo.path, ".git", "hooks", "post-merge")))
+        .mode;
+      assert.ok(mode & 0o100);
+      assertContains(await repo.readFile("package.json"), "lockfile-guardian");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should find hooks that another tool overwrote", async () => {
+    const { repo, doctor } = await setupRepo();
+
+    try {
+      await repo.writeFile(
+        ".git/hooks/post-checkout",
+        "#!/bin/sh\nnpx other-tool\n"
+      );
+
+      const result = await doctor();
+      assertContains(
+        result.stdout,
+        "The post-checkout hook in .git/hooks/post-checkout no longer runs Lockfile Guardian"
+      );
+
+      assertSuccessfulCommand(await doctor(" --fix"));
+      const hook = await repo.readFile(".git/hooks/post-checkout");
+      assertContains(hook, "npx other-tool");
+      assertContains(hook, "lockfile-guardian check --hook");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should notice when core.hooksPath points elsewhere", async () => {
+    const { repo, doctor } = await setupRepo();
+
+    try {
+      await repo.runCommand("git", ["config", "core.hooksPath", ".githooks"]);
+
+      const result = await doctor();
+      assert.strictEqual(result.exitCode, 1);
+      assertContains(
+        result.stdout,
+        "hooks are in .git/hooks, but git runs hooks from .githooks (core.hooksPath)"
+      );
+
+      assertSuccessfulCommand(await doctor(" --fix"));
+      assert.ok(await repo.fileExists(".githooks/post-checkout"));
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should set corrupt state aside without losing the registration", async () => {
+    const { repo, doctor } = await setupRepo();
+
+    try {
+      await repo.writeFile(".git/lockfile-guardian/state.json", "{ not json");
+
+      const result = await doctor();
+      assert.strictEqual(result.exitCode, 1);
+      assertContains(
+        result.stdout,
+        "The state file .git/lockfile-guardian/state.json could not be read"
+      );
+      // Diagnosing alone leaves the file as it was
+      assert.strictEqual(
+        await repo.readFile(".git/lockfile-guardian/state.json"),
+        "{ not json"
+      );
+
+      const fixed = await doctor(" --fix");
+      assertSuccessfulCommand(fixed);
+      assert.ok(
+        await repo.fileExists(".git/lockfile-guardian/state.json.corrupt")
+      );
+      assertNotContains((await doctor()).stdout, "state file");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should report several lockfiles and a missing package manager", async () => {
+    const { repo, doctor } = await setupRepo([]);
+
+    try {
+      await repo.writeFile("pnpm-lock.yaml", "lockfileVersion: '9.0'\n");
+
+      const result = await doctor();
+      assert.strictEqual(result.exitCode, 1);
+      assertContains(
+        result.stdout,
+        "Several lockfiles: pnpm-lock.yaml, package-lock.json; only pnpm-lock.yaml is watched"
+      );
+      assertContains(result.stdout, "pnpm isn't on the PATH");
+      assertContains(
+        result.stdout,
+        'Fix: Run "corepack enable" or install pnpm'
+      );
+      assertNotContains(result.stdout, "doctor --fix does this");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+});
@@ -82,7 +82,7 @@ npm run build`;
       const hookContent = await repo.readFile(".husky/post-checkout");
       assertContains(hookContent, 'echo "Custom Husky hook"');
       assertContains(hookContent, "npm run build");
-      assertContains(hookContent, "npx lockfile-guardian check --hook");
+      assertContains(hookContent, "lockfile-guardian check --hook");
     } finally {
       await cleanup(repo);
     }
@@ -1,5 +1,7 @@
 import { strict as assert } from "assert";
+import { chmod, mkdir } from "fs/promises";
 import { describe, test } from "node:test";
+import { join, resolve } from "path";
 
 import {
   assertContains,
@@ -73,6 +75,31 @@ describe("Install Flow Integration Tests", () => {
     }
   });
 
+  test("should install hooks for bun projects", async () => {
+    const repo = await createTestRepo("bun");
+
+    try {
+      const result = await runCli("install", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "🔒 Lockfile Guardian installed successfully!"
+      );
+      assertContains(result.stdout, "🔒 Monitoring: bun.lock");
+
+      // Verify both git hooks and post-install hook are installed
+      await assertHookInstalled(repo, "post-checkout");
+      await assertHookInstalled(repo, "post-merge");
+      await assertHookInstalled(repo, "post-rewrite");
+
+      // Verify guardian data file is created
+      await assertGuardianDataExists(repo);
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
   test("should install hooks for npm projects", async () => {
     const repo = await createTestRepo("npm");
 
@@ -127,7 +154,7 @@ describe("Install Flow Integration Tests", () => {
       assertContains(result.stderr, "No supported lockfile found");
       assertContains(
         result.stderr,
-        "pnpm-lock.yaml, yarn.lock, package-lock.json"
+        "pnpm-lock.yaml, yarn.lock, bun.lock, bun.lockb, package-lock.json"
       );
     } finally {
       await cleanup(repo);
@@ -157,7 +184,78 @@ exit 0`;
       // Check that existing hook content is preserved and lockfile guardian is added
       const hookContent = await repo.readFile(".git/hooks/post-checkout");
       assertContains(hookContent, 'echo "Existing hook"');
-      assertContains(hookContent, "npx lockfile-guardian check --hook");
+      assertContains(
+        hookContent,
+        'node_modules/.bin/lockfile-guardian check --hook post-checkout "$@"'
+      );
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should upgrade hooks from older versions in place", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await repo.writeFile(
+        ".git/hooks/post-merge",
+        "#!/bin/sh\n\n# Lockfile Guardian\nnpx lockfile-guardian check --hook\necho merged\n"
+      );
+
+      const status = await runCli("", { cwd: repo.path });
+      assertContains(
+        status.stdout,
+        "post-merge hook written by an older version"
+      );
+      assert.strictEqual(
+        status.stdout.split("written by an older version").length,
+        2
+      );
+
+      assertSuccessfulCommand(await runCli("install", { cwd: repo.path }));
+
+      const hookContent = await repo.readFile(".git/hooks/post-merge");
+      assert.strictEqual(
+        hookContent,
+        "#!/bin/sh\n\n" +
+          "# >>> lockfile-guardian (hook format 2) >>>\n" +
+          "if [ -x node_modules/.bin/lockfile-guardian ]; then " +
+          'node_modules/.bin/lockfile-guardian check --hook post-merge "$@"; ' +
+          'elif [ -x "$(git rev-parse --git-common-dir)/../node_modules/.bin/lockfile-guardian" ]; then ' +
+          '"$(git rev-parse --git-common-dir)/../node_modules/.bin/lockfile-guardian" check --hook post-merge "$@"; ' +
+          'else echo "🔒 Lockfile Guardian is not installed, skipping the check. Run pnpm install to enable it" >&2; fi\n' +
+          "# <<< lockfile-guardian <<<\n" +
+          "echo merged\n"
+      );
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should run the hooks from node_modules/.bin", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      const binDir = join(repo.path, "node_modules", ".bin");
+      await mkdir(binDir, { recursive: true });
+      await repo.writeFile(
+        "node_modules/.bin/lockfile-guardian",
+        `#!/bin/sh\nexec node "${resolve("dist/cli.js")}" "$@"\n`
+      );
+      await chmod(join(binDir, "lockfile-guardian"), 0o755);
+
+      await runCli("install", { cwd: repo.path });
+      await repo.commitChanges("Install lockfile-guardian");
+      await repo.createBranch("update");
+      await repo.modifyLockfile();
+      await repo.commitChanges("Update lockfile");
+      await repo.runCommand("git", ["checkout", "-q", "-"]);
+
+      const result = await repo.runCommand("git", ["checkout", "update"]);
+      assertContains(
+        result.stdout + result.stderr,
+        "Lock file pnpm-lock.yaml has changed!"
+      );
     } finally {
       await cleanup(repo);
     }
@@ -175,7 +273,7 @@ exit 0`;
 
       // Check that hooks are not duplicated
       const hookContent = await repo.readFile(".git/hooks/post-checkout");
-      const matches = hookContent.match(/npx lockfile-guardian check --hook/g);
+      const matches = hookContent.match(/lockfile-guardian check --hook/g);
       assert.strictEqual(
         matches?.length,
         1,
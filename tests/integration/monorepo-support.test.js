@@ -5,6 +5,7 @@ import { join } from "path";
 
 import {
   assertContains,
+  assertNotContains,
   assertSuccessfulCommand,
 } from "../helpers/assertions.js";
 import { cleanup, createTestRepo, runCli } from "../helpers/test-repo.js";
@@ -80,8 +81,10 @@ snapshots:
       assertContains(checkResult.stdout, "✅ Dependencies are up to date");
 
       // Modify lockfile in subdirectory
-      const modifiedLockfileContent =
-        lockfileContent + "\n# Modified for testing";
+      const modifiedLockfileContent = lockfileContent.replace(
+        /version: 4\.17\.21|lodash@4\.17\.21/g,
+        (match) => match.replace("4.17.21", "4.17.22")
+      );
       await writeFile(
         join(projectDir, "pnpm-lock.yaml"),
         modifiedLockfileContent
@@ -318,4 +321,87 @@ react@^18.0.0:
       await cleanup(repo);
     }
   });
+  test("should check every installed project from the git hook", async () => {
+    const repo = await createTestRepo("pnpm");
+    const createProject = async (dir, version) => {
+      await mkdir(dir, { recursive: true });
+      await writeFile(
+        join(dir, "package.json"),
+        JSON.stringify({ dependencies: { lodash: "^4.17.21" } }, null, 2)
+      );
+      await writeFile(join(dir, ".gitignore"), "node_modules/\n");
+      await writeFile(
+        join(dir, "package-lock.json"),
+        JSON.stringify(
+          {
+            lockfileVersion: 3,
+            packages: {
+              "": { dependencies: { lodash: "^4.17.21" } },
+              "node_modules/lodash": {
+                version,
+                integrity: `sha512-${version}`,
+              },
+            },
+          },
+          null,
+          2
+        )
+      );
+    };
+
+    try {
+      const projectA = join(repo.path, "packages", "a");
+      const projectB = join(repo.path, "packages", "b");
+      await createProject(projectA, "4.17.21");
+      await createProject(projectB, "4.17.21");
+
+      for (const cwd of [repo.path, projectA, projectB]) {
+        assertSuccessfulCommand(await runCli("install", { cwd }));
+      }
+
+      // Nothing changed: the hook stays quiet
+      const quiet = await runCli("check --hook", { cwd: repo.path });
+      assertSuccessfulCommand(quiet);
+      assertNotContains(quiet.stdout, "DEPENDENCIES OUT OF DATE");
+
+      await createProject(projectA, "4.17.22");
+      const single = await runCli("check --hook", { cwd: repo.path });
+      assertContains(
+        single.stdout,
+        "packages/a: Lock file package-lock.json has changed!"
+      );
+      assertContains(single.stdout, "cd packages/a && npm install");
+
+      await createProject(projectB, "4.17.22");
+      await repo.modifyLockfile();
+      const result = await runCli("check --hook", { cwd: repo.path });
+
+      assertSuccessfulCommand(result);
+      assert.strictEqual(
+        result.stdout.split("DEPENDENCIES OUT OF DATE").length - 1,
+        1,
+        "Should print one consolidated warning"
+      );
+      assertContains(result.stdout, "3 projects are out of date:");
+      assertContains(result.stdout, ".: Lock file pnpm-lock.yaml has changed!");
+      assertContains(
+        result.stdout,
+        "packages/b: Lock file package-lock.json has changed!"
+      );
+      assertContains(result.stdout, "  pnpm install\n");
+      assertContains(result.stdout, "  cd packages/a && npm install");
+      assertContains(result.stdout, "  cd packages/b && npm install");
+
+      // Uninstalling one project keeps the hooks for the others
+      const uninstall = await runCli("uninstall", { cwd: projectA });
+      assertContains(uninstall.stdout, "Git hooks kept for 2 other projects");
+      assert.ok(await repo.hasHook("post-checkout"));
+
+      const remaining = await runCli("check --hook", { cwd: repo.path });
+      assertContains(remaining.stdout, "2 projects are out of date:");
+      assertNotContains(remaining.stdout, "packages/a");
+    } finally {
+      await cleanup(repo);
+    }
+  });
 });
@@ -1,5 +1,6 @@
 import { test, describe } from "node:test";
 import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
 import { writeFile, readFile, rm, mkdir } from "fs/promises";
 import { mkdtemp } from "fs/promises";
 import { tmpdir } from "os";
@@ -21,7 +22,7 @@ describe("Post-Install Workflow Integration", () => {
   let tempDir;
 
   const createGitDir = async (tempDir) => {
-    await mkdir(join(tempDir, ".git"));
+    execFileSync("git", ["init", "-q"], { cwd: tempDir });
   };
 
   const createPackageJson = async (tempDir, scripts = {}) => {
@@ -78,7 +79,7 @@ packages:
       const packageJson = JSON.parse(packageJsonContent);
       assert.ok(
         packageJson.scripts.postinstall.includes(
-          "npx lockfile-guardian post-install"
+          "lockfile-guardian post-install"
         ),
         "Should add post-install hook to package.json"
       );
@@ -137,7 +138,7 @@ packages:
       );
       assert.ok(
         packageJson.scripts.postinstall.includes(
-          "npx lockfile-guardian post-install"
+          "lockfile-guardian post-install"
         ),
         "Should add our hook"
       );
@@ -171,7 +172,7 @@ packages:
       // Simulate 3 install cycles with different lockfile states
       for (let i = 1; i <= 3; i++) {
         // Change lockfile
-        const content = `lockfileVersion: '9.0'\nversion: ${i}`;
+        const content = `lockfileVersion: '9.0'\npackages:\n  'dep@${i}.0.0': {}`;
         await writeFile(join(tempDir, "pnpm-lock.yaml"), content);
 
         // Run post-install hook
@@ -206,12 +207,22 @@ packages:
           name: "pnpm",
           file: "pnpm-lock.yaml",
           content: "lockfileVersion: '9.0'",
+          updated: "lockfileVersion: '9.0'\npackages:\n  'dep@1.0.0': {}",
+        },
+        {
+          name: "yarn",
+          file: "yarn.lock",
+          content: "# yarn lockfile v1",
+          updated: '# yarn lockfile v1\n\ndep@^1.0.0:\n  version "1.0.0"\n',
         },
-        { name: "yarn", file: "yarn.lock", content: "# yarn lockfile v1" },
         {
           name: "npm",
           file: "package-lock.json",
           content: '{"lockfileVersion": 3}',
+          updated: JSON.stringify({
+            lockfileVersion: 3,
+            packages: { "node_modules/dep": { version: "1.0.0" } },
+          }),
         },
       ];
 
@@ -226,8 +237,7 @@ packages:
         const initialHash = getStoredHash(tempDir);
 
         // Change lockfile
-        const updatedContent = pm.content + "\n# Updated";
-        await writeFile(join(tempDir, pm.file), updatedContent);
+        await writeFile(join(tempDir, pm.file), pm.updated);
 
         runPostInstallHook(tempDir);
         const updatedHash = getStoredHash(tempDir);
@@ -0,0 +1,156 @@
+import { strict as assert } from "assert";
+import { describe, test } from "node:test";
+
+import {
+  assertContains,
+  assertNotContains,
+  assertSuccessfulCommand,
+} from "../helpers/assertions.js";
+import { cleanup, createTestRepo, runCli } from "../helpers/test-repo.js";
+
+describe("Pre-commit Guard Integration Tests", () => {
+  const setupGuard = async (repo) => {
+    await repo.addConfig({ preCommit: true });
+    await runCli("install", { cwd: repo.path });
+    await repo.commitChanges("Install lockfile-guardian");
+  };
+
+  const addDependency = async (repo) => {
+    const packageJson = JSON.parse(await repo.readFile("package.json"));
+    packageJson.dependencies.chalk = "^5.0.0";
+    await repo.writeFile("package.json", JSON.stringify(packageJson, null, 2));
+  };
+
+  test("should install and uninstall the pre-commit hook", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await repo.writeFile(".git/hooks/pre-commit", "#!/bin/sh\nnpm test\n");
+      await repo.addConfig({ preCommit: true });
+
+      const result = await runCli("install", { cwd: repo.path });
+      assertSuccessfulCommand(result);
+      assertContains(result.stdout, "Pre-commit guard");
+      const hookContent = await repo.readFile(".git/hooks/pre-commit");
+      assertContains(
+        hookContent,
+        "node_modules/.bin/lockfile-guardian pre-commit || exit 1"
+      );
+      assertContains(hookContent, "npm test");
+
+      await runCli("uninstall", { cwd: repo.path });
+      assert.strictEqual(
+        await repo.readFile(".git/hooks/pre-commit"),
+        "#!/bin/sh\nnpm test\n"
+      );
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should block dependency changes without a lockfile update", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await setupGuard(repo);
+      await addDependency(repo);
+      await repo.runCommand("git", ["add", "package.json"]);
+
+      const blocked = await runCli("pre-commit", { cwd: repo.path });
+      assert.strictEqual(blocked.exitCode, 1);
+      assertContains(
+        blocked.stderr,
+        "package.json changes dependencies, but pnpm-lock.yaml isn't staged"
+      );
+      assertContains(blocked.stderr, "--no-verify");
+
+      await repo.modifyLockfile();
+      await repo.runCommand("git", ["add", "pnpm-lock.yaml"]);
+      assertSuccessfulCommand(await runCli("pre-commit", { cwd: repo.path }));
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should allow package.json changes outside the dependencies", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await setupGuard(repo);
+      const packageJson = JSON.parse(await repo.readFile("package.json"));
+      packageJson.version = "1.1.0";
+      await repo.writeFile(
+        "package.json",
+        JSON.stringify(packageJson, null, 2)
+      );
+      await repo.runCommand("git", ["add", "package.json"]);
+
+      const result = await runCli("pre-commit", { cwd: repo.path });
+      assertSuccessfulCommand(result);
+      assertNotContains(result.stderr, "blocked");
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should block a second package manager's lockfile", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await setupGuard(repo);
+      await repo.writeFile("package-lock.json", '{"lockfileVersion": 3}');
+      await repo.runCommand("git", ["add", "package-lock.json"]);
+
+      const blocked = await runCli("pre-commit", { cwd: repo.path });
+      assert.strictEqual(blocked.exitCode, 1);
+      assertContains(
+        blocked.stderr,
+        "package-lock.json adds a second package manager next to pnpm-lock.yaml"
+      );
+
+      // Switching package managers in one commit is fine
+      await repo.runCommand("git", ["rm", "-q", "pnpm-lock.yaml"]);
+      assertSuccessfulCommand(await runCli("pre-commit", { cwd: repo.path }));
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should block lockfiles with conflict markers", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await setupGuard(repo);
+      const lockfile = await repo.readFile("pnpm-lock.yaml");
+      await repo.writeFile(
+        "pnpm-lock.yaml",
+        `<<<<<<< HEAD\n${lockfile}=======\n${lockfile}>>>>>>> feature\n`
+      );
+      await repo.runCommand("git", ["add", "pnpm-lock.yaml"]);
+
+      const blocked = await runCli("pre-commit", { cwd: repo.path });
+      assert.strictEqual(blocked.exitCode, 1);
+      assertContains(
+        blocked.stderr,
+        "pnpm-lock.yaml contains merge conflict markers"
+      );
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
+  test("should not check anything without the preCommit option", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      await addDependency(repo);
+      await repo.runCommand("git", ["add", "package.json"]);
+
+      assertSuccessfulCommand(await runCli("pre-commit", { cwd: repo.path }));
+      assert.ok(!(await repo.fileExists(".git/hooks/pre-commit")));
+    } finally {
+      await cleanup(repo);
+    }
+  });
+});
@@ -68,7 +68,7 @@ exit 0`;
 
       // But lockfile guardian content should be removed
       assert(
-        !hookContent.includes("npx lockfile-guardian check --hook"),
+        !hookContent.includes("lockfile-guardian check --hook"),
         "Guardian command should be removed"
       );
       assert(
@@ -80,6 +80,37 @@ exit 0`;
     }
   });
 
+  test("should remove exactly its own block", async () => {
+    const repo = await createTestRepo("pnpm");
+
+    try {
+      const existingHookContent =
+        "#!/bin/sh\n# Lockfile Guardian\n" +
+        'echo "see lockfile-guardian check --hook --help"\n';
+      await repo.writeFile(".git/hooks/post-checkout", existingHookContent);
+      await repo.runCommand("mkdir", [".husky"]);
+      await repo.writeFile(".husky/post-merge", "npm run build\n");
+      await repo.runCommand("git", ["config", "core.hooksPath", ".husky"]);
+
+      await runCli("install", { cwd: repo.path });
+      await runCli("uninstall", { cwd: repo.path });
+      assert.strictEqual(
+        await repo.readFile(".husky/post-merge"),
+        "npm run build\n"
+      );
+
+      await repo.runCommand("git", ["config", "--unset", "core.hooksPath"]);
+      await runCli("install", { cwd: repo.path });
+      await runCli("uninstall", { cwd: repo.path });
+      assert.strictEqual(
+        await repo.readFile(".git/hooks/post-checkout"),
+        existingHookContent
+      );
+    } finally {
+      await cleanup(repo);
+    }
+  });
+
   test("should remove hook files completely if only guardian content", async () => {
     const repo = await createTestRepo("pnpm");
 
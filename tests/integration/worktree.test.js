@@ -0,0 +1,190 @@
+import { strict as assert } from "assert";
+import { existsSync } from "fs";
+import { mkdir, rm, stat, writeFile } from "fs/promises";
+import { describe, test } from "node:test";
+import { basename, join, resolve } from "path";
+
+import {
+  assertContains,
+  assertNotContains,
+  assertSuccessfulCommand,
+} from "../helpers/assertions.js";
+import { cleanup, createTestRepo, runCli } from "../helpers/test-repo.js";
+
+describe("Worktree Integration Tests", () => {
+  test("should work in linked worktrees with per-worktree state", async () => {
+    const repo = await createTestRepo("pnpm");
+    const worktree = `${repo.path}-review`;
+
+    try {
+      await repo.runCommand("git", [
+        "worktree",
+        "add",
+        worktree,
+        "-b",
+        "review",
+      ]);
+
+      // Installing from the linked worktree puts the hooks in the shared dir
+      const install = await runCli("install", { cwd: worktree });
+      assertSuccessfulCommand(install);
+      assertContains(install.stdout, "🔒 Lockfile Guardian initialized");
+      assert.ok(await repo.hasHook("post-checkout"));
+      assert.ok(
+        existsSync(
+          join(
+            repo.path,
+            ".git",
+            "worktrees",
+            basename(worktree),
+            "lockfile-guardian",
+            "state.json"
+          )
+        ),
+        "Should keep state in the worktree's git dir"
+      );
+
+      const status = await runCli("", { cwd: worktree });
+      assertContains(status.stdout, "✅ Git repository detected");
+      assertContains(status.stdout, "✅ Git hooks installed");
+
+      // The main worktree has its own state
+      const main = await runCli("check", { cwd: repo.path });
+      assertContains(main.stdout, "🔒 Lockfile Guardian initialized");
+
+      // An install in the linked worktree...
+      await repo.modifyLockfile();
+      await writeFile(
+        join(worktree, "pnpm-lock.yaml"),
+        await repo.readFile("pnpm-lock.yaml")
+      );
+      assertSuccessfulCommand(await runCli("post-install", { cwd: worktree }));
+      const linked = await runCli("check", { cwd: worktree });
+      assertContains(linked.stdout, "✅ Dependencies are up to date");
+
+      // Hooks in linked worktrees run with GIT_DIR set
+      const hook = await runCli("check --hook", {
+        cwd: worktree,
+        env: {
+          ...process.env,
+          GIT_DIR: join(repo.path, ".git", "worktrees", basename(worktree)),
+        },
+      });
+      assertSuccessfulCommand(hook);
+      assertNotContains(hook.stdout, "DEPENDENCIES OUT OF DATE");
+
+      // ...doesn't make the main worktree up to date
+      const result = await runCli("check", { cwd: repo.path });
+      assertContains(result.stdout, "⚠️  DEPENDENCIES OUT OF DATE  ⚠️");
+      assertNotContains(result.stdout, "Not a git repository");
+    } finally {
+      await rm(worktree, { recursive: true, force: true });
+      await cleanup(repo);
+    }
+  });
+  test("should ask for an install in a fresh worktree", async () => {
+    const repo = await createTestRepo("pnpm");
+    const worktree = `${repo.path}-fresh`;
+
+    try {
+      await runCli("install", { cwd: repo.path });
+      await repo.commitChanges("Install lockfile-guardian");
+      await repo.runCommand("git", ["worktree", "add", worktree]);
+
+      for (let run = 0; run < 2; run++) {
+        const result = await runCli("check --hook", { cwd: worktree });
+        assertSuccessfulCommand(result);
+        assertContains(
+          result.stdout,
+          "Dependencies from pnpm-lock.yaml are not installed!"
+        );
+        assertContains(result.stdout, "pnpm install");
+      }
+    } finally {
+      await rm(worktree, { recursive: true, force: true });
+      await cleanup(repo);
+    }
+  });
+
+  test("should seed node_modules from the main worktree", async () => {
+    const repo = await createTestRepo("pnpm");
+    const worktree = `${repo.path}-seeded`;
+
+    try {
+      await repo.addConfig({ seedWorktrees: true });
+      await runCli("install", { cwd: repo.path });
+      await repo.commitChanges("Install lockfile-guardian");
+      await mkdir(join(repo.path, "node_modules", "lodash"), {
+        recursive: true,
+      });
+      await repo.writeFile("node_modules/lodash/index.js", "// lodash");
+      await runCli("post-install", { cwd: repo.path });
+
+      await repo.runCommand("git", ["worktree", "add", worktree]);
+      const result = await runCli("check --hook", { cwd: worktree });
+
+      assertSuccessfulCommand(result);
+      assertContains(
+        result.stdout,
+        "Linked node_modules from the main worktree"
+      );
+      assertNotContains(result.stdout, "DEPENDENCIES OUT OF DATE");
+      const [original, copy] = await Promise.all(
+        [repo.path, worktree].map((root) =>
+          stat(join(root, "node_modules", "lodash", "index.js"))
+        )
+      );
+      assert.strictEqual(copy.ino, original.ino, "Should hardlink files");
+
+      const check = await runCli("check", { cwd: worktree });
+      assertContains(check.stdout, "✅ Dependencies are up to date");
+    } finally {
+      await rm(worktree, { recursive: true, force: true });
+      await cleanup(repo);
+    }
+  });
+
+  test("should run the installed hook in a new worktree from the main worktree's binary", async () => {
+    const repo = await createTestRepo("pnpm");
+    const worktree = `${repo.path}-hooked`;
+
+    try {
+      await repo.addConfig({ seedWorktrees: true });
+      await mkdir(join(repo.path, "node_modules", "lodash"), {
+        recursive: true,
+      });
+      await repo.writeFile("node_modules/lodash/index.js", "// lodash");
+      // Installed the way a package manager links the binary
+      await mkdir(join(repo.path, "node_modules", ".bin"));
+      await writeFile(
+        join(repo.path, "node_modules", ".bin", "lockfile-guardian"),
+        `#!/bin/sh\nexec node "${resolve("dist/cli.js")}" "$@"\n`,
+        { mode: 0o755 }
+      );
+      assertSuccessfulCommand(await runCli("install", { cwd: repo.path }));
+      await runCli("post-install", { cwd: repo.path });
+      await repo.commitChanges("Install lockfile-guardian");
+
+      // git runs the post-checkout hook itself; the worktree has no node_modules
+      const result = await repo.runCommand("git", [
+        "worktree",
+        "add",
+        worktree,
+      ]);
+      assertSuccessfulCommand(result);
+      assertNotContains(result.stderr, "Lockfile Guardian is not installed");
+      // git sends the hook's output to stderr
+      assertContains(
+        result.stderr,
+        "Linked node_modules from the main worktree"
+      );
+      assert.ok(
+        existsSync(join(worktree, "node_modules", "lodash", "index.js")),
+        "Should seed node_modules"
+      );
+    } finally {
+      await rm(worktree, { recursive: true, force: true });
+      await cleanup(repo);
+    }
+  });
+});
@@ -0,0 +1,133 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
+import {
+  writeFile,
+  readFile,
+  rm,
+  mkdir,
+  mkdtemp,
+  symlink,
+  lstat,
+} from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the cache functions to test
+import {
+  clearCache,
+  formatSize,
+  getCacheDir,
+  getCacheEntry,
+  listCacheEntries,
+  parseSize,
+  pruneCache,
+  restoreFromCache,
+  saveToCache,
+} from "../../dist/cache.js";
+
+describe("Cache Module", () => {
+  let tempDir;
+
+  const installPackage = async (version) => {
+    await mkdir(join(tempDir, "node_modules", "lodash"), { recursive: true });
+    await writeFile(
+      join(tempDir, "node_modules", "lodash", "package.json"),
+      JSON.stringify({ name: "lodash", version })
+    );
+  };
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "cache-test-"));
+    execFileSync("git", ["init", "-q"], { cwd: tempDir });
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should parse and format sizes", () => {
+    assert.strictEqual(parseSize("500MB"), 500 * 1024 ** 2);
+    assert.strictEqual(parseSize("1.5gb"), 1.5 * 1024 ** 3);
+    assert.strictEqual(parseSize(2048), 2048);
+    assert.strictEqual(parseSize(undefined), 5 * 1024 ** 3);
+    assert.strictEqual(formatSize(1536), "1.5KB");
+    assert.strictEqual(formatSize(12), "12B");
+  });
+
+  test("should cache a copy and keep node_modules", async () => {
+    await installPackage("4.17.21");
+    await symlink("lodash", join(tempDir, "node_modules", "alias"));
+
+    assert.strictEqual(saveToCache("hash-a", "copy", tempDir), true);
+
+    const cached = join(getCacheDir(tempDir), "hash-a", "node_modules");
+    assert.ok((await lstat(join(cached, "alias"))).isSymbolicLink());
+    assert.ok(existsSync(join(tempDir, "node_modules")));
+
+    // Patching node_modules in place leaves the cached copy alone
+    await writeFile(
+      join(tempDir, "node_modules", "lodash", "package.json"),
+      "patched"
+    );
+    assert.strictEqual(
+      JSON.parse(await readFile(join(cached, "lodash", "package.json"), "utf8"))
+        .version,
+      "4.17.21"
+    );
+
+    const entry = getCacheEntry("hash-a", tempDir);
+    assert.strictEqual(entry.abi, process.versions.modules);
+    assert.ok(entry.size > 0);
+  });
+
+  test("should swap node_modules through the cache", async () => {
+    await installPackage("4.17.21");
+    saveToCache("hash-a", "move", tempDir);
+    assert.ok(!existsSync(join(tempDir, "node_modules")));
+
+    await installPackage("4.17.22");
+    saveToCache("hash-b", "move", tempDir);
+
+    assert.strictEqual(restoreFromCache("hash-a", tempDir), true);
+    const manifest = JSON.parse(
+      await readFile(
+        join(tempDir, "node_modules", "lodash", "package.json"),
+        "utf8"
+      )
+    );
+    assert.strictEqual(manifest.version, "4.17.21");
+    assert.strictEqual(getCacheEntry("hash-a", tempDir), null);
+    assert.deepStrictEqual(
+      listCacheEntries(tempDir).map((entry) => entry.hash),
+      ["hash-b"]
+    );
+
+    // Never overwrite an existing node_modules
+    assert.strictEqual(restoreFromCache("hash-b", tempDir), false);
+  });
+
+  test("should evict least recently used entries", async () => {
+    for (const hash of ["hash-a", "hash-b", "hash-c"]) {
+      await installPackage(hash);
+      saveToCache(hash, "move", tempDir);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    const size = getCacheEntry("hash-c", tempDir).size;
+
+    const evicted = pruneCache(size * 2, tempDir);
+
+    assert.deepStrictEqual(
+      evicted.map((entry) => entry.hash),
+      ["hash-a"]
+    );
+    assert.deepStrictEqual(
+      listCacheEntries(tempDir).map((entry) => entry.hash),
+      ["hash-c", "hash-b"]
+    );
+
+    assert.strictEqual(clearCache(tempDir), 2);
+    assert.deepStrictEqual(listCacheEntries(tempDir), []);
+  });
+});
@@ -0,0 +1,99 @@
+import { test, describe } from "node:test";
+import { strict as assert } from "assert";
+
+// Import the diff helpers to test
+import {
+  createDependencySnapshot,
+  diffDependencySnapshots,
+  formatDependencyDiff,
+} from "../../dist/dependency-diff.js";
+
+const snapshot = (direct, packages) =>
+  createDependencySnapshot({
+    direct,
+    packages: packages.map((spec) => {
+      const index = spec.lastIndexOf("@");
+      return { name: spec.slice(0, index), version: spec.slice(index + 1) };
+    }),
+  });
+
+describe("Dependency Diff", () => {
+  test("should group versions by package name", () => {
+    const result = snapshot({ lodash: "4.17.21" }, [
+      "lodash@4.17.21",
+      "lodash@3.10.1",
+      "lodash@4.17.21",
+    ]);
+
+    assert.deepStrictEqual(result, {
+      direct: { lodash: "4.17.21" },
+      packages: { lodash: ["3.10.1", "4.17.21"] },
+    });
+  });
+
+  test("should separate direct and transitive changes", () => {
+    const before = snapshot({ lodash: "4.17.20", moment: "2.30.1" }, [
+      "lodash@4.17.20",
+      "moment@2.30.1",
+      "ms@2.1.2",
+    ]);
+    const after = snapshot({ lodash: "4.17.21", zod: "3.23.8" }, [
+      "lodash@4.17.21",
+      "zod@3.23.8",
+      "ms@2.1.3",
+      "debug@4.3.4",
+    ]);
+
+    const diff = diffDependencySnapshots(before, after);
+
+    assert.deepStrictEqual(diff.direct, [
+      { name: "lodash", from: "4.17.20", to: "4.17.21" },
+      { name: "moment", from: "2.30.1", to: undefined },
+      { name: "zod", from: undefined, to: "3.23.8" },
+    ]);
+    assert.deepStrictEqual(diff.transitive, [
+      { name: "debug", from: undefined, to: "4.3.4" },
+      { name: "ms", from: "2.1.2", to: "2.1.3" },
+    ]);
+  });
+
+  test("should format changes for the warning box", () => {
+    const lines = formatDependencyDiff({
+      direct: [
+        { name: "zod", to: "3.23.8" },
+        { name: "lodash", from: "4.17.20", to: "4.17.21" },
+        { name: "moment", from: "2.30.1" },
+      ],
+      transitive: [{ name: "ms", from: "2.1.2", to: "2.1.3" }],
+    });
+
+    assert.deepStrictEqual(lines, [
+      "Direct dependencies:",
+      "  + zod 3.23.8",
+      "  ~ lodash 4.17.20 → 4.17.21",
+      "  − moment 2.30.1",
+      "",
+      "Transitive dependencies:",
+      "  ~ ms 2.1.2 → 2.1.3",
+    ]);
+  });
+
+  test("should truncate long change lists", () => {
+    const transitive = Array.from({ length: 12 }, (_, i) => ({
+      name: `pkg-${i}`,
+      to: "1.0.0",
+    }));
+
+    const lines = formatDependencyDiff({ direct: [], transitive });
+
+    assert.strictEqual(lines.length, 12);
+    assert.strictEqual(lines[11], "  … and 2 more");
+  });
+
+  test("should produce no lines when nothing changed", () => {
+    assert.deepStrictEqual(
+      formatDependencyDiff({ direct: [], transitive: [] }),
+      []
+    );
+  });
+});
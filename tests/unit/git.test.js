@@ -0,0 +1,112 @@
+import { test, describe } from "node:test";
+import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
+import { mkdir, mkdtemp, realpath, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the git discovery functions to test
+import {
+  findGitRoot,
+  getGitCommonDir,
+  getGitDir,
+  getGitHooksPath,
+  getGitRepository,
+  getMainWorktreeRoot,
+  isBareRepository,
+  isGitRepository,
+} from "../../dist/git.js";
+
+const git = (cwd, ...args) =>
+  execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    { cwd, stdio: "pipe" }
+  );
+
+describe("Git Module", () => {
+  test("should detect git repository", async () => {
+    const tempDir = await realpath(await mkdtemp(join(tmpdir(), "git-test-")));
+
+    try {
+      // Not a git repo initially, and an empty .git isn't one either
+      assert.strictEqual(isGitRepository(tempDir), false);
+      await mkdir(join(tempDir, ".git"));
+      assert.strictEqual(isGitRepository(tempDir), false);
+
+      await rm(join(tempDir, ".git"), { recursive: true });
+      git(tempDir, "init", "-q");
+      await mkdir(join(tempDir, "packages", "foo"), { recursive: true });
+
+      const project = join(tempDir, "packages", "foo");
+      assert.strictEqual(isGitRepository(project), true);
+      assert.deepStrictEqual(getGitRepository(project), {
+        root: tempDir,
+        gitDir: join(tempDir, ".git"),
+        commonDir: join(tempDir, ".git"),
+        hooksDir: join(tempDir, ".git", "hooks"),
+      });
+      assert.strictEqual(getMainWorktreeRoot(project), tempDir);
+    } finally {
+      await rm(tempDir, { recursive: true });
+    }
+  });
+
+  test("should resolve the git dirs of a linked worktree", async () => {
+    const tempDir = await realpath(await mkdtemp(join(tmpdir(), "git-test-")));
+    const main = join(tempDir, "main");
+    const linked = join(tempDir, "linked");
+
+    try {
+      await mkdir(main);
+      git(main, "init", "-q");
+      git(main, "commit", "-q", "--allow-empty", "-m", "Initial commit");
+      git(main, "worktree", "add", "-q", linked);
+      await mkdir(join(linked, "packages", "foo"), { recursive: true });
+
+      const project = join(linked, "packages", "foo");
+      assert.strictEqual(findGitRoot(project), linked);
+      assert.strictEqual(
+        getGitDir(project),
+        join(main, ".git", "worktrees", "linked")
+      );
+      assert.strictEqual(getGitCommonDir(project), join(main, ".git"));
+      assert.strictEqual(getGitHooksPath(project), join(main, ".git", "hooks"));
+      assert.strictEqual(getMainWorktreeRoot(project), main);
+    } finally {
+      await rm(tempDir, { recursive: true });
+    }
+  });
+
+  test("should follow core.hooksPath", async () => {
+    const tempDir = await realpath(await mkdtemp(join(tmpdir(), "git-test-")));
+
+    try {
+      git(tempDir, "init", "-q");
+      git(tempDir, "config", "core.hooksPath", ".husky");
+      await mkdir(join(tempDir, ".husky"));
+      await mkdir(join(tempDir, "src"));
+
+      assert.strictEqual(
+        getGitHooksPath(join(tempDir, "src")),
+        join(tempDir, ".husky")
+      );
+    } finally {
+      await rm(tempDir, { recursive: true });
+    }
+  });
+
+  test("should refuse bare repositories", async () => {
+    const tempDir = await realpath(await mkdtemp(join(tmpdir(), "git-test-")));
+
+    try {
+      git(tempDir, "init", "-q", "--bare");
+
+      assert.throws(() => getGitRepository(tempDir), /Bare repositories/);
+      assert.strictEqual(isGitRepository(tempDir), false);
+      assert.strictEqual(isBareRepository(tempDir), true);
+    } finally {
+      await rm(tempDir, { recursive: true });
+    }
+  });
+});
@@ -1,5 +1,6 @@
 import { test, describe } from "node:test";
 import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
 import { writeFile, readFile, rm, mkdir } from "fs/promises";
 import { mkdtemp } from "fs/promises";
 import { tmpdir } from "os";
@@ -35,7 +36,7 @@ describe("Guardian Module", () => {
   };
 
   const createGitDir = async (tempDir) => {
-    await mkdir(join(tempDir, ".git"));
+    execFileSync("git", ["init", "-q"], { cwd: tempDir });
   };
 
   describe("storeCurrentHash", () => {
@@ -312,7 +313,7 @@ describe("Guardian Module", () => {
       await createLockfile(
         tempDir,
         "pnpm",
-        "lockfileVersion: '9.0'\npackages: {}"
+        "lockfileVersion: '9.0'\npackages:\n  'lodash@4.17.21': {}"
       );
       storeCurrentHash(tempDir);
       const hash2 = getStoredHash(tempDir);
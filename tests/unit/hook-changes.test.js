@@ -0,0 +1,88 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
+import { mkdir, mkdtemp, realpath, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the hook change detection functions to test
+import {
+  getChangedProjects,
+  getWatchedPaths,
+} from "../../dist/hook-changes.js";
+
+describe("Hook Changes", () => {
+  let tempDir;
+  let foo;
+  let bar;
+
+  const git = (...args) =>
+    execFileSync(
+      "git",
+      ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+      { cwd: tempDir, encoding: "utf8", stdio: "pipe" }
+    ).trim();
+
+  const commit = async (files) => {
+    for (const [path, content] of Object.entries(files)) {
+      await writeFile(join(tempDir, path), content);
+    }
+    git("add", ".");
+    git("commit", "-q", "-m", "Update");
+    return git("rev-parse", "HEAD");
+  };
+
+  beforeEach(async () => {
+    tempDir = await realpath(await mkdtemp(join(tmpdir(), "hook-test-")));
+    foo = join(tempDir, "packages", "foo");
+    bar = join(tempDir, "packages", "bar");
+    await mkdir(foo, { recursive: true });
+    await mkdir(bar, { recursive: true });
+    git("init", "-q");
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should watch paths relative to the top of the repository", () => {
+    const paths = getWatchedPaths(foo);
+
+    assert.ok(paths.includes("packages/foo/package-lock.json"));
+    assert.ok(paths.includes("packages/foo/package.json"));
+    assert.ok(paths.includes("packages/foo/patches/"));
+    assert.ok(getWatchedPaths(tempDir).includes("pnpm-lock.yaml"));
+  });
+
+  test("should only return projects whose files changed", async () => {
+    const first = await commit({
+      "packages/foo/package-lock.json": "{}",
+      "packages/bar/package-lock.json": "{}",
+    });
+    const second = await commit({
+      "packages/foo/package-lock.json": '{"lockfileVersion": 3}',
+      "packages/bar/index.js": "",
+    });
+    const hook = { name: "post-checkout", args: [first, second, "1"] };
+
+    assert.deepStrictEqual(getChangedProjects(hook, [foo, bar]), [foo]);
+    assert.deepStrictEqual(
+      getChangedProjects({ ...hook, args: [first, second, "0"] }, [foo, bar]),
+      []
+    );
+  });
+
+  test("should check everything when the hook arguments don't tell", async () => {
+    const head = await commit({ "packages/foo/package-lock.json": "{}" });
+
+    for (const hook of [
+      undefined,
+      { name: "post-checkout", args: [] },
+      { name: "post-checkout", args: ["0".repeat(40), head, "1"] },
+      { name: "post-checkout", args: ["not-a-commit", head, "1"] },
+      { name: "post-merge", args: ["1"] },
+    ]) {
+      assert.deepStrictEqual(getChangedProjects(hook, [foo, bar]), [foo, bar]);
+    }
+  });
+});
@@ -0,0 +1,238 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
+import { mkdir, mkdtemp, readFile, realpath, rm, writeFile } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the hook manager functions to test
+import {
+  areHooksInstalled,
+  installGitHooks,
+  isPreCommitHookInstalled,
+  uninstallGitHooks,
+} from "../../dist/git-hooks.js";
+import {
+  detectHookManager,
+  getPreCommitFrameworkArgs,
+} from "../../dist/hook-managers.js";
+
+const guardian = (args) =>
+  "if [ -x node_modules/.bin/lockfile-guardian ]; then " +
+  `node_modules/.bin/lockfile-guardian ${args}; ` +
+  'elif [ -x "$(git rev-parse --git-common-dir)/../node_modules/.bin/lockfile-guardian" ]; then ' +
+  `"$(git rev-parse --git-common-dir)/../node_modules/.bin/lockfile-guardian" ${args}; ` +
+  'else echo "🔒 Lockfile Guardian is not installed, skipping the check. Run npm install to enable it" >&2; fi';
+
+describe("Hook Managers", () => {
+  let tempDir;
+
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: tempDir, stdio: "pipe" });
+
+  beforeEach(async () => {
+    tempDir = await realpath(await mkdtemp(join(tmpdir(), "managers-test-")));
+    git("init", "-q");
+    await writeFile(join(tempDir, "package.json"), "{}");
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should add commands to lefthook.yml and remove them again", async () => {
+    const config = [
+      "# Shared hooks",
+      "pre-commit:",
+      "  parallel: true",
+      "  commands:",
+      "    lint:",
+      "      run: npx eslint {staged_files}",
+      "",
+      "post-merge:",
+      "  commands:",
+      "    build:",
+      "      run: npm run build",
+      "",
+    ].join("\n");
+    await writeFile(join(tempDir, "lefthook.yml"), config);
+
+    assert.deepStrictEqual(detectHookManager(tempDir), {
+      name: "lefthook",
+      configPath: join(tempDir, "lefthook.yml"),
+    });
+    installGitHooks(tempDir);
+
+    const installed = await readFile(join(tempDir, "lefthook.yml"), "utf8");
+    assert.ok(
+      installed.includes(
+        [
+          "post-merge:",
+          "  commands:",
+          "    build:",
+          "      run: npm run build",
+          "    lockfile-guardian:",
+          `      run: ${guardian("check --hook post-merge {0}")}`,
+        ].join("\n")
+      )
+    );
+    assert.ok(
+      installed.includes(
+        [
+          "post-checkout:",
+          "  commands:",
+          "    lockfile-guardian:",
+          `      run: ${guardian("check --hook post-checkout {0}")}`,
+        ].join("\n")
+      )
+    );
+    assert.ok(!existsSync(join(tempDir, ".git", "hooks", "post-checkout")));
+    assert.strictEqual(areHooksInstalled(tempDir), true);
+
+    // Installing again changes nothing
+    installGitHooks(tempDir);
+    assert.strictEqual(
+      await readFile(join(tempDir, "lefthook.yml"), "utf8"),
+      installed
+    );
+
+    uninstallGitHooks(tempDir);
+    assert.strictEqual(
+      await readFile(join(tempDir, "lefthook.yml"), "utf8"),
+      config
+    );
+    assert.strictEqual(areHooksInstalled(tempDir), false);
+  });
+
+  test("should add hooks to simple-git-hooks in package.json", async () => {
+    await writeFile(
+      join(tempDir, "package.json"),
+      JSON.stringify({
+        "simple-git-hooks": { "post-merge": "npm run build" },
+        lockfileGuardian: { preCommit: true },
+      })
+    );
+
+    assert.strictEqual(detectHookManager(tempDir).name, "simple-git-hooks");
+    installGitHooks(tempDir);
+
+    const hooks = JSON.parse(
+      await readFile(join(tempDir, "package.json"), "utf8")
+    )["simple-git-hooks"];
+    assert.strictEqual(
+      hooks["post-checkout"],
+      guardian('check --hook post-checkout "$@"')
+    );
+    assert.strictEqual(
+      hooks["post-merge"],
+      "npm run build; " + guardian('check --hook post-merge "$@"')
+    );
+    assert.strictEqual(hooks["pre-commit"], guardian("pre-commit"));
+    assert.strictEqual(isPreCommitHookInstalled(tempDir), true);
+
+    uninstallGitHooks(tempDir);
+    assert.deepStrictEqual(
+      JSON.parse(await readFile(join(tempDir, "package.json"), "utf8")),
+      {
+        "simple-git-hooks": { "post-merge": "npm run build" },
+        lockfileGuardian: { preCommit: true },
+      }
+    );
+  });
+
+  test("should add local hooks to the pre-commit framework config", async () => {
+    const config = [
+      "repos:",
+      "- repo: https://github.com/pre-commit/pre-commit-hooks",
+      "  rev: v4.6.0",
+      "  hooks:",
+      "  - id: trailing-whitespace",
+      "default_stages: [pre-commit]",
+      "",
+    ].join("\n");
+    await writeFile(join(tempDir, ".pre-commit-config.yaml"), config);
+
+    installGitHooks(tempDir);
+
+    const installed = await readFile(
+      join(tempDir, ".pre-commit-config.yaml"),
+      "utf8"
+    );
+    assert.ok(
+      installed.includes(
+        [
+          "  - id: trailing-whitespace",
+          "- repo: local",
+          "  hooks:",
+          "    - id: lockfile-guardian-post-checkout",
+          "      name: Lockfile Guardian (post-checkout)",
+          `      entry: sh -c '${guardian("check --hook post-checkout")}'`,
+          "      language: system",
+          "      stages: [post-checkout]",
+        ].join("\n")
+      )
+    );
+    assert.ok(installed.endsWith("default_stages: [pre-commit]\n"));
+    assert.strictEqual(areHooksInstalled(tempDir), true);
+
+    uninstallGitHooks(tempDir);
+    assert.strictEqual(
+      await readFile(join(tempDir, ".pre-commit-config.yaml"), "utf8"),
+      config
+    );
+  });
+
+  test("should quote a pre-commit framework entry for a path with a quote", async () => {
+    const project = join(tempDir, "it's app");
+    await mkdir(project);
+    await writeFile(join(project, "package.json"), "{}");
+    await writeFile(
+      join(tempDir, ".pre-commit-config.yaml"),
+      "repos:\n- repo: local\n  hooks: []\n"
+    );
+
+    installGitHooks(project);
+
+    const installed = await readFile(
+      join(tempDir, ".pre-commit-config.yaml"),
+      "utf8"
+    );
+    const entry = installed
+      .split("\n")
+      .find((line) => line.includes("entry:"))
+      .replace(/^\s*entry: /, "");
+    // The shell gets the path back intact, down to the install hint
+    const output = execFileSync("sh", ["-c", `${entry} 2>&1`], {
+      cwd: tempDir,
+      encoding: "utf8",
+    });
+    assert.ok(output.includes("Run npm install in it's app to enable it"));
+  });
+
+  test("should leave Husky projects to Husky", async () => {
+    await writeFile(join(tempDir, "lefthook.yml"), "");
+    git("config", "core.hooksPath", ".husky");
+    await mkdir(join(tempDir, ".husky"));
+
+    assert.strictEqual(detectHookManager(tempDir), null);
+  });
+
+  test("should read the pre-commit framework's hook arguments", () => {
+    assert.deepStrictEqual(
+      getPreCommitFrameworkArgs("post-checkout", {
+        PRE_COMMIT_FROM_REF: "abc",
+        PRE_COMMIT_TO_REF: "def",
+        PRE_COMMIT_CHECKOUT_TYPE: "1",
+      }),
+      ["abc", "def", "1"]
+    );
+    assert.deepStrictEqual(
+      getPreCommitFrameworkArgs("post-rewrite", {
+        PRE_COMMIT_REWRITE_COMMAND: "rebase",
+      }),
+      ["rebase"]
+    );
+    assert.deepStrictEqual(getPreCommitFrameworkArgs("post-merge", {}), []);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { strict as assert } from "assert";
+import { execFileSync, spawnSync } from "child_process";
+import { mkdir, mkdtemp, realpath, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the hook runner functions to test
+import {
+  getHookRunner,
+  getRunnerScript,
+  removeRunnerScript,
+} from "../../dist/hook-runner.js";
+
+describe("Hook Runner", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await realpath(await mkdtemp(join(tmpdir(), "runner-test-")));
+    execFileSync("git", ["init", "-q"], { cwd: tempDir, stdio: "pipe" });
+    await writeFile(join(tempDir, "package.json"), "{}");
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  const addBin = async (dir) => {
+    await mkdir(join(dir, "node_modules", ".bin"), { recursive: true });
+    await writeFile(join(dir, "node_modules", ".bin", "lockfile-guardian"), "");
+  };
+
+  test("should run the project's binary, relative to the repository", async () => {
+    const app = join(tempDir, "packages", "app");
+    await mkdir(app, { recursive: true });
+
+    // Not installed yet: where the project's install will put it
+    assert.deepStrictEqual(getHookRunner(app), {
+      test: "[ -x packages/app/node_modules/.bin/lockfile-guardian ]",
+      command: "packages/app/node_modules/.bin/lockfile-guardian",
+      bin: join(app, "node_modules", ".bin", "lockfile-guardian"),
+      fallback:
+        '"$(git rev-parse --git-common-dir)/../packages/app/node_modules/.bin/lockfile-guardian"',
+      install: "npm install in packages/app",
+    });
+
+    // Hoisted to the workspace root
+    await addBin(tempDir);
+    assert.strictEqual(
+      getHookRunner(app).command,
+      "node_modules/.bin/lockfile-guardian"
+    );
+  });
+
+  test("should use yarn run with Plug'n'Play", async () => {
+    const app = join(tempDir, "my app");
+    await mkdir(app);
+    await writeFile(join(app, ".yarnrc.yml"), "nodeLinker: pnp\n");
+    await writeFile(join(app, ".pnp.cjs"), "");
+
+    const runner = getHookRunner(app);
+    assert.strictEqual(runner.command, "yarn run lockfile-guardian");
+    assert.strictEqual(
+      getRunnerScript(runner, "pre-commit", true),
+      'if command -v yarn >/dev/null 2>&1; then (cd "my app" && yarn run lockfile-guardian pre-commit) || exit 1; else echo "🔒 Lockfile Guardian is not installed, skipping the check. Run yarn install in my app to enable it" >&2; fi'
+    );
+  });
+
+  test("should print a hint instead of running a missing binary", async () => {
+    const script = getRunnerScript(
+      getHookRunner(tempDir),
+      'check --hook post-checkout "$@"'
+    );
+
+    const result = spawnSync("sh", ["-c", `${script}\necho after`], {
+      cwd: tempDir,
+      encoding: "utf8",
+    });
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, "after\n");
+    assert.match(result.stderr, /Lockfile Guardian is not installed/);
+  });
+
+  test("should remove its commands from other commands", () => {
+    const script = getRunnerScript(
+      getHookRunner(tempDir),
+      "check --hook post-merge $HUSKY_GIT_PARAMS"
+    );
+
+    assert.strictEqual(
+      removeRunnerScript(`npm run build; ${script}`, "check --hook"),
+      "npm run build"
+    );
+    assert.strictEqual(
+      removeRunnerScript(`${script}; npm run build`, "check --hook"),
+      "npm run build"
+    );
+    // Written by older versions
+    assert.strictEqual(
+      removeRunnerScript(
+        "npm test && npx lockfile-guardian pre-commit",
+        "lockfile-guardian pre-commit"
+      ),
+      "npm test"
+    );
+    assert.strictEqual(
+      removeRunnerScript("npm run build", "check --hook"),
+      "npm run build"
+    );
+  });
+});
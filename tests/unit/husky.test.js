@@ -0,0 +1,118 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
+import { mkdir, mkdtemp, readFile, realpath, rm, writeFile } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the Husky detection and hook installation functions to test
+import {
+  areHooksInstalled,
+  installGitHooks,
+  uninstallGitHooks,
+} from "../../dist/git-hooks.js";
+import { detectHusky, getActiveHooksDir } from "../../dist/husky.js";
+
+const guardian = (args) =>
+  "if [ -x node_modules/.bin/lockfile-guardian ]; then " +
+  `node_modules/.bin/lockfile-guardian ${args}; ` +
+  'elif [ -x "$(git rev-parse --git-common-dir)/../node_modules/.bin/lockfile-guardian" ]; then ' +
+  `"$(git rev-parse --git-common-dir)/../node_modules/.bin/lockfile-guardian" ${args}; ` +
+  'else echo "🔒 Lockfile Guardian is not installed, skipping the check. Run npm install to enable it" >&2; fi';
+
+describe("Husky Layouts", () => {
+  let tempDir;
+
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: tempDir, stdio: "pipe" });
+
+  beforeEach(async () => {
+    tempDir = await realpath(await mkdtemp(join(tmpdir(), "husky-test-")));
+    git("init", "-q");
+    await writeFile(join(tempDir, "package.json"), "{}");
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should put hooks next to Husky v9's generated directory", async () => {
+    await mkdir(join(tempDir, ".husky", "_"), { recursive: true });
+    git("config", "core.hooksPath", ".husky/_");
+
+    assert.deepStrictEqual(detectHusky(tempDir), {
+      version: 9,
+      path: join(tempDir, ".husky"),
+    });
+    installGitHooks(tempDir);
+
+    assert.ok(existsSync(join(tempDir, ".husky", "post-checkout")));
+    assert.ok(!existsSync(join(tempDir, ".husky", "_", "post-checkout")));
+    assert.strictEqual(areHooksInstalled(tempDir), true);
+  });
+
+  test("should find .husky in a subdirectory", async () => {
+    const frontend = join(tempDir, "frontend");
+    await mkdir(join(frontend, ".husky", "_"), { recursive: true });
+    await writeFile(join(frontend, "package.json"), "{}");
+    git("config", "core.hooksPath", "frontend/.husky");
+
+    assert.deepStrictEqual(detectHusky(frontend), {
+      version: 8,
+      path: join(frontend, ".husky"),
+    });
+    assert.strictEqual(getActiveHooksDir(tempDir), join(frontend, ".husky"));
+
+    // Repositories are looked up once per directory, so ask from another one
+    git("config", "core.hooksPath", "frontend/.husky/_");
+    assert.strictEqual(detectHusky(join(frontend, ".husky")).version, 9);
+  });
+
+  test("should add hooks to the Husky v4 config", async () => {
+    const frontend = join(tempDir, "frontend");
+    await mkdir(frontend);
+    await writeFile(join(tempDir, ".git", "hooks", "husky.sh"), "");
+    await writeFile(
+      join(tempDir, ".git", "hooks", "husky.local.sh"),
+      'packageManager=npm\ncd "frontend"\n'
+    );
+    await writeFile(
+      join(frontend, "package.json"),
+      JSON.stringify({ husky: { hooks: { "post-merge": "npm run build" } } })
+    );
+
+    assert.deepStrictEqual(detectHusky(tempDir), {
+      version: 4,
+      path: join(frontend, "package.json"),
+    });
+    installGitHooks(tempDir);
+
+    const { hooks } = JSON.parse(
+      await readFile(join(frontend, "package.json"), "utf8")
+    ).husky;
+    assert.strictEqual(
+      hooks["post-checkout"],
+      guardian("check --hook post-checkout $HUSKY_GIT_PARAMS")
+    );
+    assert.strictEqual(
+      hooks["post-merge"],
+      "npm run build; " + guardian("check --hook post-merge $HUSKY_GIT_PARAMS")
+    );
+    assert.ok(!existsSync(join(tempDir, ".git", "hooks", "post-checkout")));
+    assert.strictEqual(areHooksInstalled(tempDir), true);
+
+    uninstallGitHooks(tempDir);
+    assert.deepStrictEqual(
+      JSON.parse(await readFile(join(frontend, "package.json"), "utf8")).husky,
+      { hooks: { "post-merge": "npm run build" } }
+    );
+  });
+
+  test("should refuse to edit a JavaScript Husky v4 config", async () => {
+    await writeFile(join(tempDir, ".git", "hooks", "husky.sh"), "");
+    await writeFile(join(tempDir, "husky.config.js"), "module.exports = {}");
+
+    assert.throws(() => installGitHooks(tempDir), /husky\.config\.js/);
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from "node:test";
+import { strict as assert } from "assert";
+import { writeFile, rm, mkdir, mkdtemp } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the install input helpers to test
+import {
+  describeInputChanges,
+  hashInstallInputs,
+} from "../../dist/install-inputs.js";
+import { PACKAGE_MANAGERS } from "../../dist/utils.js";
+
+const pnpm = PACKAGE_MANAGERS.find((pm) => pm.name === "pnpm");
+
+describe("Install Inputs", () => {
+  test("should hash the inputs that exist", async () => {
+    const tempDir = await mkdtemp(join(tmpdir(), "install-inputs-test-"));
+
+    try {
+      await writeFile(join(tempDir, "package.json"), JSON.stringify({}));
+      assert.deepStrictEqual(hashInstallInputs(pnpm, tempDir), {});
+
+      await writeFile(join(tempDir, ".npmrc"), "auto-install-peers=true\n");
+      await mkdir(join(tempDir, "patches"));
+      await writeFile(join(tempDir, "patches", "lodash.patch"), "diff");
+      await writeFile(
+        join(tempDir, "package.json"),
+        JSON.stringify({ pnpm: { overrides: { ms: "2.1.2" } } })
+      );
+
+      const hashes = hashInstallInputs(pnpm, tempDir);
+      assert.deepStrictEqual(Object.keys(hashes), [
+        ".npmrc",
+        "patches/",
+        "package.json#pnpm",
+      ]);
+
+      // Renaming a patch changes the directory hash
+      await rm(join(tempDir, "patches", "lodash.patch"));
+      await writeFile(join(tempDir, "patches", "lodash+4.patch"), "diff");
+      assert.notStrictEqual(
+        hashInstallInputs(pnpm, tempDir)["patches/"],
+        hashes["patches/"]
+      );
+    } finally {
+      await rm(tempDir, { recursive: true });
+    }
+  });
+
+  test("should name added, removed and edited inputs", () => {
+    assert.deepStrictEqual(
+      describeInputChanges(
+        { ".npmrc": "a", "patches/": "b", "package.json#pnpm": "c" },
+        { ".npmrc": "a", "patches/": "x", "pnpm-workspace.yaml": "d" }
+      ),
+      ["patches/", "package.json#pnpm", "pnpm-workspace.yaml"]
+    );
+  });
+});
@@ -0,0 +1,221 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { strict as assert } from "assert";
+import { writeFile, rm, mkdir, mkdtemp } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the install state verification to test
+import { verifyInstallation } from "../../dist/install-state.js";
+import { PACKAGE_MANAGERS } from "../../dist/utils.js";
+
+const lockfileInfo = (tempDir, name) => {
+  const packageManager = PACKAGE_MANAGERS.find((pm) => pm.name === name);
+  return {
+    path: join(tempDir, packageManager.lockFile),
+    packageManager,
+    hash: "",
+  };
+};
+
+const packageLock = (packages) =>
+  JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      "": { dependencies: { debug: "^4.3.4" } },
+      ...packages,
+    },
+  });
+
+describe("Install State", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "install-state-test-"));
+    await writeFile(
+      join(tempDir, "package.json"),
+      JSON.stringify({ dependencies: { debug: "^4.3.4" } })
+    );
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should report missing node_modules", async () => {
+    await writeFile(
+      join(tempDir, "package-lock.json"),
+      packageLock({ "node_modules/debug": { version: "4.3.4" } })
+    );
+
+    const result = verifyInstallation(lockfileInfo(tempDir, "npm"), tempDir);
+
+    assert.strictEqual(result.status, "missing");
+  });
+
+  test("should compare npm's hidden lockfile", async () => {
+    await writeFile(
+      join(tempDir, "package-lock.json"),
+      packageLock({
+        "node_modules/debug": { version: "4.3.4" },
+        "node_modules/ms": { version: "2.1.3" },
+        "node_modules/fsevents": { version: "2.3.3", optional: true },
+      })
+    );
+    await mkdir(join(tempDir, "node_modules"));
+    await writeFile(
+      join(tempDir, "node_modules", ".package-lock.json"),
+      packageLock({
+        "node_modules/debug": { version: "4.3.1" },
+        "node_modules/ms": { version: "2.1.3" },
+      })
+    );
+
+    const result = verifyInstallation(lockfileInfo(tempDir, "npm"), tempDir);
+
+    // Optional packages skipped on this platform don't count
+    assert.strictEqual(result.status, "outdated");
+    assert.deepStrictEqual(result.sources, ["node_modules/.package-lock.json"]);
+    assert.deepStrictEqual(result.diff, {
+      direct: [{ name: "debug", from: "4.3.1", to: "4.3.4" }],
+      transitive: [],
+    });
+  });
+
+  test("should skip optional packages pnpm didn't install", async () => {
+    const lockfile = `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      debug:
+        specifier: ^4.3.4
+        version: 4.3.4
+
+packages:
+
+  debug@4.3.4:
+    resolution: {integrity: sha512-debug}
+
+  ms@2.1.3:
+    resolution: {integrity: sha512-ms}
+`;
+    await writeFile(join(tempDir, "pnpm-lock.yaml"), lockfile);
+    await mkdir(join(tempDir, "node_modules", ".pnpm"), { recursive: true });
+    await writeFile(
+      join(tempDir, "node_modules", ".pnpm", "lock.yaml"),
+      lockfile.replace(/\n {2}ms@2\.1\.3:\n.*\n/, "\n")
+    );
+    await writeFile(
+      join(tempDir, "node_modules", ".modules.yaml"),
+      JSON.stringify({ skipped: ["ms@2.1.3"] }, null, 2)
+    );
+
+    const result = verifyInstallation(lockfileInfo(tempDir, "pnpm"), tempDir);
+
+    assert.strictEqual(result.status, "ok");
+    assert.deepStrictEqual(result.sources, ["node_modules/.pnpm/lock.yaml"]);
+  });
+
+  test("should read Yarn Classic's integrity file", async () => {
+    await writeFile(
+      join(tempDir, "yarn.lock"),
+      `# yarn lockfile v1
+
+debug@^4.3.4:
+  version "4.3.4"
+  resolved "https://registry.yarnpkg.com/debug/-/debug-4.3.4.tgz#abc"
+`
+    );
+    await mkdir(join(tempDir, "node_modules"));
+    await writeFile(
+      join(tempDir, "node_modules", ".yarn-integrity"),
+      JSON.stringify({
+        lockfileEntries: {
+          "debug@^4.3.4":
+            "https://registry.yarnpkg.com/debug/-/debug-4.3.1.tgz#def",
+        },
+      })
+    );
+
+    const result = verifyInstallation(lockfileInfo(tempDir, "yarn"), tempDir);
+
+    assert.strictEqual(result.status, "outdated");
+    assert.deepStrictEqual(result.diff.direct, [
+      { name: "debug", from: "4.3.1", to: "4.3.4" },
+    ]);
+  });
+
+  test("should read Yarn Berry's node-modules state", async () => {
+    await writeFile(join(tempDir, ".yarnrc.yml"), "nodeLinker: node-modules\n");
+    await writeFile(
+      join(tempDir, "yarn.lock"),
+      `__metadata:
+  version: 8
+
+"debug@npm:^4.3.4":
+  version: 4.3.4
+  resolution: "debug@npm:4.3.4"
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  dependencies:
+    debug: "npm:^4.3.4"
+`
+    );
+    await mkdir(join(tempDir, "node_modules"));
+    await writeFile(
+      join(tempDir, "node_modules", ".yarn-state.yml"),
+      `__metadata:
+  version: 1
+  nmMode: classic
+
+"debug@npm:4.3.4":
+  locations:
+    - "node_modules/debug"
+
+"app@workspace:.":
+  locations:
+    - ""
+`
+    );
+
+    const result = verifyInstallation(
+      lockfileInfo(tempDir, "yarn-berry"),
+      tempDir
+    );
+
+    assert.strictEqual(result.status, "ok");
+    assert.deepStrictEqual(result.sources, ["node_modules/.yarn-state.yml"]);
+  });
+
+  test("should scan direct dependencies in deep mode", async () => {
+    await writeFile(
+      join(tempDir, "package-lock.json"),
+      packageLock({ "node_modules/debug": { version: "4.3.4" } })
+    );
+    await mkdir(join(tempDir, "node_modules", "debug"), { recursive: true });
+
+    assert.strictEqual(
+      verifyInstallation(lockfileInfo(tempDir, "npm"), tempDir).status,
+      "unknown"
+    );
+
+    await writeFile(
+      join(tempDir, "node_modules", "debug", "package.json"),
+      JSON.stringify({ name: "debug", version: "4.3.1" })
+    );
+    const result = verifyInstallation(
+      lockfileInfo(tempDir, "npm"),
+      tempDir,
+      true
+    );
+
+    assert.strictEqual(result.status, "outdated");
+    assert.deepStrictEqual(result.sources, ["node_modules/*/package.json"]);
+    assert.deepStrictEqual(result.diff.direct, [
+      { name: "debug", from: "4.3.1", to: "4.3.4" },
+    ]);
+  });
+});
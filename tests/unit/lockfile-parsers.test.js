@@ -0,0 +1,299 @@
+import { test, describe } from "node:test";
+import { strict as assert } from "assert";
+
+// Import the parsers to test
+import {
+  parseBunLock,
+  parsePackageLock,
+  parsePnpmLock,
+  parseYarnLock,
+} from "../../dist/lockfile-parsers.js";
+
+const versionsOf = (parsed) =>
+  parsed.packages.map((pkg) => `${pkg.name}@${pkg.version}`).sort();
+
+describe("Lockfile Parsers", () => {
+  describe("parsePackageLock", () => {
+    test("should parse lockfile v3 packages and direct dependencies", () => {
+      const parsed = parsePackageLock(
+        JSON.stringify({
+          lockfileVersion: 3,
+          packages: {
+            "": {
+              dependencies: { lodash: "^4.17.21", "@scope/pkg": "^1.0.0" },
+            },
+            "node_modules/lodash": {
+              version: "4.17.21",
+              integrity: "sha512-lodash",
+            },
+            "node_modules/@scope/pkg": { version: "1.2.0" },
+            "node_modules/@scope/pkg/node_modules/lodash": {
+              version: "3.10.1",
+            },
+            "node_modules/workspace-a": { resolved: "packages/a", link: true },
+            "packages/a": { version: "0.0.1" },
+          },
+        })
+      );
+
+      assert.deepStrictEqual(versionsOf(parsed), [
+        "@scope/pkg@1.2.0",
+        "lodash@3.10.1",
+        "lodash@4.17.21",
+      ]);
+      assert.deepStrictEqual(parsed.direct, {
+        lodash: "4.17.21",
+        "@scope/pkg": "1.2.0",
+      });
+      assert.strictEqual(parsed.packages[0].integrity, "sha512-lodash");
+    });
+
+    test("should parse lockfile v1 nested dependencies", () => {
+      const parsed = parsePackageLock(
+        JSON.stringify({
+          lockfileVersion: 1,
+          dependencies: {
+            debug: {
+              version: "4.3.4",
+              requires: { ms: "2.1.2" },
+              dependencies: { ms: { version: "2.1.2" } },
+            },
+            ms: { version: "2.0.0" },
+          },
+        }),
+        { debug: "^4.0.0" }
+      );
+
+      assert.deepStrictEqual(versionsOf(parsed), [
+        "debug@4.3.4",
+        "ms@2.0.0",
+        "ms@2.1.2",
+      ]);
+      assert.deepStrictEqual(parsed.direct, { debug: "4.3.4" });
+    });
+  });
+
+  describe("parseYarnLock", () => {
+    test("should parse Yarn Classic lockfiles", () => {
+      const parsed = parseYarnLock(
+        `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@babel/code-frame@7.0.0":
+  version "7.0.0"
+  resolved "https://registry.yarnpkg.com/@babel/code-frame/-/code-frame-7.0.0.tgz"
+  integrity sha512-code-frame
+  dependencies:
+    "@babel/highlight" "^7.0.0"
+
+"@babel/highlight@^7.0.0":
+  version "7.25.9"
+
+lodash@^4.17.0, lodash@^4.17.21:
+  version "4.17.21"
+`,
+        { "@babel/code-frame": "7.0.0", lodash: "^4.17.21" }
+      );
+
+      assert.deepStrictEqual(versionsOf(parsed), [
+        "@babel/code-frame@7.0.0",
+        "@babel/highlight@7.25.9",
+        "lodash@4.17.21",
+      ]);
+      assert.deepStrictEqual(parsed.direct, {
+        "@babel/code-frame": "7.0.0",
+        lodash: "4.17.21",
+      });
+      assert.strictEqual(parsed.packages[0].integrity, "sha512-code-frame");
+    });
+
+    test("should parse Yarn Berry lockfiles", () => {
+      const parsed =
+        parseYarnLock(`# This file is generated by running "yarn install" inside your project.
+
+__metadata:
+  version: 8
+  cacheKey: 10c0
+
+"lodash@npm:^4.17.0, lodash@npm:^4.17.21":
+  version: 4.17.21
+  resolution: "lodash@npm:4.17.21"
+  checksum: 10c0/lodash
+  languageName: node
+  linkType: hard
+
+"ms@npm:2.1.3":
+  version: 2.1.3
+  resolution: "ms@npm:2.1.3"
+  languageName: node
+  linkType: hard
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  dependencies:
+    lodash: "npm:^4.17.21"
+  languageName: unknown
+  linkType: soft
+`);
+
+      assert.deepStrictEqual(versionsOf(parsed), [
+        "lodash@4.17.21",
+        "ms@2.1.3",
+      ]);
+      assert.deepStrictEqual(parsed.direct, { lodash: "4.17.21" });
+      assert.strictEqual(parsed.packages[0].integrity, "10c0/lodash");
+    });
+  });
+
+  describe("parsePnpmLock", () => {
+    test("should parse lockfile v9", () => {
+      const parsed = parsePnpmLock(`lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      react-dom:
+        specifier: ^18.2.0
+        version: 18.2.0(react@18.2.0)
+    devDependencies:
+      '@types/node':
+        specifier: ^20.0.0
+        version: 20.11.0
+
+packages:
+
+  '@types/node@20.11.0':
+    resolution: {integrity: sha512-types-node}
+
+  react-dom@18.2.0:
+    resolution: {integrity: sha512-react-dom}
+    peerDependencies:
+      react: ^18.2.0
+
+  react@18.2.0:
+    resolution: {integrity: sha512-react}
+
+snapshots:
+
+  react-dom@18.2.0(react@18.2.0):
+    dependencies:
+      react: 18.2.0
+`);
+
+      assert.deepStrictEqual(versionsOf(parsed), [
+        "@types/node@20.11.0",
+        "react-dom@18.2.0",
+        "react@18.2.0",
+      ]);
+      assert.deepStrictEqual(parsed.direct, {
+        "react-dom": "18.2.0",
+        "@types/node": "20.11.0",
+      });
+      assert.strictEqual(parsed.packages[0].integrity, "sha512-types-node");
+    });
+
+    test("should parse lockfile v6", () => {
+      const parsed = parsePnpmLock(`lockfileVersion: '6.0'
+
+dependencies:
+  '@scope/pkg':
+    specifier: ^1.0.0
+    version: 1.0.0(react@18.2.0)
+
+packages:
+
+  /@scope/pkg@1.0.0(react@18.2.0):
+    resolution: {integrity: sha512-scoped}
+    dev: false
+
+  /react@18.2.0:
+    resolution: {integrity: sha512-react}
+    dev: false
+`);
+
+      assert.deepStrictEqual(versionsOf(parsed), [
+        "@scope/pkg@1.0.0",
+        "react@18.2.0",
+      ]);
+      assert.deepStrictEqual(parsed.direct, { "@scope/pkg": "1.0.0" });
+    });
+
+    test("should parse lockfile v5", () => {
+      const parsed = parsePnpmLock(`lockfileVersion: 5.4
+
+specifiers:
+  '@scope/pkg': ^1.0.0
+
+dependencies:
+  '@scope/pkg': 1.0.0_react@18.2.0
+
+packages:
+
+  /@scope/pkg/1.0.0_react@18.2.0:
+    resolution: {integrity: sha512-scoped}
+    dev: false
+
+  /react/18.2.0:
+    resolution: {integrity: sha512-react}
+    dev: false
+`);
+
+      assert.deepStrictEqual(versionsOf(parsed), [
+        "@scope/pkg@1.0.0",
+        "react@18.2.0",
+      ]);
+      assert.deepStrictEqual(parsed.direct, { "@scope/pkg": "1.0.0" });
+    });
+  });
+
+  describe("parseBunLock", () => {
+    test("should parse bun.lock with comments and trailing commas", () => {
+      const parsed = parseBunLock(`{
+  "lockfileVersion": 1,
+  // Comments and trailing commas are allowed
+  "workspaces": {
+    "": {
+      "name": "app",
+      "dependencies": {
+        "@scope/pkg": "^1.0.0",
+        "react": "^18.2.0",
+      },
+    },
+    "packages/lib": {
+      "name": "lib",
+    },
+  },
+  "packages": {
+    "@scope/pkg": ["@scope/pkg@1.0.0", "", { "dependencies": { "react": "^17.0.0" } }, "sha512-scoped"],
+    "@scope/pkg/react": ["react@17.0.2", "", {}, "sha512-react-17"],
+    "fsevents": ["fsevents@2.3.3", "https://registry.example.com/", { "os": "darwin" }, "sha512-fsevents"],
+    "lib": ["lib@workspace:packages/lib"],
+    "react": ["react@18.2.0", "", {}, "sha512-react-18"],
+  },
+}
+`);
+
+      assert.deepStrictEqual(versionsOf(parsed), [
+        "@scope/pkg@1.0.0",
+        "fsevents@2.3.3",
+        "react@17.0.2",
+        "react@18.2.0",
+      ]);
+      assert.deepStrictEqual(parsed.direct, {
+        "@scope/pkg": "1.0.0",
+        react: "18.2.0",
+      });
+      assert.deepStrictEqual(parsed.specifiers, {
+        "@scope/pkg": ["^1.0.0"],
+        react: ["^18.2.0"],
+      });
+      const fsevents = parsed.packages.find((pkg) => pkg.name === "fsevents");
+      assert.strictEqual(fsevents.integrity, "sha512-fsevents");
+      assert.strictEqual(fsevents.resolved, "https://registry.example.com/");
+      assert.strictEqual(fsevents.optional, true);
+    });
+  });
+});
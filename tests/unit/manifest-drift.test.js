@@ -0,0 +1,229 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { strict as assert } from "assert";
+import { writeFile, rm, mkdtemp } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the drift helpers to test
+import {
+  detectManifestDrift,
+  formatManifestDrift,
+} from "../../dist/manifest-drift.js";
+import { PACKAGE_MANAGERS } from "../../dist/utils.js";
+
+const lockfileInfo = (tempDir, name) => {
+  const packageManager = PACKAGE_MANAGERS.find((pm) => pm.name === name);
+  return {
+    path: join(tempDir, packageManager.lockFile),
+    packageManager,
+    hash: "",
+  };
+};
+
+const PNPM_LOCK = `lockfileVersion: '9.0'
+
+overrides:
+  ms: 2.1.2
+
+importers:
+
+  .:
+    dependencies:
+      lodash:
+        specifier: ^4.17.21
+        version: 4.17.21
+      moment:
+        specifier: ^2.30.1
+        version: 2.30.1
+
+packages:
+
+  lodash@4.17.21:
+    resolution: {integrity: sha512-lodash}
+
+  moment@2.30.1:
+    resolution: {integrity: sha512-moment}
+
+  ms@2.1.2:
+    resolution: {integrity: sha512-ms}
+`;
+
+describe("Manifest Drift", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "drift-test-"));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  const writePackageJson = (packageJson) =>
+    writeFile(join(tempDir, "package.json"), JSON.stringify(packageJson));
+
+  test("should report nothing when package.json matches", async () => {
+    await writePackageJson({
+      dependencies: { lodash: "^4.17.21" },
+      devDependencies: { moment: "^2.30.1" },
+      pnpm: { overrides: { ms: "2.1.2" } },
+    });
+    await writeFile(join(tempDir, "pnpm-lock.yaml"), PNPM_LOCK);
+
+    assert.deepStrictEqual(
+      detectManifestDrift(lockfileInfo(tempDir, "pnpm"), tempDir),
+      []
+    );
+  });
+
+  test("should report changed, missing and extra dependencies", async () => {
+    await writePackageJson({
+      dependencies: { lodash: "^4.17.22", zod: "^3.23.8" },
+      pnpm: { overrides: { ms: "2.1.3" } },
+    });
+    await writeFile(join(tempDir, "pnpm-lock.yaml"), PNPM_LOCK);
+
+    assert.deepStrictEqual(
+      detectManifestDrift(lockfileInfo(tempDir, "pnpm"), tempDir),
+      [
+        {
+          name: "lodash",
+          field: "dependencies",
+          kind: "range",
+          expected: "^4.17.22",
+          actual: "^4.17.21",
+        },
+        {
+          name: "zod",
+          field: "dependencies",
+          kind: "missing",
+          expected: "^3.23.8",
+        },
+        {
+          name: "moment",
+          field: "dependencies",
+          kind: "extra",
+          actual: "^2.30.1",
+        },
+        {
+          name: "ms",
+          field: "pnpm.overrides",
+          kind: "override",
+          expected: "2.1.3",
+          actual: "2.1.2",
+        },
+      ]
+    );
+  });
+
+  test("should check npm overrides against resolved versions", async () => {
+    await writePackageJson({
+      dependencies: { debug: "^4.3.4" },
+      overrides: { ms: "2.1.2", debug: { ms: "2.0.0" } },
+    });
+    await writeFile(
+      join(tempDir, "package-lock.json"),
+      JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          "": { dependencies: { debug: "^4.3.4" } },
+          "node_modules/debug": { version: "4.3.4" },
+          "node_modules/ms": { version: "2.1.3" },
+        },
+      })
+    );
+
+    // Overrides scoped to a parent package are left alone
+    assert.deepStrictEqual(
+      detectManifestDrift(lockfileInfo(tempDir, "npm"), tempDir),
+      [
+        {
+          name: "ms",
+          field: "overrides",
+          kind: "override",
+          expected: "2.1.2",
+          actual: "2.1.3",
+        },
+      ]
+    );
+  });
+
+  test("should accept Yarn Berry's npm: protocol", async () => {
+    await writePackageJson({ dependencies: { lodash: "^4.17.21" } });
+    await writeFile(
+      join(tempDir, "yarn.lock"),
+      `__metadata:
+  version: 8
+
+"lodash@npm:^4.17.21":
+  version: 4.17.21
+  resolution: "lodash@npm:4.17.21"
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  dependencies:
+    lodash: "npm:^4.17.21"
+`
+    );
+
+    assert.deepStrictEqual(
+      detectManifestDrift(lockfileInfo(tempDir, "yarn-berry"), tempDir),
+      []
+    );
+  });
+
+  test("should only report missing dependencies for Yarn Classic", async () => {
+    await writePackageJson({
+      dependencies: { lodash: "^4.17.22", zod: "^3.23.8" },
+    });
+    await writeFile(
+      join(tempDir, "yarn.lock"),
+      `# yarn lockfile v1
+
+lodash@^4.17.21:
+  version "4.17.21"
+
+ms@^2.1.3:
+  version "2.1.3"
+`
+    );
+
+    const drift = detectManifestDrift(lockfileInfo(tempDir, "yarn"), tempDir);
+
+    assert.deepStrictEqual(
+      drift.map((entry) => `${entry.kind} ${entry.name}`),
+      ["range lodash", "missing zod"]
+    );
+  });
+
+  test("should return null for lockfiles it can't read", async () => {
+    await writePackageJson({ dependencies: { lodash: "^4.17.21" } });
+    await writeFile(join(tempDir, "bun.lockb"), "binary");
+
+    assert.strictEqual(
+      detectManifestDrift(lockfileInfo(tempDir, "bun"), tempDir),
+      null
+    );
+  });
+
+  test("should format drift as a warning", () => {
+    const message = formatManifestDrift(
+      [
+        { name: "zod", field: "dependencies", kind: "missing", expected: "^3" },
+        { name: "moment", field: "dependencies", kind: "extra", actual: "^2" },
+      ],
+      lockfileInfo(tempDir, "pnpm")
+    );
+
+    assert.strictEqual(
+      message,
+      [
+        "⚠️  Warning: package.json and pnpm-lock.yaml are out of sync",
+        "   zod: ^3 in dependencies, not in the lockfile",
+        "   moment: ^2 in the lockfile, not in package.json",
+        '   Run "pnpm install" to update the lockfile',
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,69 @@
+import { test, describe } from "node:test";
+import { strict as assert } from "assert";
+import { writeFile, rm, mkdtemp } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the runtime helpers to test
+import {
+  describeRequirementChanges,
+  getNodeRuntime,
+  needsRebuild,
+} from "../../dist/node-runtime.js";
+
+const runtime = (version, abi, requirements = {}) => ({
+  version,
+  abi,
+  requirements,
+});
+
+describe("Node Runtime", () => {
+  test("should read the running Node.js and its requirements", async () => {
+    const tempDir = await mkdtemp(join(tmpdir(), "node-runtime-test-"));
+
+    try {
+      await writeFile(join(tempDir, ".nvmrc"), "20\n");
+      await writeFile(
+        join(tempDir, "package.json"),
+        JSON.stringify({ engines: { node: ">=20" } })
+      );
+
+      assert.deepStrictEqual(getNodeRuntime(tempDir), {
+        version: process.version,
+        abi: process.versions.modules,
+        requirements: { ".nvmrc": "20", "engines.node": ">=20" },
+      });
+    } finally {
+      await rm(tempDir, { recursive: true });
+    }
+  });
+
+  test("should need a rebuild when the major version or ABI changes", () => {
+    assert.strictEqual(
+      needsRebuild(runtime("v20.11.0", "115"), runtime("v20.12.2", "115")),
+      false
+    );
+    assert.strictEqual(
+      needsRebuild(runtime("v18.19.0", "108"), runtime("v20.11.0", "115")),
+      true
+    );
+    assert.strictEqual(
+      needsRebuild(runtime("v20.11.0", "115"), runtime("v20.11.0", "116")),
+      true
+    );
+  });
+
+  test("should describe changed version requirements", () => {
+    assert.deepStrictEqual(
+      describeRequirementChanges(
+        runtime("v20.11.0", "115", { ".nvmrc": "18", "engines.node": ">=18" }),
+        runtime("v20.11.0", "115", {
+          ".nvmrc": "20",
+          ".node-version": "20.11.0",
+          "engines.node": ">=18",
+        })
+      ),
+      [".nvmrc: 18 → 20", ".node-version: (none) → 20.11.0"]
+    );
+  });
+});
@@ -13,6 +13,9 @@ import {
   runPostInstallHook,
 } from "../../dist/post-install.js";
 
+// Package managers put node_modules/.bin on the PATH for lifecycle scripts
+const HOOK = "lockfile-guardian post-install";
+
 describe("Post-Install Module", () => {
   let tempDir;
 
@@ -55,7 +58,7 @@ describe("Post-Install Module", () => {
       assert.ok(updated.scripts, "Should have scripts object");
       assert.strictEqual(
         updated.scripts.postinstall,
-        "npx lockfile-guardian post-install",
+        HOOK,
         "Should add postinstall script"
       );
 
@@ -84,7 +87,7 @@ describe("Post-Install Module", () => {
 
       assert.strictEqual(
         updated.scripts.postinstall,
-        "echo existing && npx lockfile-guardian post-install",
+        `echo existing && ${HOOK}`,
         "Should append to existing script"
       );
 
@@ -95,7 +98,7 @@ describe("Post-Install Module", () => {
       tempDir = await mkdtemp(join(tmpdir(), "post-install-test-"));
 
       const packageJson = createBasicPackageJson({
-        postinstall: "npx lockfile-guardian post-install",
+        postinstall: HOOK,
       });
       await writeFile(
         join(tempDir, "package.json"),
@@ -113,13 +116,39 @@ describe("Post-Install Module", () => {
 
       assert.strictEqual(
         updated.scripts.postinstall,
-        "npx lockfile-guardian post-install",
+        HOOK,
         "Should not duplicate hook"
       );
 
       await rm(tempDir, { recursive: true });
     });
 
+    test("should upgrade the npx command from older versions in place", async () => {
+      tempDir = await mkdtemp(join(tmpdir(), "post-install-test-"));
+
+      const packageJson = createBasicPackageJson({
+        postinstall:
+          "echo before && npx lockfile-guardian post-install && echo after",
+      });
+      await writeFile(
+        join(tempDir, "package.json"),
+        JSON.stringify(packageJson, null, 2)
+      );
+      await createLockfile(tempDir);
+
+      installPostInstallHook(tempDir);
+
+      const updated = JSON.parse(
+        await readFile(join(tempDir, "package.json"), "utf8")
+      );
+      assert.strictEqual(
+        updated.scripts.postinstall,
+        `echo before && ${HOOK} && echo after`
+      );
+
+      await rm(tempDir, { recursive: true });
+    });
+
     test("should create scripts object if it doesn't exist", async () => {
       tempDir = await mkdtemp(join(tmpdir(), "post-install-test-"));
 
@@ -139,10 +168,7 @@ describe("Post-Install Module", () => {
       const updated = JSON.parse(updatedContent);
 
       assert.ok(updated.scripts, "Should create scripts object");
-      assert.strictEqual(
-        updated.scripts.postinstall,
-        "npx lockfile-guardian post-install"
-      );
+      assert.strictEqual(updated.scripts.postinstall, HOOK);
 
       await rm(tempDir, { recursive: true });
     });
@@ -230,6 +256,30 @@ describe("Post-Install Module", () => {
       await rm(tempDir, { recursive: true });
     });
 
+    test("should remove the command without npx", async () => {
+      tempDir = await mkdtemp(join(tmpdir(), "post-install-test-"));
+
+      const packageJson = createBasicPackageJson({
+        postinstall: `echo before && ${HOOK} && echo after`,
+      });
+      await writeFile(
+        join(tempDir, "package.json"),
+        JSON.stringify(packageJson, null, 2)
+      );
+
+      uninstallPostInstallHook(tempDir);
+
+      const updated = JSON.parse(
+        await readFile(join(tempDir, "package.json"), "utf8")
+      );
+      assert.strictEqual(
+        updated.scripts.postinstall,
+        "echo before && echo after"
+      );
+
+      await rm(tempDir, { recursive: true });
+    });
+
     test("should handle hook at beginning of compound command", async () => {
       tempDir = await mkdtemp(join(tmpdir(), "post-install-test-"));
 
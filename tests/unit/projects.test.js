@@ -0,0 +1,49 @@
+import { test, describe } from "node:test";
+import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
+import { rm, mkdir, mkdtemp } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the project registry functions to test
+import {
+  getRegisteredProjects,
+  registerProject,
+  unregisterProject,
+} from "../../dist/projects.js";
+import { getProjectName } from "../../dist/state.js";
+
+describe("Project Registry", () => {
+  test("should register projects relative to the git root", async () => {
+    const tempDir = await mkdtemp(join(tmpdir(), "projects-test-"));
+    const project = join(tempDir, "packages", "foo");
+
+    try {
+      execFileSync("git", ["init", "-q"], { cwd: tempDir });
+      await mkdir(project, { recursive: true });
+
+      assert.strictEqual(getProjectName(tempDir), ".");
+      assert.strictEqual(getProjectName(project), "packages/foo");
+      assert.deepStrictEqual(getRegisteredProjects(tempDir), []);
+
+      registerProject(project);
+      registerProject(tempDir);
+      registerProject(project);
+
+      assert.deepStrictEqual(getRegisteredProjects(project), [
+        tempDir,
+        project,
+      ]);
+
+      assert.strictEqual(unregisterProject(tempDir), 1);
+      assert.strictEqual(unregisterProject(project), 0);
+      assert.ok(
+        !existsSync(join(tempDir, ".git", "lockfile-guardian")),
+        "Should remove the empty state"
+      );
+    } finally {
+      await rm(tempDir, { recursive: true });
+    }
+  });
+});
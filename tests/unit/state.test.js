@@ -0,0 +1,106 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { strict as assert } from "assert";
+import { execFileSync } from "child_process";
+import { writeFile, readFile, readdir, rm, mkdir, mkdtemp } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Import the state store functions to test
+import {
+  getAllProjectStates,
+  getProjectKey,
+  getProjectState,
+  STATE_VERSION,
+  updateProjectState,
+} from "../../dist/state.js";
+
+describe("State Store", () => {
+  let tempDir;
+  let stateDir;
+
+  const readStateFile = async () =>
+    JSON.parse(await readFile(join(stateDir, "state.json"), "utf8"));
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "state-test-"));
+    stateDir = join(tempDir, ".git", "lockfile-guardian");
+    execFileSync("git", ["init", "-q"], { cwd: tempDir });
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should keep one entry per project", async () => {
+    const project = join(tempDir, "packages", "foo");
+    await mkdir(project, { recursive: true });
+
+    updateProjectState((entry) => ({ ...entry, hash: "root" }), tempDir);
+    updateProjectState((entry) => ({ ...entry, hash: "foo" }), project);
+
+    assert.deepStrictEqual(await readStateFile(), {
+      version: STATE_VERSION,
+      projects: { ".": { hash: "root" }, "packages/foo": { hash: "foo" } },
+    });
+    assert.deepStrictEqual(
+      (await readdir(stateDir)).filter((file) => file.endsWith(".tmp")),
+      [],
+      "Should not leave temporary files behind"
+    );
+
+    updateProjectState(() => null, project);
+    assert.deepStrictEqual(Object.keys(getAllProjectStates(tempDir)), ["."]);
+  });
+
+  test("should keep projects apart that the old layout merged", async () => {
+    await mkdir(join(tempDir, "a-b", "c"), { recursive: true });
+    await mkdir(join(tempDir, "a-b_c"));
+    updateProjectState(() => ({ hash: "a" }), join(tempDir, "a-b", "c"));
+    updateProjectState(() => ({ hash: "b" }), join(tempDir, "a-b_c"));
+
+    assert.strictEqual(getProjectState(join(tempDir, "a-b", "c")).hash, "a");
+    assert.strictEqual(getProjectState(join(tempDir, "a-b_c")).hash, "b");
+    assert.notStrictEqual(
+      getProjectKey(join(tempDir, "a-b", "c")),
+      getProjectKey(join(tempDir, "a-b_c"))
+    );
+  });
+
+  test("should migrate the legacy hash files", async () => {
+    // Root project: .git/lockfile-guardian was the hash file itself
+    await writeFile(stateDir, "root-hash\n");
+    assert.strictEqual(getProjectState(tempDir).hash, "root-hash");
+    assert.ok(existsSync(join(stateDir, "state.json")));
+
+    // Subprojects: a hash file named after the mangled path
+    await writeFile(join(stateDir, "packages_foo"), "foo-hash");
+    const project = join(tempDir, "packages", "foo");
+    await mkdir(project, { recursive: true });
+    assert.strictEqual(getProjectState(project).hash, "foo-hash");
+    assert.ok(!existsSync(join(stateDir, "packages_foo")));
+    assert.strictEqual(getProjectState(tempDir).hash, "root-hash");
+  });
+
+  test("should recover from a corrupt state file", async () => {
+    await mkdir(stateDir);
+    await writeFile(join(stateDir, "state.json"), '{"version": 1, "proj');
+
+    assert.strictEqual(getProjectState(tempDir), null);
+    assert.ok(existsSync(join(stateDir, "state.json.corrupt")));
+
+    updateProjectState(() => ({ hash: "fresh" }), tempDir);
+    assert.strictEqual(getProjectState(tempDir).hash, "fresh");
+  });
+
+  test("should not trust state from a newer version", async () => {
+    await mkdir(stateDir);
+    await writeFile(
+      join(stateDir, "state.json"),
+      JSON.stringify({ version: STATE_VERSION + 1, projects: { ".": {} } })
+    );
+
+    assert.strictEqual(getProjectState(tempDir), null);
+    assert.ok(existsSync(join(stateDir, "state.json.corrupt")));
+  });
+});
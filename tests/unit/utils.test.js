@@ -1,6 +1,6 @@
 import { test, describe } from "node:test";
 import { strict as assert } from "assert";
-import { writeFile, mkdir, rm } from "fs/promises";
+import { writeFile, rm } from "fs/promises";
 import { mkdtemp } from "fs/promises";
 import { tmpdir } from "os";
 import { join } from "path";
@@ -9,9 +9,13 @@ import { join } from "path";
 import {
   createSHA256Hash,
   findLockfile,
-  isGitRepository,
   loadConfig,
   isNodeModulesIgnored,
+  isYarnPnP,
+  getDeclaredPackageManager,
+  resolveLockfile,
+  mergePackageManagers,
+  hashLockfile,
   PACKAGE_MANAGERS,
 } from "../../dist/utils.js";
 
@@ -74,6 +78,210 @@ lodash@^4.17.21:
     await rm(tempDir, { recursive: true });
   });
 
+  test("should detect Yarn Berry from the __metadata header", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+
+    const lockfileContent = `__metadata:
+  version: 8
+  cacheKey: 10c0
+
+"lodash@npm:^4.17.21":
+  version: 4.17.21`;
+
+    await writeFile(join(tempDir, "yarn.lock"), lockfileContent);
+
+    const result = findLockfile(tempDir);
+
+    assert.ok(result, "Should find lockfile");
+    assert.strictEqual(result.packageManager.name, "yarn-berry");
+    assert.strictEqual(result.packageManager.lockFile, "yarn.lock");
+    assert.strictEqual(result.packageManager.installCommand, "yarn install");
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should detect Yarn Berry from .yarnrc.yml", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+
+    await writeFile(join(tempDir, "yarn.lock"), "");
+    await writeFile(join(tempDir, ".yarnrc.yml"), "nodeLinker: pnp\n");
+
+    const result = findLockfile(tempDir);
+
+    assert.ok(result, "Should find lockfile");
+    assert.strictEqual(result.packageManager.name, "yarn-berry");
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should detect Yarn PnP from the configured node linker", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+
+    await writeFile(join(tempDir, "yarn.lock"), "__metadata:\n  version: 8\n");
+    assert.strictEqual(isYarnPnP(tempDir), true, "Berry defaults to PnP");
+
+    await writeFile(join(tempDir, ".yarnrc.yml"), "nodeLinker: node-modules\n");
+    assert.strictEqual(isYarnPnP(tempDir), false);
+
+    await writeFile(join(tempDir, "yarn.lock"), "# yarn lockfile v1\n");
+    assert.strictEqual(isYarnPnP(tempDir), false, "Classic is never PnP");
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should hash binary lockfiles byte-for-byte", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+    const first = join(tempDir, "first.lockb");
+    const second = join(tempDir, "second.lockb");
+
+    // Both buffers are invalid UTF-8 and would decode to the same string
+    await writeFile(first, Buffer.from([0x23, 0x21, 0xff, 0xfe, 0x00]));
+    await writeFile(second, Buffer.from([0x23, 0x21, 0xfe, 0xff, 0x00]));
+
+    assert.notStrictEqual(
+      createSHA256Hash(first),
+      createSHA256Hash(second),
+      "Different bytes should produce different hashes"
+    );
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should fingerprint resolved dependencies rather than bytes", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+    const lockfilePath = join(tempDir, "package-lock.json");
+    const packages = {
+      "node_modules/lodash": { version: "4.17.21", integrity: "sha512-a" },
+      "node_modules/ms": { version: "2.1.3", integrity: "sha512-b" },
+    };
+
+    await writeFile(
+      lockfilePath,
+      JSON.stringify({ lockfileVersion: 3, packages }, null, 2)
+    );
+    const original = hashLockfile(lockfilePath, tempDir);
+    const raw = hashLockfile(lockfilePath, tempDir, "raw");
+
+    // CRLF line endings and reordered keys resolve to the same packages
+    const reordered = {
+      packages: {
+        "node_modules/ms": packages["node_modules/ms"],
+        "node_modules/lodash": packages["node_modules/lodash"],
+      },
+      lockfileVersion: 3,
+    };
+    await writeFile(
+      lockfilePath,
+      JSON.stringify(reordered, null, 4).replace(/\n/g, "\r\n")
+    );
+    assert.strictEqual(hashLockfile(lockfilePath, tempDir), original);
+    assert.notStrictEqual(hashLockfile(lockfilePath, tempDir, "raw"), raw);
+
+    // A different integrity value is a real change
+    packages["node_modules/ms"].integrity = "sha512-c";
+    await writeFile(
+      lockfilePath,
+      JSON.stringify({ lockfileVersion: 3, packages }, null, 2)
+    );
+    assert.notStrictEqual(hashLockfile(lockfilePath, tempDir), original);
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should notice a direct dependency moving between locked versions", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+    const lockfilePath = join(tempDir, "package-lock.json");
+    const foo1 = { version: "1.0.0", integrity: "sha512-a" };
+    const foo2 = { version: "2.0.0", integrity: "sha512-b" };
+
+    // foo 1.0.0 at the top and 2.0.0 nested under bar, then the other way round
+    const writeNpmLock = (top, nested, range) =>
+      writeFile(
+        lockfilePath,
+        JSON.stringify({
+          lockfileVersion: 3,
+          packages: {
+            "": { dependencies: { bar: "^1.0.0", foo: range } },
+            "node_modules/bar": {
+              version: "1.0.0",
+              dependencies: { foo: "*" },
+            },
+            "node_modules/foo": top,
+            "node_modules/bar/node_modules/foo": nested,
+          },
+        })
+      );
+    await writeNpmLock(foo1, foo2, "^1.0.0");
+    const npmHash = hashLockfile(lockfilePath, tempDir);
+    await writeNpmLock(foo2, foo1, "^2.0.0");
+    assert.notStrictEqual(hashLockfile(lockfilePath, tempDir), npmHash);
+    await rm(lockfilePath);
+
+    const pnpmLockPath = join(tempDir, "pnpm-lock.yaml");
+    const writePnpmLock = (version) =>
+      writeFile(
+        pnpmLockPath,
+        `lockfileVersion: '9.0'
+
+importers:
+  .:
+    dependencies:
+      foo:
+        specifier: ^${version}
+        version: ${version}
+
+packages:
+  foo@1.0.0:
+    resolution: {integrity: sha512-a}
+  foo@2.0.0:
+    resolution: {integrity: sha512-b}
+
+snapshots:
+  foo@1.0.0: {}
+  foo@2.0.0: {}
+`
+      );
+    await writePnpmLock("1.0.0");
+    const pnpmHash = hashLockfile(pnpmLockPath, tempDir);
+    await writePnpmLock("2.0.0");
+    assert.notStrictEqual(hashLockfile(pnpmLockPath, tempDir), pnpmHash);
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should detect bun text lockfile", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+
+    await writeFile(join(tempDir, "bun.lock"), '{\n  "lockfileVersion": 1,\n}');
+
+    const result = findLockfile(tempDir);
+
+    assert.ok(result, "Should find lockfile");
+    assert.strictEqual(result.packageManager.name, "bun");
+    assert.strictEqual(result.packageManager.lockFile, "bun.lock");
+    assert.strictEqual(result.packageManager.installCommand, "bun install");
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should detect bun binary lockfile", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+
+    await writeFile(
+      join(tempDir, "bun.lockb"),
+      Buffer.from([0x23, 0x21, 0x2f, 0x75, 0x73, 0x72, 0x00, 0xff, 0x01])
+    );
+
+    const result = findLockfile(tempDir);
+
+    assert.ok(result, "Should find lockfile");
+    assert.strictEqual(result.packageManager.name, "bun");
+    assert.strictEqual(result.packageManager.lockFile, "bun.lockb");
+    assert.strictEqual(result.hash.length, 64);
+
+    await rm(tempDir, { recursive: true });
+  });
+
   test("should detect npm lockfile", async () => {
     tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
 
@@ -117,27 +325,154 @@ lodash@^4.17.21:
     await rm(tempDir, { recursive: true });
   });
 
-  test("should return null when no lockfile found", async () => {
+  test("should parse the packageManager field", async () => {
     tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
 
-    const result = findLockfile(tempDir);
+    await writeFile(
+      join(tempDir, "package.json"),
+      JSON.stringify({ packageManager: "pnpm@9.1.0+sha512.abc123" })
+    );
+    assert.deepStrictEqual(getDeclaredPackageManager(tempDir), {
+      name: "pnpm",
+      version: "9.1.0",
+    });
 
-    assert.strictEqual(result, null);
+    await writeFile(
+      join(tempDir, "package.json"),
+      JSON.stringify({
+        devEngines: { packageManager: { name: "yarn", version: "^4.0.0" } },
+      })
+    );
+    assert.deepStrictEqual(getDeclaredPackageManager(tempDir), {
+      name: "yarn",
+      version: "4.0.0",
+    });
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should prefer the lockfile of the declared package manager", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+
+    await writeFile(join(tempDir, "pnpm-lock.yaml"), "lockfileVersion: 9.0");
+    await writeFile(
+      join(tempDir, "package-lock.json"),
+      '{"lockfileVersion": 3}'
+    );
+    await writeFile(
+      join(tempDir, "package.json"),
+      JSON.stringify({ packageManager: "npm@10.8.2" })
+    );
+
+    const resolution = resolveLockfile(tempDir);
+
+    assert.strictEqual(resolution.lockfile.packageManager.name, "npm");
+    assert.strictEqual(resolution.source, "packageManager");
+    assert.deepStrictEqual(
+      resolution.candidates.map((pm) => pm.lockFile),
+      ["pnpm-lock.yaml", "package-lock.json"]
+    );
 
     await rm(tempDir, { recursive: true });
   });
 
-  test("should detect git repository", async () => {
+  test("should prefer the lockfile chosen in config", async () => {
     tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
 
-    // Not a git repo initially
-    assert.strictEqual(isGitRepository(tempDir), false);
+    await writeFile(join(tempDir, "pnpm-lock.yaml"), "lockfileVersion: 9.0");
+    await writeFile(join(tempDir, "yarn.lock"), "# yarn lockfile v1");
+    await writeFile(
+      join(tempDir, "package.json"),
+      JSON.stringify({
+        packageManager: "pnpm@9.1.0",
+        lockfileGuardian: { lockfile: "yarn.lock" },
+      })
+    );
 
-    // Create .git directory
-    await mkdir(join(tempDir, ".git"));
+    const resolution = resolveLockfile(tempDir);
 
-    // Now it should be detected as a git repo
-    assert.strictEqual(isGitRepository(tempDir), true);
+    assert.strictEqual(resolution.lockfile.packageManager.name, "yarn");
+    assert.strictEqual(resolution.source, "config");
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should detect package managers declared in config", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+
+    await writeFile(
+      join(tempDir, "package-lock.json"),
+      '{"lockfileVersion": 3}'
+    );
+    await writeFile(join(tempDir, "deps.lock"), "internal lockfile");
+    await writeFile(
+      join(tempDir, "package.json"),
+      JSON.stringify({
+        lockfileGuardian: {
+          packageManagers: [
+            {
+              name: "make",
+              lockFile: ["deps.lock", "deps-dev.lock"],
+              installCommand: "make deps",
+            },
+          ],
+        },
+      })
+    );
+
+    const result = findLockfile(tempDir);
+
+    assert.ok(result, "Should find lockfile");
+    assert.strictEqual(result.packageManager.name, "make");
+    assert.strictEqual(result.packageManager.lockFile, "deps.lock");
+    assert.strictEqual(result.packageManager.installCommand, "make deps");
+
+    await rm(tempDir, { recursive: true });
+  });
+
+  test("should merge config package managers by priority", () => {
+    const merged = mergePackageManagers([
+      {
+        name: "deno",
+        lockFile: "deno.lock",
+        installCommand: "deno install",
+        priority: 35,
+      },
+      { name: "npm", lockFile: ["npm-shrinkwrap.json", "package-lock.json"] },
+      { name: "broken" },
+    ]);
+
+    assert.deepStrictEqual(
+      merged.map((pm) => pm.lockFile),
+      [
+        "pnpm-lock.yaml",
+        "yarn.lock",
+        "yarn.lock",
+        "bun.lock",
+        "bun.lockb",
+        "deno.lock",
+        "npm-shrinkwrap.json",
+        "package-lock.json",
+      ]
+    );
+
+    const shrinkwrap = merged.find(
+      (pm) => pm.lockFile === "npm-shrinkwrap.json"
+    );
+    assert.strictEqual(shrinkwrap.installCommand, "npm install");
+    assert.strictEqual(
+      shrinkwrap.priority,
+      40,
+      "Overrides keep the built-in priority"
+    );
+  });
+
+  test("should return null when no lockfile found", async () => {
+    tempDir = await mkdtemp(join(tmpdir(), "utils-test-"));
+
+    const result = findLockfile(tempDir);
+
+    assert.strictEqual(result, null);
 
     await rm(tempDir, { recursive: true });
   });
@@ -192,7 +527,7 @@ lodash@^4.17.21:
   });
 
   test("should have correct package manager configurations", () => {
-    assert.strictEqual(PACKAGE_MANAGERS.length, 3);
+    assert.strictEqual(PACKAGE_MANAGERS.length, 6);
 
     const pnpmConfig = PACKAGE_MANAGERS.find((pm) => pm.name === "pnpm");
     assert.ok(pnpmConfig);
@@ -204,6 +539,20 @@ lodash@^4.17.21:
     assert.strictEqual(yarnConfig.lockFile, "yarn.lock");
     assert.strictEqual(yarnConfig.installCommand, "yarn install");
 
+    const berryConfig = PACKAGE_MANAGERS.find((pm) => pm.name === "yarn-berry");
+    assert.ok(berryConfig);
+    assert.strictEqual(berryConfig.lockFile, "yarn.lock");
+    assert.strictEqual(berryConfig.installCommand, "yarn install");
+
+    const bunConfigs = PACKAGE_MANAGERS.filter((pm) => pm.name === "bun");
+    assert.deepStrictEqual(
+      bunConfigs.map((pm) => pm.lockFile),
+      ["bun.lock", "bun.lockb"]
+    );
+    for (const bunConfig of bunConfigs) {
+      assert.strictEqual(bunConfig.installCommand, "bun install");
+    }
+
     const npmConfig = PACKAGE_MANAGERS.find((pm) => pm.name === "npm");
     assert.ok(npmConfig);
     assert.strictEqual(npmConfig.lockFile, "package-lock.json");